@@ -4,101 +4,251 @@
 class RiskAssessmentApp {
     constructor() {
         this.data = {
+            toolTypes: [],
             toolQuestions: [],
             contextQuestions: [],
             riskExplanations: [],
-            compoundRiskRules: []
+            compoundRiskRules: [],
+            assessmentFacts: [],
+            mitigations: [],
+            scoringSettings: [],
+            categoryWeights: [],
+            scenarios: [],
+            regulatoryCrosswalk: []
         };
+        this.parseErrors = {};
         
         this.state = {
             currentSection: 'tool-selection',
             selectedTool: null,
+            // Tool ids in portfolio mode, otherwise null
+            portfolioTools: null,
             toolAnswers: {},
-            contextAnswers: {}
+            contextAnswers: {},
+            currentProfile: null,
+            // The portfolio results while one of its tools is viewed in full
+            portfolioProfile: null,
+            selectedMitigations: [],
+            // Everyone's answers when several people answer the assessment
+            respondents: [],
+            // The name of the respondent filling in the questionnaires, while adding one
+            pendingRespondent: null,
+            // The assessment's own answers, set aside while that respondent fills in the questionnaires
+            heldAnswers: null,
+            aggregation: 'median',
+            // How the current answers were combined from the respondents' answers
+            consensus: null
         };
         
-        // Updated Kennedy & Campos framework with 6 harm categories
-        this.harmCategories = {
-            'Bias': 'Bias & Authenticity',
-            'Privacy': 'Privacy & Safety', 
-            'Flourishing': 'Human Flourishing & Interpretability',
-            'Organizational': 'Organizational & Human Potential',
-            'Accuracy': 'Misinformation & Accuracy',
-            'Misuse': 'Misuse & Cyberbullying'
-        };
+        // Kennedy & Campos framework definitions shared with the scoring engine
+        this.harmCategories = RiskEngine.HARM_CATEGORIES;
+        this.interactionLayers = RiskEngine.INTERACTION_LAYERS;
+        this.severityLevels = RiskEngine.SEVERITY_LEVELS;
+        this.engine = null;
+        this.storage = new RiskStorage(this.getLocalStorage());
         
-        // 4 interaction layers from Kennedy & Campos framework
-        this.interactionLayers = {
-            'Output': 'Individual AI responses and immediate outputs',
-            'Whole': 'Complete interaction sessions and user experiences', 
-            'Group': 'Classroom and learning group dynamics',
-            'System': 'Institutional and systemic-level impacts'
-        };
+        // Draft content edits, created when authoring mode is first opened
+        this.authoring = null;
         
-        this.severityLevels = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+        // The last scenario check and the section to return to from it
+        this.scenarioCheck = null;
         
         this.init();
     }
     
     async init() {
+        this.registerServiceWorker();
         this.showLoading();
         try {
-            await this.loadCSVData();
+            try {
+                await this.loadCSVData();
+            } catch (error) {
+                // Opened from disk or fetch unavailable: the user picks the CSV files instead
+                console.warn('Could not fetch the assessment data:', error);
+                this.hideLoading();
+                await this.requestDataFiles();
+                this.showLoading();
+            }
+            this.validateData();
+            this.renderToolGrid();
+            this.renderScenarioLibrary();
             this.setupEventListeners();
+            this.renderSavedAssessments();
             this.hideLoading();
+            this.restoreFromShareLink();
         } catch (error) {
             console.error('Failed to initialize application:', error);
             this.showError('Failed to load assessment data. Please refresh the page.');
         }
     }
     
+    // Caches the app and its data for offline use; service workers need http(s)
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator) || !/^https?:$/.test(window.location.protocol)) {
+            return;
+        }
+        navigator.serviceWorker.register('service-worker.js').catch(error => {
+            console.warn('Offline support unavailable:', error);
+        });
+    }
+    
     async loadCSVData() {
-        const csvFiles = [
-            { file: 'data/tool_questions.csv', key: 'toolQuestions' },
-            { file: 'data/context_questions.csv', key: 'contextQuestions' },
-            { file: 'data/risk_explanations.csv', key: 'riskExplanations' },
-            { file: 'data/compound_risk_rules.csv', key: 'compoundRiskRules' }
-        ];
-        
-        const promises = csvFiles.map(({ file, key }) => 
-            this.loadCSV(file).then(data => {
-                this.data[key] = data;
-                console.log(`Loaded ${key}:`, data.length, 'rows');
+        const promises = RiskEngine.DATA_FILES.map(({ file, key }) => 
+            this.loadCSV(`data/${file}`).then(text => {
+                this.setDataset(file, key, text);
             })
         );
         
         await Promise.all(promises);
+        this.engine = new RiskEngine(this.data);
     }
     
     loadCSV(file) {
-        return new Promise((resolve, reject) => {
-            Papa.parse(file, {
-                download: true,
-                header: true,
-                skipEmptyLines: true,
-                transformHeader: header => header.trim(),
-                transform: value => value.trim(),
-                complete: (results) => {
-                    if (results.errors.length > 0) {
-                        console.warn(`Warnings in ${file}:`, results.errors);
-                    }
-                    resolve(results.data);
-                },
-                error: (error) => {
-                    console.error(`Error loading ${file}:`, error);
-                    reject(error);
+        if (typeof fetch !== 'function') {
+            return Promise.reject(new Error('fetch is not available'));
+        }
+        return fetch(file).then(response => {
+            if (!response.ok) {
+                throw new Error(`${file}: ${response.status} ${response.statusText}`);
+            }
+            return response.text();
+        });
+    }
+    
+    setDataset(file, key, text) {
+        const results = RiskCSV.parse(text);
+        if (results.errors.length > 0) {
+            console.warn(`Warnings in ${file}:`, results.errors);
+            this.parseErrors[file] = results.errors;
+        }
+        this.data[key] = results.data;
+        console.log(`Loaded ${key}:`, results.data.length, 'rows');
+    }
+    
+    // Asks for the CSV files from disk and resolves once every dataset has been read.
+    // Files can be chosen over several goes; a later copy of a file replaces the earlier one.
+    requestDataFiles() {
+        const input = document.getElementById('data-files-input');
+        const status = document.getElementById('data-files-status');
+        const loaded = new Set();
+        
+        const renderStatus = () => {
+            status.innerHTML = RiskEngine.DATA_FILES.map(({ file }) => `
+                <li class="${loaded.has(file) ? 'loaded' : 'missing'}">
+                    ${loaded.has(file) ? '&#10003;' : '&#9675;'} ${file}
+                </li>
+            `).join('');
+        };
+        
+        renderStatus();
+        this.showSection('data-files');
+        
+        return new Promise(resolve => {
+            input.addEventListener('change', async () => {
+                const files = Array.from(input.files);
+                await Promise.all(files.map(async selected => {
+                    const entry = RiskEngine.DATA_FILES.find(({ file }) => file === selected.name);
+                    if (!entry) return;
+                    delete this.parseErrors[entry.file];
+                    this.setDataset(entry.file, entry.key, await selected.text());
+                    loaded.add(entry.file);
+                }));
+                input.value = '';
+                renderStatus();
+                
+                if (loaded.size === RiskEngine.DATA_FILES.length) {
+                    this.engine = new RiskEngine(this.data);
+                    this.showSection('tool-selection');
+                    resolve();
                 }
             });
         });
     }
     
+    validateData() {
+        const report = RiskDataValidator.validate(this.data, this.parseErrors);
+        const container = document.getElementById('data-report');
+        
+        if (report.errors.length === 0 && report.warnings.length === 0) {
+            container.classList.add('hidden');
+            return report;
+        }
+        
+        report.errors.forEach(issue => console.error('Data error:', RiskDataValidator.formatIssue(issue)));
+        report.warnings.forEach(issue => console.warn('Data warning:', RiskDataValidator.formatIssue(issue)));
+        
+        const renderIssues = (issues, level) => issues.map(issue => `
+            <li class="data-issue ${level}">
+                <span class="data-issue-location">${RiskHTML.escape(issue.file)}${issue.line ? `, line ${issue.line}` : ''}</span>
+                ${RiskHTML.escape(issue.message)}
+            </li>
+        `).join('');
+        
+        container.className = `data-report ${report.ok ? 'has-warnings' : 'has-errors'}`;
+        container.innerHTML = `
+            <details ${report.ok ? '' : 'open'}>
+                <summary>
+                    <strong>Data check:</strong>
+                    ${report.errors.length} error${report.errors.length === 1 ? '' : 's'},
+                    ${report.warnings.length} warning${report.warnings.length === 1 ? '' : 's'}
+                    in the assessment datasets
+                </summary>
+                ${report.ok ? '' : '<p>Results may understate risk until these errors are fixed in the CSV files.</p>'}
+                <ul>
+                    ${renderIssues(report.errors, 'error')}
+                    ${renderIssues(report.warnings, 'warning')}
+                </ul>
+            </details>
+        `;
+        
+        return report;
+    }
+    
+    getLocalStorage() {
+        // Access can throw when storage is disabled by browser privacy settings
+        try {
+            return window.localStorage;
+        } catch (error) {
+            console.warn('Local storage unavailable; assessments will not be saved:', error);
+            return null;
+        }
+    }
+    
+    renderToolGrid() {
+        const grid = document.getElementById('tool-grid');
+        grid.innerHTML = this.data.toolTypes.map(type => `
+            <div class="tool-card" data-tool="${RiskHTML.escape(type.Tool_ID)}" role="button" tabindex="0">
+                <div class="tool-icon">${RiskHTML.escape(type.Icon)}</div>
+                <h3>${RiskHTML.escape(type.Display_Name)}</h3>
+                <p>${RiskHTML.escape(type.Description)}</p>
+            </div>
+        `).join('');
+    }
+    
     setupEventListeners() {
         // Tool selection
-        document.querySelectorAll('.tool-card').forEach(card => {
-            card.addEventListener('click', () => {
-                const tool = card.dataset.tool;
-                this.selectTool(tool);
-            });
+        document.getElementById('tool-grid').addEventListener('click', (event) => {
+            const card = event.target.closest('.tool-card');
+            if (card) {
+                this.selectTool(card.dataset.tool);
+            }
+        });
+        
+        document.getElementById('tool-grid').addEventListener('keydown', (event) => {
+            const card = event.target.closest('.tool-card');
+            if (card && (event.key === 'Enter' || event.key === ' ')) {
+                event.preventDefault();
+                this.selectTool(card.dataset.tool);
+            }
+        });
+        
+        // Portfolio mode: several tools are picked before continuing
+        document.getElementById('portfolio-mode').addEventListener('change', (event) => {
+            this.setPortfolioMode(event.target.checked);
+        });
+        
+        document.getElementById('portfolio-next').addEventListener('click', () => {
+            this.startPortfolio();
         });
         
         // Navigation buttons - updated IDs to match new HTML
@@ -110,6 +260,8 @@ class RiskAssessmentApp {
             if (this.validateToolAnswers()) {
                 this.saveToolAnswers();
                 this.loadContextQuestions();
+                this.writeFormAnswers('context-form', this.state.contextAnswers);
+                this.updateQuestionVisibility();
                 this.showSection('context-questions');
             }
         });
@@ -121,16 +273,238 @@ class RiskAssessmentApp {
         document.getElementById('context-next').addEventListener('click', () => {
             if (this.validateContextAnswers()) {
                 this.saveContextAnswers();
-                this.calculateAndShowResults();
+                if (this.state.pendingRespondent) {
+                    this.recordRespondent();
+                } else {
+                    this.calculateAndShowResults();
+                }
             }
         });
         
         document.getElementById('new-assessment').addEventListener('click', () => {
             this.resetAssessment();
         });
+        
+        // Autosave answers as a draft while the questionnaires are filled in
+        document.getElementById('tool-form').addEventListener('change', () => {
+            this.state.consensus = null;
+            this.updateQuestionVisibility();
+            this.saveToolAnswers();
+            this.autosaveDraft();
+        });
+        
+        document.getElementById('context-form').addEventListener('change', () => {
+            this.state.consensus = null;
+            this.updateQuestionVisibility();
+            this.saveContextAnswers();
+            this.autosaveDraft();
+        });
+        
+        // Named saves and share links
+        document.querySelectorAll('.save-assessment').forEach(button => {
+            button.addEventListener('click', () => {
+                this.saveNamedAssessment();
+            });
+        });
+        
+        document.getElementById('copy-share-link').addEventListener('click', () => {
+            this.copyShareLink();
+        });
+        
+        document.getElementById('saved-assessments').addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-action]');
+            if (!button) return;
+            
+            if (button.dataset.action === 'resume-draft') {
+                this.restoreAssessment(this.storage.getDraft());
+            } else if (button.dataset.action === 'discard-draft') {
+                this.storage.clearDraft();
+                this.renderSavedAssessments();
+            } else if (button.dataset.action === 'open') {
+                const entry = this.storage.getSaved(button.dataset.id);
+                if (entry) this.restoreAssessment(entry.assessment);
+            } else if (button.dataset.action === 'delete') {
+                this.storage.deleteSaved(button.dataset.id);
+                this.renderSavedAssessments();
+            }
+        });
+        
+        // Framework obligations the results trigger
+        document.getElementById('open-regulatory').addEventListener('click', () => {
+            this.renderRegulatory(this.state.currentProfile);
+            this.showSection('regulatory');
+        });
+        
+        document.getElementById('regulatory-back').addEventListener('click', () => {
+            this.showSection('results');
+        });
+        
+        // Several respondents to one assessment
+        document.getElementById('open-respondents').addEventListener('click', () => {
+            this.openRespondents();
+        });
+        
+        document.getElementById('respondents-back').addEventListener('click', () => {
+            this.showSection(this.state.currentProfile ? 'results' : 'tool-selection');
+        });
+        
+        document.getElementById('respondents-add').addEventListener('click', () => {
+            this.addRespondent();
+        });
+        
+        document.getElementById('respondents-import').addEventListener('change', (event) => {
+            this.importResponses(Array.from(event.target.files)).finally(() => {
+                event.target.value = '';
+            });
+        });
+        
+        document.getElementById('respondents-export').addEventListener('click', () => {
+            const assessment = this.getCurrentAssessment();
+            this.downloadFile(
+                `${RiskRespondents.RESPONSES_FORMAT}-${assessment.tools ? 'portfolio' : assessment.tool}-${new Date().toISOString().slice(0, 10)}.json`,
+                JSON.stringify(RiskRespondents.toFile(assessment, this.state.respondents), null, 2),
+                'application/json'
+            );
+        });
+        
+        document.getElementById('respondents-combine').addEventListener('click', () => {
+            this.showCombinedResults();
+        });
+        
+        document.getElementById('respondents-content').addEventListener('change', (event) => {
+            if (event.target.id === 'respondents-aggregation') {
+                this.state.aggregation = event.target.value;
+                this.renderRespondents();
+            }
+        });
+        
+        document.getElementById('respondents-content').addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-action="remove-respondent"]');
+            if (button) {
+                this.state.respondents.splice(parseInt(button.dataset.index, 10), 1);
+                this.autosaveDraft();
+                this.renderRespondents();
+            }
+        });
+        
+        // Worked examples and the scenario check
+        document.getElementById('scenario-library').addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-action]');
+            if (!button) return;
+            
+            if (button.dataset.action === 'load-scenario') {
+                this.loadScenario(button.dataset.id);
+            } else if (button.dataset.action === 'check-scenarios') {
+                this.checkScenarios();
+            }
+        });
+        
+        document.getElementById('scenario-results').addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-action="load-scenario"]');
+            if (button) {
+                this.loadScenario(button.dataset.id);
+            }
+        });
+        
+        document.getElementById('scenario-back').addEventListener('click', () => {
+            this.showSection(this.scenarioCheck.returnTo);
+        });
+        
+        document.getElementById('scenario-export').addEventListener('click', () => {
+            this.exportScenarioResults();
+        });
+        
+        window.addEventListener('hashchange', () => {
+            this.restoreFromShareLink();
+        });
+        
+        // Report exports
+        document.getElementById('export-print').addEventListener('click', () => {
+            this.printReport();
+        });
+        
+        document.getElementById('export-markdown').addEventListener('click', () => {
+            const profile = this.state.currentProfile;
+            this.downloadFile(
+                `${RiskReport.fileStem(profile)}.md`,
+                RiskReport.toMarkdown(profile, this.engine, { adoptedMitigations: this.state.selectedMitigations }),
+                'text/markdown'
+            );
+        });
+        
+        document.getElementById('export-json').addEventListener('click', () => {
+            const profile = this.state.currentProfile;
+            this.downloadFile(
+                `${RiskReport.fileStem(profile)}.json`,
+                RiskReport.toJSON(profile, this.engine, { adoptedMitigations: this.state.selectedMitigations }),
+                'application/json'
+            );
+        });
+        
+        // Content authoring
+        document.getElementById('open-authoring').addEventListener('click', () => {
+            this.openAuthoring();
+        });
+        
+        document.getElementById('authoring-dataset').addEventListener('change', (event) => {
+            this.authoring.dataset = event.target.value;
+            this.authoring.index = 0;
+            this.renderAuthoring();
+        });
+        
+        document.getElementById('authoring-row').addEventListener('change', (event) => {
+            this.authoring.index = parseInt(event.target.value, 10);
+            this.renderAuthoring();
+        });
+        
+        document.getElementById('authoring-form').addEventListener('input', () => {
+            this.updateAuthoringRow();
+        });
+        
+        document.getElementById('authoring-add').addEventListener('click', () => {
+            this.addAuthoringRow(false);
+        });
+        
+        document.getElementById('authoring-duplicate').addEventListener('click', () => {
+            this.addAuthoringRow(true);
+        });
+        
+        document.getElementById('authoring-delete').addEventListener('click', () => {
+            this.deleteAuthoringRow();
+        });
+        
+        document.getElementById('authoring-back').addEventListener('click', () => {
+            this.showSection(this.authoring.returnTo);
+        });
+        
+        document.getElementById('authoring-discard').addEventListener('click', () => {
+            this.discardAuthoring();
+        });
+        
+        document.getElementById('authoring-export').addEventListener('click', () => {
+            const key = this.authoring.dataset;
+            this.downloadFile(
+                RiskAuthoring.fileFor(key),
+                RiskAuthoring.toCSV(key, this.authoring.datasets[key], this.authoring.columns[key]),
+                'text/csv'
+            );
+        });
+        
+        document.getElementById('authoring-check').addEventListener('click', () => {
+            this.checkScenarios(this.getAuthoringData());
+        });
+        
+        document.getElementById('authoring-apply').addEventListener('click', () => {
+            this.applyAuthoring();
+        });
     }
     
     selectTool(tool) {
+        if (this.state.portfolioTools) {
+            this.togglePortfolioTool(tool);
+            return;
+        }
+        
         // Clear previous selection
         document.querySelectorAll('.tool-card').forEach(card => {
             card.classList.remove('selected');
@@ -138,18 +512,22 @@ class RiskAssessmentApp {
         
         // Select new tool
         document.querySelector(`[data-tool="${tool}"]`).classList.add('selected');
+        if (this.state.selectedTool !== tool) {
+            this.state.toolAnswers = {};
+            this.state.respondents = [];
+            this.state.pendingRespondent = null;
+            this.state.heldAnswers = null;
+            this.state.consensus = null;
+        }
         this.state.selectedTool = tool;
         
-        // Map tool selection to CSV tool types
-        const toolTypeMap = {
-            'plagiarism_detection': 'Plagiarism_Detection',
-            'llm_tutors': 'LLM_Tutors'
-        };
-        
         // Load questions for this tool and move to next section
         setTimeout(() => {
-            const questionsLoaded = this.loadToolQuestions(toolTypeMap[tool]);
+            const questionsLoaded = this.loadToolQuestions(tool);
             if (questionsLoaded) {
+                this.writeFormAnswers('tool-form', this.state.toolAnswers);
+                this.updateQuestionVisibility();
+                this.autosaveDraft();
                 this.showSection('tool-questions');
             } else {
                 this.showError(`No questions found for ${tool}. Please check the data files.`);
@@ -157,25 +535,99 @@ class RiskAssessmentApp {
         }, 300);
     }
     
-    loadToolQuestions(toolType) {
-        const toolQuestions = this.data.toolQuestions.filter(q => 
-            q.Tool_Type && q.Tool_Type === toolType
-        );
+    setPortfolioMode(enabled) {
+        this.state.portfolioTools = enabled ? [] : null;
+        this.state.selectedTool = null;
+        this.state.toolAnswers = {};
+        this.state.respondents = [];
+        this.state.pendingRespondent = null;
+        this.state.heldAnswers = null;
+        this.state.consensus = null;
+        
+        document.getElementById('portfolio-mode').checked = enabled;
+        document.getElementById('portfolio-next').classList.toggle('hidden', !enabled);
+        document.getElementById('portfolio-next').disabled = true;
+        document.querySelectorAll('.tool-card').forEach(card => {
+            card.classList.remove('selected');
+            if (enabled) {
+                card.setAttribute('aria-pressed', 'false');
+            } else {
+                card.removeAttribute('aria-pressed');
+            }
+        });
+    }
+    
+    togglePortfolioTool(tool) {
+        const tools = this.state.portfolioTools;
+        const index = tools.indexOf(tool);
+        if (index === -1) {
+            tools.push(tool);
+        } else {
+            tools.splice(index, 1);
+        }
         
-        if (toolQuestions.length === 0) {
-            console.warn(`No questions found for tool: ${toolType}`);
+        const card = document.querySelector(`[data-tool="${tool}"]`);
+        card.classList.toggle('selected', index === -1);
+        card.setAttribute('aria-pressed', String(index === -1));
+        document.getElementById('portfolio-next').disabled = tools.length < 2;
+    }
+    
+    startPortfolio() {
+        // Keep the portfolio in the order the tools are listed, not the order they were picked
+        const tools = this.data.toolTypes
+            .map(type => type.Tool_ID)
+            .filter(tool => this.state.portfolioTools.includes(tool));
+        if (tools.length < 2) {
+            this.showError('Select at least two tools to assess them together.');
+            return;
+        }
+        
+        this.state.portfolioTools = tools;
+        if (this.loadToolQuestions(tools)) {
+            this.writeFormAnswers('tool-form', this.state.toolAnswers);
+            this.updateQuestionVisibility();
+            this.autosaveDraft();
+            this.showSection('tool-questions');
+        } else {
+            this.showError('No questions found for one of the selected tools. Please check the data files.');
+        }
+    }
+    
+    // The tools being assessed: the portfolio, or the one selected tool
+    getSelectedTools() {
+        if (this.state.portfolioTools) {
+            return this.state.portfolioTools;
+        }
+        return this.state.selectedTool ? [this.state.selectedTool] : [];
+    }
+    
+    // Takes one tool id or, for a portfolio, a list; each tool's questions get a heading then
+    loadToolQuestions(tools) {
+        const toolList = Array.isArray(tools) ? tools : [tools];
+        const questionSets = toolList.map(tool => this.engine.getToolQuestions(tool));
+        
+        const missing = toolList.find((tool, index) => questionSets[index].length === 0);
+        if (missing) {
+            console.warn(`No questions found for tool: ${missing}`);
             return false;
         }
         
         const form = document.getElementById('tool-form');
         form.innerHTML = '';
         
-        toolQuestions.forEach((question, index) => {
-            const questionDiv = this.createQuestionElement(question, `tool_${index}`);
-            form.appendChild(questionDiv);
+        toolList.forEach((tool, index) => {
+            if (toolList.length > 1) {
+                const heading = document.createElement('h3');
+                heading.className = 'tool-form-heading';
+                heading.textContent = this.getToolDisplayName(tool);
+                form.appendChild(heading);
+            }
+            questionSets[index].forEach(question => {
+                const questionDiv = this.createQuestionElement(question, question.Question_ID);
+                form.appendChild(questionDiv);
+            });
         });
         
-        this.state.currentToolQuestions = toolQuestions;
         return true;
     }
     
@@ -183,33 +635,69 @@ class RiskAssessmentApp {
         const form = document.getElementById('context-form');
         form.innerHTML = '';
         
-        this.data.contextQuestions.forEach((question, index) => {
-            const questionDiv = this.createQuestionElement(question, `context_${index}`);
+        this.data.contextQuestions.forEach(question => {
+            const questionDiv = this.createQuestionElement(question, question.Question_ID);
             form.appendChild(questionDiv);
         });
     }
     
     createQuestionElement(question, questionId) {
+        const type = RiskQuestions.questionType(question);
         const div = document.createElement('div');
         div.className = 'question-group';
+        div.dataset.question = questionId;
+        div.dataset.type = type;
+        if (question.Show_If) {
+            div.classList.add('follow-up');
+        }
         
         const questionText = document.createElement('div');
         questionText.className = 'question-text';
         questionText.textContent = question.Question_Text;
+        div.appendChild(questionText);
         
         const optionsDiv = document.createElement('div');
         optionsDiv.className = 'question-options';
         
-        // Parse options (A, B, C, D)
-        const options = this.parseOptions(question);
-        
-        options.forEach((option, index) => {
-            if (option.text) { // Only create option if text exists
+        if (type === 'number') {
+            const { min, max } = RiskQuestions.numberRange(question);
+            const label = document.createElement('label');
+            label.className = 'number-answer';
+            
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.name = questionId;
+            input.id = `${questionId}_value`;
+            input.step = 'any';
+            if (min !== null) input.min = min;
+            if (max !== null) input.max = max;
+            
+            const unit = document.createElement('span');
+            unit.className = 'number-unit';
+            unit.textContent = question.Unit || '';
+            
+            label.appendChild(input);
+            label.appendChild(unit);
+            optionsDiv.appendChild(label);
+            
+            const hint = document.createElement('div');
+            hint.className = 'question-hint';
+            hint.textContent = max === null ? `Enter a number of at least ${min}.` : `Enter a number from ${min} to ${max}.`;
+            div.appendChild(hint);
+        } else {
+            if (type === 'multi') {
+                const hint = document.createElement('div');
+                hint.className = 'question-hint';
+                hint.textContent = 'Select all that apply.';
+                div.appendChild(hint);
+            }
+            
+            RiskQuestions.answerOptions(question).forEach((option, index) => {
                 const label = document.createElement('label');
                 label.className = 'option-label';
                 
                 const input = document.createElement('input');
-                input.type = 'radio';
+                input.type = type === 'multi' ? 'checkbox' : 'radio';
                 input.name = questionId;
                 input.value = option.value;
                 input.id = `${questionId}_${index}`;
@@ -220,61 +708,135 @@ class RiskAssessmentApp {
                 label.appendChild(input);
                 label.appendChild(text);
                 optionsDiv.appendChild(label);
-            }
-        });
+            });
+        }
+        
+        // Every question can be left open early in procurement
+        const unknownLabel = document.createElement('label');
+        unknownLabel.className = 'option-label unknown-option';
+        const unknownInput = document.createElement('input');
+        unknownInput.type = type === 'single' ? 'radio' : 'checkbox';
+        unknownInput.name = questionId;
+        unknownInput.value = RiskQuestions.UNKNOWN_ANSWER;
+        unknownInput.id = `${questionId}_unknown`;
+        const unknownText = document.createElement('span');
+        unknownText.textContent = RiskQuestions.UNKNOWN_TEXT;
+        unknownLabel.appendChild(unknownInput);
+        unknownLabel.appendChild(unknownText);
+        optionsDiv.appendChild(unknownLabel);
         
-        div.appendChild(questionText);
         div.appendChild(optionsDiv);
+        this.linkUnknownOption(div);
         
         return div;
     }
     
-    parseOptions(question) {
-        const options = [];
-        ['A', 'B', 'C', 'D'].forEach(letter => {
-            if (question[`Answer_${letter}`]) {
-                options.push({ 
-                    value: letter, 
-                    text: question[`Answer_${letter}`] 
-                });
+    // "Not sure yet" excludes the other answers to a multi-select or number question
+    linkUnknownOption(element) {
+        element.addEventListener('change', (event) => {
+            const unknown = element.querySelector(`input[value="${RiskQuestions.UNKNOWN_ANSWER}"]`);
+            if (!unknown || unknown.type === 'radio') return;
+            
+            if (event.target === unknown) {
+                if (unknown.checked) {
+                    element.querySelectorAll('input').forEach(input => {
+                        if (input === unknown) return;
+                        if (input.type === 'number') input.value = '';
+                        else input.checked = false;
+                    });
+                }
+            } else if (event.target.checked || event.target.type === 'number') {
+                unknown.checked = false;
             }
         });
-        return options;
     }
     
-    validateToolAnswers() {
-        const form = document.getElementById('tool-form');
-        const questionGroups = form.querySelectorAll('.question-group');
+    // Reads the answer from a question's inputs: a letter, an array of letters or a number.
+    // Used for the questionnaire forms and the what-if panel, which mark elements with data-type.
+    readQuestionAnswer(element) {
+        const type = element.dataset.type;
         
-        for (let group of questionGroups) {
-            const inputs = group.querySelectorAll('input');
-            const hasAnswer = Array.from(inputs).some(input => input.checked);
-            
-            if (!hasAnswer) {
-                group.style.borderLeft = '4px solid #dc2626';
-                group.scrollIntoView({ behavior: 'smooth', block: 'center' });
-                this.showError('Please answer all questions before proceeding.');
-                return false;
-            } else {
-                group.style.borderLeft = '4px solid #2563eb';
-            }
+        if (element.querySelector(`input[value="${RiskQuestions.UNKNOWN_ANSWER}"]:checked`)) {
+            return RiskQuestions.UNKNOWN_ANSWER;
         }
         
-        return true;
+        if (type === 'number') {
+            const input = element.querySelector('input[type="number"]');
+            return input.value === '' ? undefined : parseFloat(input.value);
+        }
+        if (type === 'multi') {
+            const values = Array.from(element.querySelectorAll('input:checked')).map(input => input.value);
+            return values.length > 0 ? values : undefined;
+        }
+        
+        const select = element.querySelector('select');
+        if (select) {
+            return select.value || undefined;
+        }
+        const checked = element.querySelector('input:checked');
+        return checked ? checked.value : undefined;
+    }
+    
+    writeQuestionAnswer(element, answer) {
+        if (element.dataset.type === 'number') {
+            const unknown = RiskQuestions.isUnknown(answer);
+            element.querySelector('input[type="number"]').value = answer === undefined || unknown ? '' : answer;
+            element.querySelector(`input[value="${RiskQuestions.UNKNOWN_ANSWER}"]`).checked = unknown;
+            return;
+        }
+        
+        const select = element.querySelector('select');
+        if (select) {
+            select.value = answer || select.options[0].value;
+            return;
+        }
+        
+        // Share links carry multi-select answers as "A+C"
+        const selected = answer === undefined ? [] : (Array.isArray(answer) ? answer : String(answer).split('+'));
+        element.querySelectorAll('input').forEach(input => {
+            input.checked = selected.includes(input.value);
+        });
+    }
+    
+    // Shows the follow-up questions whose Show_If conditions hold for the answers given so far
+    updateQuestionVisibility() {
+        const toolAnswers = this.readFormAnswers('tool-form', true);
+        const contextAnswers = this.readFormAnswers('context-form', true);
+        const visibleIds = [];
+        this.getSelectedTools().forEach(tool => {
+            const questionnaire = this.engine.getQuestionnaire({ tool, toolAnswers, contextAnswers });
+            [...questionnaire.toolQuestions, ...questionnaire.contextQuestions]
+                .forEach(question => visibleIds.push(question.Question_ID));
+        });
+        
+        document.querySelectorAll('#tool-form .question-group, #context-form .question-group').forEach(group => {
+            group.classList.toggle('hidden', !visibleIds.includes(group.dataset.question));
+        });
+    }
+    
+    validateToolAnswers() {
+        return this.validateFormAnswers('tool-form');
     }
     
     validateContextAnswers() {
-        const form = document.getElementById('context-form');
-        const questionGroups = form.querySelectorAll('.question-group');
+        return this.validateFormAnswers('context-form');
+    }
+    
+    validateFormAnswers(formId) {
+        const form = document.getElementById(formId);
+        const questionGroups = form.querySelectorAll('.question-group:not(.hidden)');
         
         for (let group of questionGroups) {
-            const inputs = group.querySelectorAll('input');
-            const hasAnswer = Array.from(inputs).some(input => input.checked);
+            const answer = this.readQuestionAnswer(group);
+            const numberInput = group.dataset.type === 'number' ? group.querySelector('input[type="number"]') : null;
+            const outOfRange = numberInput && typeof answer === 'number' && !numberInput.checkValidity();
             
-            if (!hasAnswer) {
+            if (answer === undefined || outOfRange) {
                 group.style.borderLeft = '4px solid #dc2626';
                 group.scrollIntoView({ behavior: 'smooth', block: 'center' });
-                this.showError('Please answer all questions before proceeding.');
+                this.showError(outOfRange
+                    ? 'Please enter a number within the range shown.'
+                    : 'Please answer all questions before proceeding.');
                 return false;
             } else {
                 group.style.borderLeft = '4px solid #2563eb';
@@ -285,337 +847,721 @@ class RiskAssessmentApp {
     }
     
     saveToolAnswers() {
-        const form = document.getElementById('tool-form');
-        const inputs = form.querySelectorAll('input:checked');
-        
-        this.state.toolAnswers = {};
-        
-        inputs.forEach(input => {
-            this.state.toolAnswers[input.name] = input.value;
-        });
+        this.state.toolAnswers = this.readFormAnswers('tool-form');
     }
     
     saveContextAnswers() {
-        const form = document.getElementById('context-form');
-        const inputs = form.querySelectorAll('input:checked');
-        
-        this.state.contextAnswers = {};
-        
-        inputs.forEach(input => {
-            this.state.contextAnswers[input.name] = input.value;
-        });
-    }
-    
-    calculateAndShowResults() {
-        this.showLoading();
-        
-        try {
-            const riskProfile = this.calculateRiskProfile();
-            this.displayResults(riskProfile);
-            this.showSection('results');
-        } catch (error) {
-            console.error('Error calculating results:', error);
-            this.showError('Error calculating risk assessment. Please try again.');
-        } finally {
-            this.hideLoading();
-        }
+        this.state.contextAnswers = this.readFormAnswers('context-form');
     }
     
-    calculateRiskProfile() {
-        const profile = {
-            toolType: this.state.selectedTool,
-            harmCategories: {},
-            overallRisk: 'LOW',
-            activeRisks: []
-        };
-        
-        // Initialize harm categories
-        Object.keys(this.harmCategories).forEach(category => {
-            profile.harmCategories[category] = {
-                severity: 'LOW',
-                hasRisk: false,
-                explanation: null
-            };
-        });
-        
-        // Process tool-specific answers
-        this.state.currentToolQuestions.forEach((question, index) => {
-            const answerKey = `tool_${index}`;
-            const answer = this.state.toolAnswers[answerKey];
-            
-            if (answer) {
-                this.processAnswerRisks(question, answer, profile);
-            }
-        });
-        
-        // Apply context modifiers
-        this.data.contextQuestions.forEach((question, index) => {
-            const answerKey = `context_${index}`;
-            const answer = this.state.contextAnswers[answerKey];
-            
-            if (answer) {
-                this.applyContextModifiers(question, answer, profile);
+    // Answers to skipped questions stay in the form but are left out unless includeHidden is set
+    readFormAnswers(formId, includeHidden = false) {
+        const answers = {};
+        const selector = includeHidden ? '.question-group' : '.question-group:not(.hidden)';
+        document.getElementById(formId).querySelectorAll(selector).forEach(group => {
+            const answer = this.readQuestionAnswer(group);
+            if (answer !== undefined) {
+                answers[group.dataset.question] = answer;
             }
         });
-        
-        // Apply compound risk rules
-        this.applyCompoundRiskRules(profile);
-        
-        // Get explanations for active risks
-        this.addRiskExplanations(profile);
-        
-        // Determine overall risk level
-        profile.overallRisk = this.determineOverallRisk(profile);
-        
-        return profile;
+        return answers;
     }
     
-    processAnswerRisks(question, answer, profile) {
-        Object.keys(this.harmCategories).forEach(category => {
-            const riskColumn = `${answer}_${category}`;
-            const severityColumn = `${answer}_Severity`;
-            
-            if (question[riskColumn] === 'TRUE' || question[riskColumn] === 'true') {
-                const severity = question[severityColumn] || 'LOW';
-                
-                // Update if higher severity
-                if (this.isSeverityHigher(severity, profile.harmCategories[category].severity)) {
-                    profile.harmCategories[category].severity = severity;
-                }
-                
-                profile.harmCategories[category].hasRisk = true;
+    writeFormAnswers(formId, answers) {
+        document.getElementById(formId).querySelectorAll('.question-group').forEach(group => {
+            if (group.dataset.question in answers) {
+                this.writeQuestionAnswer(group, answers[group.dataset.question]);
             }
         });
     }
     
-    applyContextModifiers(question, answer, profile) {
-        Object.keys(this.harmCategories).forEach(category => {
-            const modifierColumn = `${answer}_${category}_Modifier`;
-            const modifier = parseInt(question[modifierColumn]) || 0;
-            
-            if (modifier !== 0 && profile.harmCategories[category].hasRisk) {
-                const currentSeverity = profile.harmCategories[category].severity;
-                const newSeverity = this.applySeverityModifier(currentSeverity, modifier);
-                profile.harmCategories[category].severity = newSeverity;
-            }
-        });
+    // While a respondent is answering, the forms hold only their partial answers, so drafts,
+    // saves and share links keep the answers the assessment had before they started
+    getCurrentAssessment() {
+        const answers = this.state.heldAnswers || this.state;
+        return {
+            ...(this.state.portfolioTools ? { tools: this.state.portfolioTools } : { tool: this.state.selectedTool }),
+            toolAnswers: answers.toolAnswers,
+            contextAnswers: answers.contextAnswers,
+            ...(this.state.respondents.length > 0 ? { respondents: this.state.respondents } : {})
+        };
     }
     
-    applyCompoundRiskRules(profile) {
-        // Implementation of compound risk rules based on compound_risk_rules.csv
-        this.data.compoundRiskRules.forEach(rule => {
-            if (this.ruleApplies(rule, profile)) {
-                this.applyRule(rule, profile);
-            }
-        });
+    // "LLM Tutors" for one tool, "Plagiarism Detection + LLM Tutors" for a portfolio
+    getAssessmentName(assessment) {
+        return assessment.tools
+            ? assessment.tools.map(tool => this.getToolDisplayName(tool)).join(' + ')
+            : this.getToolDisplayName(assessment.tool);
     }
     
-    ruleApplies(rule, profile) {
-        const conditions = rule.Trigger_Conditions;
-        const toolType = rule.Tool_Type;
+    autosaveDraft() {
+        if (this.getSelectedTools().length > 0) {
+            this.storage.saveDraft(this.getCurrentAssessment());
+        }
+    }
+    
+    saveNamedAssessment() {
+        if (this.getSelectedTools().length === 0) {
+            return;
+        }
         
-        // Check if rule applies to current tool or both tools
-        if (toolType !== 'Both_Tools' && !this.state.selectedTool.includes(toolType.toLowerCase().replace('_', '_'))) {
-            return false;
+        const defaultName = `${this.getAssessmentName(this.getCurrentAssessment())} assessment ${new Date().toLocaleDateString()}`;
+        const name = window.prompt('Name this assessment:', defaultName);
+        if (name === null) {
+            return;
         }
         
-        // Parse and evaluate conditions
+        if (this.storage.save(name.trim() || defaultName, this.getCurrentAssessment())) {
+            this.renderSavedAssessments();
+            this.showNotice(`Saved "${name.trim() || defaultName}". Reopen it from the first step at any time.`);
+        } else {
+            this.showError('This browser does not allow saving assessments. Use a share link or an export instead.');
+        }
+    }
+    
+    getShareLink() {
+        const base = window.location.href.split('#')[0];
+        return base + RiskStorage.toShareHash(this.getCurrentAssessment());
+    }
+    
+    copyShareLink() {
+        const link = this.getShareLink();
+        const fallback = () => window.prompt('Copy this link to share the assessment:', link);
+        
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(link)
+                .then(() => this.showNotice('Share link copied. Anyone opening it sees these answers and results.'))
+                .catch(fallback);
+        } else {
+            fallback();
+        }
+    }
+    
+    restoreFromShareLink() {
+        let assessment;
         try {
-            // Handle different condition formats
-            if (conditions.includes('Bias=HIGH') && profile.harmCategories['Bias'].severity === 'HIGH') {
-                if (conditions.includes('Vulnerable_Population>=60%')) {
-                    // Check context for vulnerable population percentage
-                    return this.checkVulnerablePopulation(profile, 60);
-                }
-                return true;
-            }
-            
-            if (conditions.includes('Bias=CRITICAL') && profile.harmCategories['Bias'].severity === 'CRITICAL') {
-                if (conditions.includes('No_Appeals=TRUE')) {
-                    return this.checkNoAppeals(profile);
-                }
-                return true;
-            }
-            
-            if (conditions.includes('Integration=Automated')) {
-                return this.checkAutomatedIntegration(profile);
+            assessment = RiskStorage.fromShareHash(window.location.hash);
+        } catch (error) {
+            this.showError(error.message);
+            return;
+        }
+        
+        if (assessment) {
+            this.restoreAssessment(assessment);
+        }
+    }
+    
+    // Saved answers in the form their questions take now, so an option letter saved before a
+    // question took a number still fills it in; answers to other questions are kept as they are
+    migrateAnswers(questions, answers) {
+        const migrated = { ...answers };
+        questions.forEach(question => {
+            const answer = RiskQuestions.normalizeAnswer(question, migrated[question.Question_ID]);
+            if (answer !== undefined) {
+                migrated[question.Question_ID] = answer;
             }
-            
-            if (conditions.includes('Count_CRITICAL_Risks>=2')) {
-                const criticalCount = Object.values(profile.harmCategories)
-                    .filter(cat => cat.hasRisk && cat.severity === 'CRITICAL').length;
-                return criticalCount >= 2;
+        });
+        return migrated;
+    }
+    
+    restoreAssessment(assessment) {
+        if (!assessment) {
+            return;
+        }
+        
+        const tools = assessment.tools || [assessment.tool];
+        const unknownTool = tools.find(tool => this.engine.getToolQuestions(tool).length === 0);
+        if (unknownTool !== undefined) {
+            this.showError(`This assessment is for an unknown tool type "${unknownTool}".`);
+            return;
+        }
+        
+        this.setPortfolioMode(Boolean(assessment.tools));
+        if (assessment.tools) {
+            this.state.portfolioTools = [...assessment.tools];
+        } else {
+            this.state.selectedTool = assessment.tool;
+        }
+        this.state.toolAnswers = this.migrateAnswers(tools.flatMap(tool => this.engine.getToolQuestions(tool)), assessment.toolAnswers);
+        this.state.contextAnswers = this.migrateAnswers(this.data.contextQuestions, assessment.contextAnswers);
+        this.state.respondents = (assessment.respondents || []).map(respondent => ({ ...respondent }));
+        this.state.consensus = assessment.consensus || null;
+        
+        document.querySelectorAll('.tool-card').forEach(card => {
+            const selected = tools.includes(card.dataset.tool);
+            card.classList.toggle('selected', selected);
+            if (assessment.tools) {
+                card.setAttribute('aria-pressed', String(selected));
             }
-            
-            if (conditions.includes('Count_HIGH_Risks>=2')) {
-                const highCount = Object.values(profile.harmCategories)
-                    .filter(cat => cat.hasRisk && cat.severity === 'HIGH').length;
-                return highCount >= 2;
+        });
+        document.getElementById('portfolio-next').disabled = tools.length < 2;
+        
+        this.loadToolQuestions(assessment.tools || assessment.tool);
+        this.writeFormAnswers('tool-form', this.state.toolAnswers);
+        this.loadContextQuestions();
+        this.writeFormAnswers('context-form', this.state.contextAnswers);
+        this.updateQuestionVisibility();
+        
+        // Only keep answers that match the current questionnaires
+        this.saveToolAnswers();
+        this.saveContextAnswers();
+        
+        const questionnaires = tools.map(tool => this.engine.getQuestionnaire({ ...this.getCurrentAssessment(), tool }));
+        const toolComplete = questionnaires.every(questionnaire =>
+            questionnaire.toolQuestions.every(q => q.Question_ID in questionnaire.toolAnswers));
+        const contextComplete = questionnaires.every(questionnaire =>
+            questionnaire.contextQuestions.every(q => q.Question_ID in questionnaire.contextAnswers));
+        
+        if (toolComplete && contextComplete) {
+            this.calculateAndShowResults();
+        } else {
+            this.showSection(toolComplete ? 'context-questions' : 'tool-questions');
+        }
+    }
+    
+    renderSavedAssessments() {
+        const container = document.getElementById('saved-assessments');
+        const draft = this.storage.getDraft();
+        const saved = this.storage.listSaved();
+        
+        if (!draft && saved.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+        
+        const formatDate = iso => new Date(iso).toLocaleString();
+        
+        container.innerHTML = `
+            <h3>Saved Assessments</h3>
+            ${draft ? `
+                <div class="saved-item draft">
+                    <div class="saved-info">
+                        <strong>Unsaved draft</strong>
+                        <span>${RiskHTML.escape(this.getAssessmentName(draft))} &middot; last changed ${RiskHTML.escape(formatDate(draft.savedAt))}</span>
+                    </div>
+                    <div class="saved-actions">
+                        <button class="btn btn-secondary btn-small" data-action="resume-draft">Resume</button>
+                        <button class="btn btn-secondary btn-small" data-action="discard-draft">Discard</button>
+                    </div>
+                </div>
+            ` : ''}
+            ${saved.map(entry => `
+                <div class="saved-item">
+                    <div class="saved-info">
+                        <strong>${RiskHTML.escape(entry.name)}</strong>
+                        <span>${RiskHTML.escape(this.getAssessmentName(entry.assessment))} &middot; saved ${RiskHTML.escape(formatDate(entry.savedAt))}</span>
+                    </div>
+                    <div class="saved-actions">
+                        <button class="btn btn-secondary btn-small" data-action="open" data-id="${RiskHTML.escape(entry.id)}">Open</button>
+                        <button class="btn btn-secondary btn-small" data-action="delete" data-id="${RiskHTML.escape(entry.id)}">Delete</button>
+                    </div>
+                </div>
+            `).join('')}
+        `;
+    }
+    
+    // The answers behind the current results become the first respondent's
+    openRespondents() {
+        if (this.state.respondents.length === 0 && !this.state.consensus) {
+            const name = window.prompt('Who gave the answers behind these results?', 'Respondent 1');
+            if (name === null) {
+                return;
             }
-            
-        } catch (error) {
-            console.warn('Error evaluating rule condition:', conditions, error);
+            this.state.respondents.push({
+                name: name.trim() || 'Respondent 1',
+                toolAnswers: { ...this.state.toolAnswers },
+                contextAnswers: { ...this.state.contextAnswers }
+            });
+            this.autosaveDraft();
         }
         
-        return false;
+        this.renderRespondents();
+        this.showSection('respondents');
     }
     
-    applyRule(rule, profile) {
-        const effect = rule.Escalation_Effect;
-        const warning = rule.Special_Warning;
+    // The next respondent answers the same questionnaires from blank; finishing them records the answers
+    addRespondent() {
+        const defaultName = `Respondent ${this.state.respondents.length + 1}`;
+        const name = window.prompt('Who is answering next?', defaultName);
+        if (name === null) {
+            return;
+        }
         
-        try {
-            if (effect === 'Escalate_to_CRITICAL') {
-                // Escalate specific category to CRITICAL
-                const category = this.extractCategoryFromRule(rule);
-                if (category && profile.harmCategories[category]) {
-                    profile.harmCategories[category].severity = 'CRITICAL';
-                    profile.harmCategories[category].hasRisk = true;
-                }
-            } else if (effect.includes('Escalate_') && effect.includes('_to_')) {
-                // Handle specific escalations like "Escalate_Privacy_to_HIGH"
-                const parts = effect.split('_to_');
-                const categoryPart = parts[0].replace('Escalate_', '');
-                const newSeverity = parts[1];
-                
-                if (profile.harmCategories[categoryPart]) {
-                    profile.harmCategories[categoryPart].severity = newSeverity;
-                    profile.harmCategories[categoryPart].hasRisk = true;
+        this.state.pendingRespondent = this.uniqueRespondentName(name.trim() || defaultName);
+        this.state.heldAnswers = { toolAnswers: this.state.toolAnswers, contextAnswers: this.state.contextAnswers };
+        this.state.consensus = null;
+        this.state.toolAnswers = {};
+        this.state.contextAnswers = {};
+        this.loadToolQuestions(this.state.portfolioTools || this.state.selectedTool);
+        this.loadContextQuestions();
+        this.updateQuestionVisibility();
+        this.showSection('tool-questions');
+        this.showNotice(`Answering as ${this.state.pendingRespondent}. Their answers join the others when they finish.`);
+    }
+    
+    recordRespondent() {
+        this.state.respondents.push({
+            name: this.state.pendingRespondent,
+            toolAnswers: { ...this.state.toolAnswers },
+            contextAnswers: { ...this.state.contextAnswers }
+        });
+        this.state.pendingRespondent = null;
+        
+        // The questionnaires go back to the assessment's own answers until they are combined
+        this.state.toolAnswers = this.state.heldAnswers.toolAnswers;
+        this.state.contextAnswers = this.state.heldAnswers.contextAnswers;
+        this.state.heldAnswers = null;
+        this.loadToolQuestions(this.state.portfolioTools || this.state.selectedTool);
+        this.writeFormAnswers('tool-form', this.state.toolAnswers);
+        this.loadContextQuestions();
+        this.writeFormAnswers('context-form', this.state.contextAnswers);
+        this.updateQuestionVisibility();
+        this.autosaveDraft();
+        this.renderRespondents();
+        this.showSection('respondents');
+    }
+    
+    // Reads responses files, answers files and JSON report exports for the same tools
+    async importResponses(files) {
+        const assessment = this.getCurrentAssessment();
+        const problems = [];
+        
+        await Promise.all(files.map(async file => {
+            try {
+                const imported = RiskRespondents.fromFile(JSON.parse(await file.text()), file.name.replace(/\.json$/i, ''));
+                if (!RiskRespondents.sameTools(imported, assessment)) {
+                    throw new Error(`it answers ${this.getAssessmentName(imported)}, not ${this.getAssessmentName(assessment)}`);
                 }
-            } else if (effect === 'Escalate_All_to_HIGH') {
-                Object.keys(profile.harmCategories).forEach(category => {
-                    if (profile.harmCategories[category].hasRisk) {
-                        const currentSeverity = profile.harmCategories[category].severity;
-                        if (this.isSeverityHigher('HIGH', currentSeverity)) {
-                            profile.harmCategories[category].severity = 'HIGH';
-                        }
-                    }
+                imported.respondents.forEach(respondent => {
+                    this.state.respondents.push({
+                        name: this.uniqueRespondentName(String(respondent.name)),
+                        toolAnswers: { ...respondent.toolAnswers },
+                        contextAnswers: { ...respondent.contextAnswers }
+                    });
                 });
+            } catch (error) {
+                problems.push(`${file.name}: ${error.message}`);
             }
+        }));
+        
+        this.autosaveDraft();
+        this.renderRespondents();
+        if (problems.length > 0) {
+            this.showError(`Some files were not imported. ${problems.join('. ')}.`);
+        }
+    }
+    
+    // Answers are compared by name, so a second "Dean" becomes "Dean (2)"
+    uniqueRespondentName(name) {
+        const taken = this.state.respondents.map(respondent => respondent.name);
+        let unique = name;
+        for (let count = 2; taken.includes(unique); count++) {
+            unique = `${name} (${count})`;
+        }
+        return unique;
+    }
+    
+    renderRespondents() {
+        const container = document.getElementById('respondents-content');
+        const respondents = this.state.respondents;
+        const assessment = this.getCurrentAssessment();
+        const own = respondents.map(respondent => this.calculateRiskProfile({
+            ...assessment,
+            toolAnswers: respondent.toolAnswers,
+            contextAnswers: respondent.contextAnswers
+        }));
+        
+        document.getElementById('respondents-combine').disabled = respondents.length < 2;
+        document.getElementById('respondents-export').disabled = respondents.length === 0;
+        
+        const list = `
+            <h3>Respondents</h3>
+            ${respondents.length === 0 ? '<p>No one has been added yet.</p>' : `
+                <ul class="respondent-list">
+                    ${respondents.map((respondent, index) => `
+                        <li class="respondent-item">
+                            <div>
+                                <strong>${RiskHTML.escape(respondent.name)}</strong>
+                                <span>Their own answers rate the overall risk ${this.generateSeverityRange(own[index].overallRisk, own[index].overallRisk)}</span>
+                            </div>
+                            <button class="btn btn-secondary btn-small" data-action="remove-respondent" data-index="${index}">Remove</button>
+                        </li>
+                    `).join('')}
+                </ul>
+            `}
+        `;
+        
+        if (respondents.length < 2) {
+            container.innerHTML = `${list}
+                <p class="instruction">Add another respondent, or import their response files, to compare answers.</p>
+            `;
+            return;
+        }
+        
+        const { consensus } = RiskRespondents.aggregate(this.engine, assessment, respondents, this.state.aggregation);
+        const disagreements = consensus.questions.filter(question => !question.agreed);
+        const agreed = consensus.questions.filter(question => question.agreed);
+        const answerCell = answer => (answer
+            ? `<td title="${RiskHTML.escape(answer.display)}">${RiskHTML.escape(answer.short)}</td>`
+            : '<td class="no-answer">–</td>');
+        
+        container.innerHTML = `${list}
+            <div class="consensus-controls">
+                <label>Combine answers by
+                    <select id="respondents-aggregation">
+                        ${Object.entries(RiskRespondents.AGGREGATIONS).map(([method, aggregation]) => `
+                            <option value="${method}" ${method === this.state.aggregation ? 'selected' : ''}>${RiskHTML.escape(aggregation.name)}</option>
+                        `).join('')}
+                    </select>
+                </label>
+                <p>${RiskHTML.escape(RiskRespondents.AGGREGATIONS[this.state.aggregation].description)}.</p>
+            </div>
             
-            // Add special warning if provided
-            if (warning) {
-                if (!profile.compoundWarnings) {
-                    profile.compoundWarnings = [];
-                }
-                profile.compoundWarnings.push({
-                    ruleId: rule.Rule_ID,
-                    warning: warning,
-                    riskCombination: rule.Risk_Combination
-                });
-            }
+            <div class="agreement-summary">
+                <strong>${Math.round(consensus.agreement * 100)}% agreement.</strong>
+                They gave the same answer to ${consensus.agreedQuestions} of ${consensus.comparedQuestions} questions;
+                on average ${Math.round(consensus.agreement * 100)}% of respondents gave a question's most common answer.
+            </div>
             
-        } catch (error) {
-            console.warn('Error applying rule effect:', effect, error);
-        }
+            ${disagreements.length > 0 ? `
+                <h3>Where They Disagree</h3>
+                <div class="table-scroll">
+                    <table class="disagreement-table">
+                        <thead>
+                            <tr>
+                                <th scope="col">Question</th>
+                                ${respondents.map(respondent => `<th scope="col">${RiskHTML.escape(respondent.name)}</th>`).join('')}
+                                <th scope="col">Combined</th>
+                                <th scope="col">Agreement</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${disagreements.map(question => `
+                                <tr>
+                                    <td><strong>${RiskHTML.escape(question.questionId)}</strong> ${RiskHTML.escape(question.questionText)}</td>
+                                    ${respondents.map(respondent => answerCell(question.answers.find(answer => answer.respondent === respondent.name))).join('')}
+                                    <td class="combined-answer" title="${RiskHTML.escape(question.combinedDisplay)}">${RiskHTML.escape(question.combinedShort)}</td>
+                                    <td>${Math.round(question.agreement * 100)}%</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            ` : '<p>Everyone gave the same answers.</p>'}
+            
+            ${agreed.length > 0 && disagreements.length > 0 ? `
+                <details class="agreed-questions">
+                    <summary>Questions everyone answered the same way (${agreed.length})</summary>
+                    <ul>
+                        ${agreed.map(question => `
+                            <li><strong>${RiskHTML.escape(question.questionId)}</strong> ${RiskHTML.escape(question.questionText)}: ${RiskHTML.escape(question.combinedDisplay)}</li>
+                        `).join('')}
+                    </ul>
+                </details>
+            ` : ''}
+        `;
     }
     
-    checkVulnerablePopulation(profile, threshold) {
-        // Check context answers for vulnerable population percentage
-        const contextAnswers = Object.values(this.state.contextAnswers);
-        // This would need to be implemented based on specific context question structure
-        // For now, return a placeholder
-        return contextAnswers.includes('D'); // Assuming D represents highest vulnerability
+    showCombinedResults() {
+        const combined = RiskRespondents.aggregate(this.engine, this.getCurrentAssessment(), this.state.respondents, this.state.aggregation);
+        this.restoreAssessment({ ...combined, respondents: this.state.respondents });
     }
     
-    checkNoAppeals(profile) {
-        // Check if "No formal appeals" was selected in tool questions
-        const toolAnswers = Object.values(this.state.toolAnswers);
-        return toolAnswers.includes('A'); // Assuming A represents no appeals
+    createConsensusBanner(consensus) {
+        const banner = document.createElement('div');
+        banner.className = 'consensus-banner';
+        banner.innerHTML = `
+            <p>${RiskHTML.escape(consensus.summary)}</p>
+            <button type="button" class="btn btn-secondary btn-small">See Where They Disagree</button>
+        `;
+        banner.querySelector('button').addEventListener('click', () => {
+            this.renderRespondents();
+            this.showSection('respondents');
+        });
+        return banner;
     }
     
-    checkAutomatedIntegration(profile) {
-        // Check if automated integration was selected
-        const toolAnswers = Object.values(this.state.toolAnswers);
-        return toolAnswers.includes('D'); // Assuming D represents automated integration
+    // The obligations the results trigger, grouped by framework
+    renderRegulatory(profile) {
+        const container = document.getElementById('regulatory-content');
+        const groups = RiskRegulatory.byFramework(RiskRegulatory.obligations(this.engine, profile));
+        const errors = RiskRegulatory.errors(this.engine, profile);
+        
+        // Mappings that could not be evaluated come first, as the list below may be missing their obligations
+        const errorsHTML = errors.length === 0 ? '' : `
+            <div class="rule-errors">
+                <h4>Crosswalk Errors</h4>
+                <p>The following mappings in regulatory_crosswalk.csv could not be evaluated, so their obligations may be missing:</p>
+                <ul>
+                    ${errors.map(error => `
+                        <li><strong>${RiskHTML.escape(error.mappingId)}</strong> (${RiskHTML.escape(error.reference)}): <code>${RiskHTML.escape(error.condition)}</code> &mdash; ${RiskHTML.escape(error.message)}</li>
+                    `).join('')}
+                </ul>
+            </div>
+        `;
+        
+        if (groups.length === 0) {
+            container.innerHTML = `${errorsHTML}<p>These results trigger no obligations in regulatory_crosswalk.csv.</p>`;
+            return;
+        }
+        
+        container.innerHTML = errorsHTML + groups.map(group => `
+            <div class="regulatory-framework">
+                <h3>${RiskHTML.escape(group.framework)}</h3>
+                ${group.obligations.map(obligation => `
+                    <div class="regulatory-item">
+                        <div class="regulatory-header">
+                            <span class="regulatory-reference">${RiskHTML.escape(obligation.reference)}</span>
+                            <strong>${RiskHTML.escape(obligation.title)}</strong>
+                        </div>
+                        <p>${RiskHTML.escape(obligation.obligation)}</p>
+                        <p class="regulatory-documentation"><strong>Documentation needed:</strong> ${RiskHTML.escape(obligation.documentation)}</p>
+                        <p class="regulatory-meta">
+                            ${profile.portfolio ? `${RiskHTML.escape(obligation.tools.map(tool => this.getToolDisplayName(tool)).join(', '))} &middot; ` : ''}
+                            Triggered by ${RiskHTML.escape(obligation.reasons.join('; ') || 'the use of the tool')}
+                            ${obligation.url ? ` &middot; ${RiskHTML.link(obligation.url, 'Source')}` : ''}
+                        </p>
+                    </div>
+                `).join('')}
+            </div>
+        `).join('');
     }
     
-    extractCategoryFromRule(rule) {
-        // Extract category name from rule context
-        const combination = rule.Risk_Combination;
-        if (combination.includes('Bias')) return 'Bias';
-        if (combination.includes('Privacy')) return 'Privacy';
-        if (combination.includes('Flourishing')) return 'Flourishing';
-        if (combination.includes('Organizational')) return 'Organizational';
-        if (combination.includes('Accuracy')) return 'Accuracy';
-        if (combination.includes('Misuse')) return 'Misuse';
-        return null;
+    renderScenarioLibrary() {
+        const container = document.getElementById('scenario-library');
+        const scenarios = this.data.scenarios;
+        
+        if (scenarios.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+        
+        const toolNames = scenario => RiskScenarios.scenarioTools(scenario, this.data.toolTypes)
+            .map(tool => (tool ? this.getToolDisplayName(tool) : 'Unknown tool'))
+            .join(' + ');
+        
+        container.innerHTML = `
+            <h3>Worked Examples</h3>
+            <p class="instruction">Load a case study to see a finished assessment, then change any answer to explore it.</p>
+            ${scenarios.map(scenario => `
+                <div class="saved-item scenario-item">
+                    <div class="saved-info">
+                        <strong>${RiskHTML.escape(scenario.Name)}</strong>
+                        <span>${RiskHTML.escape(toolNames(scenario))}${scenario.Description ? ` &middot; ${RiskHTML.escape(scenario.Description)}` : ''}</span>
+                    </div>
+                    <div class="saved-actions">
+                        <button class="btn btn-secondary btn-small" data-action="load-scenario" data-id="${RiskHTML.escape(scenario.Scenario_ID)}">Load</button>
+                    </div>
+                </div>
+            `).join('')}
+            <button class="btn btn-secondary btn-small scenario-check-button" data-action="check-scenarios">Check All Scenarios</button>
+        `;
     }
     
-    addRiskExplanations(profile) {
-        const toolTypeMap = {
-            'plagiarism_detection': 'Plagiarism_Detection',
-            'llm_tutors': 'LLM_Tutors'
-        };
+    loadScenario(id) {
+        const scenario = this.data.scenarios.find(entry => entry.Scenario_ID === id);
+        if (!scenario) {
+            return;
+        }
         
-        const csvToolType = toolTypeMap[this.state.selectedTool];
+        let assessment;
+        try {
+            assessment = RiskScenarios.toAssessment(scenario, this.data.toolTypes);
+        } catch (error) {
+            this.showError(error.message);
+            return;
+        }
         
-        Object.keys(profile.harmCategories).forEach(category => {
-            const categoryData = profile.harmCategories[category];
-            
-            if (categoryData.hasRisk) {
-                const explanation = this.data.riskExplanations.find(exp => 
-                    exp.Risk_Category === category &&
-                    exp.Severity_Level === categoryData.severity &&
-                    exp.Tool_Type === csvToolType
-                );
-                
-                if (explanation) {
-                    categoryData.explanation = explanation;
-                    profile.activeRisks.push({
-                        category: category,
-                        categoryName: this.harmCategories[category],
-                        severity: categoryData.severity,
-                        explanation: explanation
-                    });
-                }
+        this.restoreAssessment(assessment);
+        this.showNotice(`Loaded the worked example "${scenario.Name}". Change any answer to see how the results move.`);
+    }
+    
+    // Scores every scenario with the loaded content, or with data such as the authoring drafts
+    checkScenarios(data) {
+        const engine = data ? new RiskEngine(data) : this.engine;
+        const scenarios = (data || this.data).scenarios;
+        
+        const results = scenarios.map(scenario => {
+            try {
+                const assessment = RiskScenarios.toAssessment(scenario, engine.data.toolTypes);
+                const profile = this.calculateRiskProfile(assessment, engine);
+                return { scenario, profile, differences: RiskScenarios.compare(scenario, profile) };
+            } catch (error) {
+                return { scenario, error: error.message };
             }
         });
+        
+        if (this.state.currentSection !== 'scenario-check') {
+            this.scenarioCheck = { returnTo: this.state.currentSection };
+        }
+        this.scenarioCheck.results = results;
+        this.scenarioCheck.drafts = Boolean(data);
+        this.renderScenarioCheck();
+        this.showSection('scenario-check');
     }
     
-    isSeverityHigher(newSeverity, currentSeverity) {
-        const severityOrder = { 'LOW': 0, 'MEDIUM': 1, 'HIGH': 2, 'CRITICAL': 3 };
-        return severityOrder[newSeverity] > severityOrder[currentSeverity];
+    renderScenarioCheck() {
+        const { results, drafts } = this.scenarioCheck;
+        const container = document.getElementById('scenario-results');
+        const failing = results.filter(result => result.error || result.differences.length > 0);
+        const badge = severity => this.generateSeverityRange(
+            severity === RiskScenarios.NO_RISK ? null : severity,
+            severity === RiskScenarios.NO_RISK ? null : severity
+        );
+        
+        const outcome = result => {
+            const basis = RiskScenarios.expectedBasis(result.scenario);
+            if (result.error) {
+                return `<span class="scenario-status failed">Could not run</span><p>${RiskHTML.escape(result.error)}</p>`;
+            }
+            if (result.differences.length === 0) {
+                return '<span class="scenario-status passed">Matches</span>';
+            }
+            return `
+                <span class="scenario-status failed">${result.differences.length} categor${result.differences.length === 1 ? 'y differs' : 'ies differ'}</span>
+                <ul class="scenario-differences">
+                    ${result.differences.map(difference => `
+                        <li>
+                            ${RiskHTML.escape(this.harmCategories[difference.category])}: expected ${badge(difference.expected)} now ${badge(difference.actual)}
+                            ${basis[difference.category] ? `<span class="scenario-basis">Expected because: ${RiskHTML.escape(basis[difference.category])}</span>` : ''}
+                        </li>
+                    `).join('')}
+                </ul>
+            `;
+        };
+        
+        container.innerHTML = `
+            <div class="scenario-summary ${failing.length > 0 ? 'has-failures' : 'all-passed'}">
+                ${results.length === 0
+                    ? 'There are no scenarios in data/scenarios.csv.'
+                    : `${results.length - failing.length} of ${results.length} scenario${results.length === 1 ? '' : 's'} match their expected severities${drafts ? ' with your content edits' : ''}.`}
+            </div>
+            <table class="scenario-table">
+                <thead>
+                    <tr><th scope="col">Scenario</th><th scope="col">Result</th><th scope="col"></th></tr>
+                </thead>
+                <tbody>
+                    ${results.map(result => `
+                        <tr class="${result.error || result.differences.length > 0 ? 'failed' : 'passed'}">
+                            <td><strong>${RiskHTML.escape(result.scenario.Scenario_ID)}</strong> ${RiskHTML.escape(result.scenario.Name)}</td>
+                            <td>${outcome(result)}</td>
+                            <td><button class="btn btn-secondary btn-small" data-action="load-scenario" data-id="${RiskHTML.escape(result.scenario.Scenario_ID)}">Load</button></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+        document.getElementById('scenario-export').disabled = failing.length === 0 || results.some(result => result.error);
     }
     
-    applySeverityModifier(severity, modifier) {
-        const severityOrder = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
-        const currentIndex = severityOrder.indexOf(severity);
-        const newIndex = Math.max(0, Math.min(3, currentIndex + modifier));
-        return severityOrder[newIndex];
+    // Records the checked results as the new expectations, for when a content change is intended
+    exportScenarioResults() {
+        const rows = this.scenarioCheck.results.map(result => RiskScenarios.withExpected(result.scenario, result.profile));
+        this.downloadFile(
+            'scenarios.csv',
+            RiskCSV.stringify(rows, RiskAuthoring.columns(rows), ['Name', 'Description', 'Expected_Basis']),
+            'text/csv'
+        );
     }
     
-    determineOverallRisk(profile) {
-        let highestSeverity = 'LOW';
+    calculateAndShowResults() {
+        this.showLoading();
         
-        Object.values(profile.harmCategories).forEach(category => {
-            if (category.hasRisk && this.isSeverityHigher(category.severity, highestSeverity)) {
-                highestSeverity = category.severity;
+        try {
+            const riskProfile = this.calculateRiskProfile();
+            if (this.state.consensus) {
+                riskProfile.consensus = this.state.consensus;
             }
-        });
-        
-        return highestSeverity;
+            this.state.currentProfile = riskProfile;
+            this.state.portfolioProfile = null;
+            this.autosaveDraft();
+            this.displayResults(riskProfile);
+            this.preparePrintReport(riskProfile);
+            this.showSection('results');
+        } catch (error) {
+            console.error('Error calculating results:', error);
+            this.showError('Error calculating risk assessment. Please try again.');
+        } finally {
+            this.hideLoading();
+        }
+    }
+    
+    // The wizard's assessment by default; scenario checks pass their own, and their own engine
+    // when checking unapplied content edits
+    calculateRiskProfile(assessment = this.getCurrentAssessment(), engine = this.engine) {
+        if (assessment.tools) {
+            return engine.assessPortfolio(assessment);
+        }
+        return engine.assess(assessment);
     }
     
     displayResults(riskProfile) {
+        if (riskProfile.portfolio) {
+            this.displayPortfolioResults(riskProfile);
+            return;
+        }
+        
         const container = document.getElementById('results-content');
         container.innerHTML = '';
         
+        // One tool of a portfolio, opened from the portfolio results
+        if (this.state.portfolioProfile) {
+            const backDiv = document.createElement('div');
+            backDiv.className = 'portfolio-back';
+            backDiv.innerHTML = `
+                <p>Showing ${RiskHTML.escape(this.getToolDisplayName(riskProfile.toolType))} on its own. Cross-tool warnings appear only in the portfolio results.</p>
+                <button type="button" class="btn btn-secondary btn-small">Back to Portfolio Results</button>
+            `;
+            backDiv.querySelector('button').addEventListener('click', () => this.viewPortfolio());
+            container.appendChild(backDiv);
+        }
+        
+        if (riskProfile.consensus) {
+            container.appendChild(this.createConsensusBanner(riskProfile.consensus));
+        }
+        
+        // Visual summary for readers who look at the picture first
+        const overviewDiv = document.createElement('div');
+        overviewDiv.className = 'results-overview';
+        overviewDiv.innerHTML = `
+            <div class="overview-chart">
+                <h4>Where the Risks Are: Harm Category × Interaction Layer</h4>
+                ${RiskCharts.heatmap(riskProfile)}
+            </div>
+            <div class="overview-chart">
+                <h4>Severity by Harm Category</h4>
+                ${RiskCharts.severityChart(riskProfile)}
+            </div>
+        `;
+        container.appendChild(overviewDiv);
+        
         // Overall risk summary
         const summaryDiv = document.createElement('div');
         summaryDiv.className = 'results-summary';
         summaryDiv.innerHTML = `
-            <div class="overall-risk ${riskProfile.overallRisk.toLowerCase()}">
+            <div class="overall-risk ${RiskHTML.escape(riskProfile.overallRisk.toLowerCase())}">
                 <h3>Overall Risk Level</h3>
-                <div class="risk-badge ${riskProfile.overallRisk.toLowerCase()}">${riskProfile.overallRisk}</div>
+                ${riskProfile.uncertainty ? `
+                    <div class="risk-range">
+                        ${this.generateSeverityRange(riskProfile.uncertainty.best.overallRisk, riskProfile.uncertainty.worst.overallRisk)}
+                    </div>
+                ` : `
+                    <div class="risk-badge ${RiskHTML.escape(riskProfile.overallRisk.toLowerCase())}">${RiskHTML.escape(riskProfile.overallRisk)}</div>
+                `}
+                ${this.generateCompositeScore(riskProfile)}
                 <p class="risk-description">
                     Based on your ${riskProfile.activeRisks.length} identified risk categories for 
-                    ${this.getToolDisplayName(riskProfile.toolType)} implementation.
+                    ${RiskHTML.escape(this.getToolDisplayName(riskProfile.toolType))} implementation.
                 </p>
             </div>
         `;
         container.appendChild(summaryDiv);
         
+        // Best and worst case while some answers are "Not sure yet"
+        if (riskProfile.uncertainty) {
+            container.appendChild(this.createUncertaintyPanel(riskProfile.uncertainty));
+        }
+        
         // Compound risk warnings
         if (riskProfile.compoundWarnings && riskProfile.compoundWarnings.length > 0) {
             const warningsDiv = document.createElement('div');
@@ -624,20 +1570,31 @@ class RiskAssessmentApp {
                 <h3>⚠️ Compound Risk Warnings</h3>
                 <div class="warning-content">
                     <p><strong>Dangerous Risk Combinations Detected:</strong></p>
-                    ${riskProfile.compoundWarnings.map(warning => `
-                        <div class="warning-item">
-                            <div class="warning-header">
-                                <strong>${warning.riskCombination}</strong>
-                                <span class="warning-badge">HIGH PRIORITY</span>
-                            </div>
-                            <p>${warning.warning}</p>
-                        </div>
-                    `).join('')}
+                    ${riskProfile.compoundWarnings.map(warning => this.generateWarning(warning.riskCombination, warning.warning)).join('')}
                 </div>
             `;
             container.appendChild(warningsDiv);
         }
         
+        // Malformed compound rules
+        if (riskProfile.ruleErrors && riskProfile.ruleErrors.length > 0) {
+            const errorsDiv = document.createElement('div');
+            errorsDiv.className = 'rule-errors';
+            errorsDiv.innerHTML = `
+                <h4>Compound Rule Errors</h4>
+                <p>The following rules in compound_risk_rules.csv could not be evaluated and were skipped:</p>
+                <ul>
+                    ${riskProfile.ruleErrors.map(error => `
+                        <li><strong>${RiskHTML.escape(error.ruleId)}</strong>: <code>${RiskHTML.escape('effect' in error ? error.effect : error.condition)}</code> &mdash; ${RiskHTML.escape(error.message)}</li>
+                    `).join('')}
+                </ul>
+            `;
+            container.appendChild(errorsDiv);
+        }
+        
+        // What-if analysis
+        container.appendChild(this.createWhatIfPanel(riskProfile));
+        
         // Risk categories with 4 interaction layers
         if (riskProfile.activeRisks.length > 0) {
             const risksDiv = document.createElement('div');
@@ -650,28 +1607,30 @@ class RiskAssessmentApp {
                 
                 riskDiv.innerHTML = `
                     <div class="risk-header">
-                        <h4>${risk.categoryName}</h4>
-                        <div class="risk-badge ${risk.severity.toLowerCase()}">${risk.severity}</div>
-                    </div>
-                    <div class="risk-explanation">
-                        <p>${risk.explanation.Explanation_Text}</p>
-                        ${risk.explanation.Citation_Text ? `
-                            <div class="citation">
-                                <strong>Research Citation:</strong> ${risk.explanation.Citation_Text}
-                                ${risk.explanation.Citation_URL ? `<br><a href="${risk.explanation.Citation_URL}" target="_blank">View Research</a>` : ''}
-                            </div>
-                        ` : ''}
+                        <h4>${RiskHTML.escape(risk.categoryName)}</h4>
+                        <div class="risk-rating">
+                            <div class="risk-badge ${RiskHTML.escape(risk.severity.toLowerCase())}">${RiskHTML.escape(risk.severity)}</div>
+                            ${this.generateRiskScore(riskProfile.harmCategories[risk.category])}
+                        </div>
                     </div>
+                    ${this.generateExplanation(risk.explanation)}
                     <div class="interaction-layers">
                         <h5>Risk Manifestation Across Interaction Layers:</h5>
-                        ${this.generateLayerDescriptions(risk.category)}
+                        ${this.generateLayerDescriptions(riskProfile, risk.category)}
                     </div>
+                    ${this.generateProvenance(riskProfile.harmCategories[risk.category])}
                 `;
                 
                 risksDiv.appendChild(riskDiv);
             });
             
             container.appendChild(risksDiv);
+            
+            // Recommended mitigations and the residual risk if they are adopted
+            const mitigationPlan = this.createMitigationPlan(riskProfile);
+            if (mitigationPlan) {
+                container.appendChild(mitigationPlan);
+            }
         } else {
             const noRiskDiv = document.createElement('div');
             noRiskDiv.className = 'no-risks';
@@ -682,6 +1641,34 @@ class RiskAssessmentApp {
             container.appendChild(noRiskDiv);
         }
         
+        // Facts derived from answers, so reviewers can check what the compound rules saw
+        const factNames = Object.keys(riskProfile.facts);
+        if (factNames.length > 0) {
+            const factsDiv = document.createElement('div');
+            factsDiv.className = 'assessment-facts';
+            factsDiv.innerHTML = `
+                <h4>Assessment Facts Used by Compound Rules</h4>
+                <table class="facts-table">
+                    <thead>
+                        <tr><th>Fact</th><th>Value</th><th>Derived From</th></tr>
+                    </thead>
+                    <tbody>
+                        ${factNames.map(name => {
+                            const fact = riskProfile.facts[name];
+                            return `
+                                <tr>
+                                    <td>${RiskHTML.escape(name.replace(/_/g, ' '))}</td>
+                                    <td><code>${RiskHTML.escape(fact.displayValue)}</code></td>
+                                    <td>${RiskHTML.escape(fact.questionId)}: ${RiskHTML.escape(fact.answerText)}</td>
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                </table>
+            `;
+            container.appendChild(factsDiv);
+        }
+        
         // Framework information
         const frameworkDiv = document.createElement('div');
         frameworkDiv.className = 'framework-info';
@@ -693,61 +1680,598 @@ class RiskAssessmentApp {
         container.appendChild(frameworkDiv);
     }
     
-    generateLayerDescriptions(category) {
-        const descriptions = {
-            'Bias': {
-                'Output': 'Individual AI responses may contain biased assumptions or discriminatory content',
-                'Whole': 'Complete interactions reinforce systematic bias patterns over time',
-                'Group': 'Classroom dynamics affected by biased AI outputs creating unfair group experiences',
-                'System': 'Institutional embedding of biased AI systems affecting policies and culture'
-            },
-            'Privacy': {
-                'Output': 'Individual AI responses may expose or misuse personal student information',
-                'Whole': 'Complete interaction sessions create comprehensive behavioral profiles',
-                'Group': 'Group privacy violations through collective data analysis and sharing',
-                'System': 'Institution-wide data collection creating permanent surveillance infrastructure'
-            },
-            'Flourishing': {
-                'Output': 'Individual AI responses may reduce student agency and critical thinking',
-                'Whole': 'Complete AI interactions replace authentic learning relationships',
-                'Group': 'Group learning dynamics diminished through AI mediation',
-                'System': 'Institutional over-reliance on AI reduces human potential development'
-            },
-            'Organizational': {
-                'Output': 'Individual AI outputs create administrative burden and complexity',
-                'Whole': 'Complete AI systems require significant organizational restructuring',
-                'Group': 'Group-level changes in roles and responsibilities due to AI implementation',
-                'System': 'System-wide organizational transformation and dependency on AI vendors'
-            },
-            'Accuracy': {
-                'Output': 'Individual AI responses may contain factual errors or misinformation',
-                'Whole': 'Complete AI interactions may reinforce misconceptions systematically',
-                'Group': 'Group learning affected by collectively shared AI misinformation',
-                'System': 'Institutional reliance on potentially inaccurate AI systems'
-            },
-            'Misuse': {
-                'Output': 'Individual AI responses can be misused for academic shortcuts or cheating',
-                'Whole': 'Complete AI interactions enable systematic academic dishonesty',
-                'Group': 'Group misuse creating unfair academic advantages or cyberbullying',
-                'System': 'Institutional failure to prevent systematic AI misuse and abuse'
+    // Institution-wide ratings for tools used together, with each tool's own rating beside them
+    displayPortfolioResults(portfolio) {
+        const container = document.getElementById('results-content');
+        container.innerHTML = '';
+        const badge = severity => this.generateSeverityRange(severity, severity);
+        const rating = (profile, category) => profile.harmCategories[category].hasRisk
+            ? profile.harmCategories[category].severity
+            : null;
+        const toolNames = portfolio.tools.map(profile => RiskHTML.escape(this.getToolDisplayName(profile.toolType)));
+        
+        if (portfolio.consensus) {
+            container.appendChild(this.createConsensusBanner(portfolio.consensus));
+        }
+        
+        const overviewDiv = document.createElement('div');
+        overviewDiv.className = 'results-overview';
+        overviewDiv.innerHTML = `
+            <div class="overview-chart">
+                <h4>Where the Risks Are Across the Institution</h4>
+                ${RiskCharts.heatmap(portfolio)}
+            </div>
+            <div class="overview-chart">
+                <h4>Severity by Harm Category</h4>
+                ${RiskCharts.severityChart(portfolio)}
+            </div>
+        `;
+        container.appendChild(overviewDiv);
+        
+        const summaryDiv = document.createElement('div');
+        summaryDiv.className = 'results-summary';
+        summaryDiv.innerHTML = `
+            <div class="overall-risk ${RiskHTML.escape(portfolio.overallRisk.toLowerCase())}">
+                <h3>Institution-Wide Risk Level</h3>
+                <div class="risk-badge ${RiskHTML.escape(portfolio.overallRisk.toLowerCase())}">${RiskHTML.escape(portfolio.overallRisk)}</div>
+                ${this.generateCompositeScore(portfolio)}
+                <p class="risk-description">
+                    The worst rating in each harm category across ${toolNames.join(' + ')}, raised where
+                    cross-tool rules apply. ${portfolio.activeRisks.length} risk categories identified.
+                </p>
+            </div>
+        `;
+        container.appendChild(summaryDiv);
+        
+        if (portfolio.compoundWarnings && portfolio.compoundWarnings.length > 0) {
+            const warningsDiv = document.createElement('div');
+            warningsDiv.className = 'compound-warnings';
+            warningsDiv.innerHTML = `
+                <h3>⚠️ Cross-Tool Risk Warnings</h3>
+                <div class="warning-content">
+                    <p><strong>Risks that arise from using these tools together:</strong></p>
+                    ${portfolio.compoundWarnings.map(warning => this.generateWarning(warning.riskCombination, warning.warning)).join('')}
+                </div>
+            `;
+            container.appendChild(warningsDiv);
+        }
+        
+        if (portfolio.ruleErrors && portfolio.ruleErrors.length > 0) {
+            const errorsDiv = document.createElement('div');
+            errorsDiv.className = 'rule-errors';
+            errorsDiv.innerHTML = `
+                <h4>Compound Rule Errors</h4>
+                <p>The following rules in compound_risk_rules.csv could not be evaluated and were skipped:</p>
+                <ul>
+                    ${portfolio.ruleErrors.map(error => `
+                        <li><strong>${RiskHTML.escape(error.ruleId)}</strong>: <code>${RiskHTML.escape('effect' in error ? error.effect : error.condition)}</code> &mdash; ${RiskHTML.escape(error.message)}</li>
+                    `).join('')}
+                </ul>
+            `;
+            container.appendChild(errorsDiv);
+        }
+        
+        const tableDiv = document.createElement('div');
+        tableDiv.className = 'portfolio-ratings';
+        tableDiv.innerHTML = `
+            <h3>Ratings by Harm Category and Tool</h3>
+            <table class="portfolio-table">
+                <thead>
+                    <tr><th>Harm Category</th><th>Institution</th>${toolNames.map(name => `<th>${name}</th>`).join('')}</tr>
+                </thead>
+                <tbody>
+                    ${Object.entries(this.harmCategories).map(([category, name]) => `
+                        <tr>
+                            <td>${name}</td>
+                            <td>${badge(rating(portfolio, category))}</td>
+                            ${portfolio.tools.map(profile => `<td>${badge(rating(profile, category))}</td>`).join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${portfolio.activeRisks.map(risk => `
+                <div class="portfolio-provenance">
+                    <h5>${risk.categoryName}</h5>
+                    ${this.generateProvenance(portfolio.harmCategories[risk.category])}
+                </div>
+            `).join('')}
+        `;
+        container.appendChild(tableDiv);
+        
+        const toolsDiv = document.createElement('div');
+        toolsDiv.className = 'portfolio-tools';
+        toolsDiv.innerHTML = `
+            <h3>Each Tool on Its Own</h3>
+            ${portfolio.tools.map((profile, index) => `
+                <div class="portfolio-tool ${RiskHTML.escape(profile.overallRisk.toLowerCase())}">
+                    <div class="risk-header">
+                        <h4>${toolNames[index]}</h4>
+                        <div class="risk-badge ${RiskHTML.escape(profile.overallRisk.toLowerCase())}">${RiskHTML.escape(profile.overallRisk)}</div>
+                    </div>
+                    <p>${profile.activeRisks.length} risk categories identified &middot; composite score ${profile.compositeScore.score}
+                    ${profile.compoundWarnings && profile.compoundWarnings.length > 0
+                        ? `&middot; ${profile.compoundWarnings.length} compound warning${profile.compoundWarnings.length === 1 ? '' : 's'}`
+                        : ''}</p>
+                    <button type="button" class="btn btn-secondary btn-small" data-tool="${RiskHTML.escape(profile.toolType)}">View Full Assessment</button>
+                </div>
+            `).join('')}
+        `;
+        toolsDiv.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-tool]');
+            if (button) {
+                this.viewPortfolioTool(button.dataset.tool);
             }
-        };
+        });
+        container.appendChild(toolsDiv);
         
-        const categoryDescriptions = descriptions[category] || {};
+        const frameworkDiv = document.createElement('div');
+        frameworkDiv.className = 'framework-info';
+        frameworkDiv.innerHTML = `
+            <h4>About This Assessment</h4>
+            <p>This assessment is based on the <strong>Kennedy & Campos "Vernacularized Taxonomy of AI Harms in Education"</strong> framework, 
+            which identifies risks across 6 harm categories and 4 interaction layers to provide comprehensive risk evaluation for educational AI implementations.</p>
+        `;
+        container.appendChild(frameworkDiv);
+    }
+    
+    // Shows one portfolio tool's full results; exports and the what-if panel then work on that tool
+    viewPortfolioTool(tool) {
+        const portfolio = this.state.portfolioProfile || this.state.currentProfile;
+        const profile = portfolio.tools.find(entry => entry.toolType === tool);
+        this.state.portfolioProfile = portfolio;
+        this.state.currentProfile = profile;
+        this.displayResults(profile);
+        this.preparePrintReport(profile);
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+    }
+    
+    viewPortfolio() {
+        this.state.currentProfile = this.state.portfolioProfile;
+        this.state.portfolioProfile = null;
+        this.displayResults(this.state.currentProfile);
+        this.preparePrintReport(this.state.currentProfile);
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+    }
+    
+    // An explanation with its formatting and, when present, its citation and research link
+    generateExplanation(explanation) {
+        return `
+            <div class="risk-explanation">
+                ${RiskHTML.format(explanation.Explanation_Text)}
+                ${explanation.Citation_Text ? `
+                    <div class="citation">
+                        <strong>Research Citation:</strong> ${RiskHTML.escape(explanation.Citation_Text)}
+                        ${RiskHTML.safeURL(explanation.Citation_URL) ? `<br>${RiskHTML.link(explanation.Citation_URL, 'View Research')}` : ''}
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+    
+    generateWarning(riskCombination, warning) {
+        return `
+            <div class="warning-item">
+                <div class="warning-header">
+                    <strong>${RiskHTML.escape(riskCombination)}</strong>
+                    <span class="warning-badge">HIGH PRIORITY</span>
+                </div>
+                ${RiskHTML.format(warning)}
+            </div>
+        `;
+    }
+    
+    // One badge when best and worst case agree, otherwise "MEDIUM – CRITICAL"
+    generateSeverityRange(best, worst) {
+        const badge = severity => severity
+            ? `<span class="risk-badge ${RiskHTML.escape(severity.toLowerCase())}">${RiskHTML.escape(severity)}</span>`
+            : '<span class="no-risk">No risk</span>';
+        return best === worst ? badge(best) : `${badge(best)}<span class="range-separator">–</span>${badge(worst)}`;
+    }
+    
+    createUncertaintyPanel(uncertainty) {
+        const panel = document.createElement('div');
+        panel.className = 'uncertainty-panel';
+        const priorities = uncertainty.unknowns.filter(unknown => unknown.swing > 0 || unknown.scoreSwing > 0);
+        
+        panel.innerHTML = `
+            <h3>Risk Range While Answers Are Unknown</h3>
+            <p>${uncertainty.unknowns.length} answer${uncertainty.unknowns.length === 1 ? ' is' : 's are'} marked "${RiskQuestions.UNKNOWN_TEXT}".
+            Each rating below runs from the best case to the worst case those answers could turn out to be.</p>
+            <table class="uncertainty-table">
+                <thead><tr><th>Harm Category</th><th>Best Case</th><th>Worst Case</th></tr></thead>
+                <tbody>
+                    <tr class="overall-row">
+                        <td><strong>Overall</strong></td>
+                        <td>${this.generateSeverityRange(uncertainty.best.overallRisk, uncertainty.best.overallRisk)}</td>
+                        <td>${this.generateSeverityRange(uncertainty.worst.overallRisk, uncertainty.worst.overallRisk)}</td>
+                    </tr>
+                    ${Object.entries(RiskEngine.HARM_CATEGORIES).map(([category, name]) => `
+                        <tr class="${uncertainty.best.harmCategories[category] !== uncertainty.worst.harmCategories[category] ? 'uncertain' : ''}">
+                            <td>${name}</td>
+                            <td>${this.generateSeverityRange(uncertainty.best.harmCategories[category], uncertainty.best.harmCategories[category])}</td>
+                            <td>${this.generateSeverityRange(uncertainty.worst.harmCategories[category], uncertainty.worst.harmCategories[category])}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${priorities.length > 0 ? `
+                <h4>Resolve These First</h4>
+                <ol class="uncertainty-priorities">
+                    ${priorities.map(unknown => `
+                        <li>
+                            <strong>${RiskHTML.escape(unknown.questionId)}:</strong> ${RiskHTML.escape(unknown.questionText)}
+                            <div class="uncertainty-detail">
+                                ${RiskHTML.escape(unknown.categories.length > 0
+                                    ? unknown.categories.map(entry => `${entry.name}: ${entry.best || 'No risk'} to ${entry.worst || 'No risk'}`).join('; ')
+                                    : `Composite score moves by ${unknown.scoreSwing}`)}
+                            </div>
+                            <div class="uncertainty-detail">Best case: ${RiskHTML.escape(unknown.bestAnswer)}. Worst case: ${RiskHTML.escape(unknown.worstAnswer)}.</div>
+                        </li>
+                    `).join('')}
+                </ol>
+            ` : '<p>None of the unknown answers changes a rating on its own.</p>'}
+        `;
         
-        return Object.entries(this.interactionLayers).map(([layer, layerDesc]) => `
-            <div class="layer-item">
-                <strong>${layer} Level:</strong> ${categoryDescriptions[layer] || `${category} risks at the ${layer.toLowerCase()} level`}
+        return panel;
+    }
+    
+    // Likelihood x impact score shown beside a category's badge
+    generateRiskScore(categoryData) {
+        return `
+            <div class="risk-score" title="Likelihood ${categoryData.likelihood} × impact ${categoryData.impact} on 1-5 scales">
+                <span class="risk-score-value">${categoryData.score}</span>
+                <span class="risk-score-factors">L ${categoryData.likelihood} × I ${categoryData.impact}</span>
             </div>
-        `).join('');
+        `;
     }
     
-    getToolDisplayName(toolType) {
-        const names = {
-            'plagiarism_detection': 'Plagiarism Detection',
-            'llm_tutors': 'LLM Tutors'
+    generateCompositeScore(riskProfile) {
+        const composite = riskProfile.compositeScore;
+        const basis = riskProfile.scoringModel === 'quantitative'
+            ? 'Risk levels are derived from these scores.'
+            : 'Risk levels come from the answers; scores rank implementations within a level.';
+        return `
+            <p class="composite-score">
+                Composite institutional score <strong>${composite.score}</strong> of 25
+                <span class="risk-badge ${composite.level.toLowerCase()}">${composite.level}</span>
+                <br><small>Weighted across all six harm categories. ${basis}</small>
+            </p>
+        `;
+    }
+    
+    // The interaction layers a risk shows up at, each with its own rating and description
+    generateLayerDescriptions(riskProfile, category) {
+        const layers = riskProfile.harmCategories[category].layers;
+        const unaffected = Object.keys(this.interactionLayers).filter(layer => !layers[layer]);
+        
+        return Object.keys(this.interactionLayers).filter(layer => layers[layer]).map(layer => {
+            const description = this.engine.getLayerDescription(riskProfile.toolType, category, layer, layers[layer]);
+            return `
+                <div class="layer-item">
+                    <div class="layer-heading">
+                        <strong>${layer} Level</strong>
+                        <span class="risk-badge ${RiskHTML.escape(layers[layer].toLowerCase())}">${RiskHTML.escape(layers[layer])}</span>
+                    </div>
+                    ${RiskHTML.escape(description || this.interactionLayers[layer])}
+                </div>
+            `;
+        }).join('') + (unaffected.length > 0 ? `
+            <p class="layers-unaffected">Not affected by your answers: ${unaffected.map(layer => `${layer} Level`).join(', ')}</p>
+        ` : '');
+    }
+    
+    createWhatIfPanel(riskProfile) {
+        const panel = document.createElement('details');
+        panel.className = 'what-if';
+        
+        const questionControl = (question, section) => {
+            const type = RiskQuestions.questionType(question);
+            const attributes = `class="what-if-question" data-section="${section}" data-question="${RiskHTML.escape(question.Question_ID)}" data-type="${type}"`;
+            const title = `<span>${RiskHTML.escape(question.Question_ID)}: ${RiskHTML.escape(question.Question_Text)}</span>`;
+            const unknownOption = `
+                <label class="what-if-option">
+                    <input type="checkbox" value="${RiskQuestions.UNKNOWN_ANSWER}"> ${RiskQuestions.UNKNOWN_TEXT}
+                </label>
+            `;
+            
+            if (type === 'multi') {
+                return `
+                    <div ${attributes}>
+                        ${title}
+                        ${RiskQuestions.answerOptions(question).map(option => `
+                            <label class="what-if-option">
+                                <input type="checkbox" value="${RiskHTML.escape(option.value)}"> ${RiskHTML.escape(option.value)}. ${RiskHTML.escape(option.text)}
+                            </label>
+                        `).join('')}
+                        ${unknownOption}
+                    </div>
+                `;
+            }
+            
+            if (type === 'number') {
+                const { min, max } = RiskQuestions.numberRange(question);
+                return `
+                    <div ${attributes}>
+                        ${title}
+                        <input type="number" step="any" ${min !== null ? `min="${min}"` : ''} ${max !== null ? `max="${max}"` : ''}> ${RiskHTML.escape(question.Unit)}
+                        ${unknownOption}
+                    </div>
+                `;
+            }
+            
+            return `
+                <label ${attributes}>
+                    ${title}
+                    <select>
+                        ${RiskQuestions.answerOptions(question).map(option => `
+                            <option value="${RiskHTML.escape(option.value)}">${RiskHTML.escape(option.value)}. ${RiskHTML.escape(option.text)}</option>
+                        `).join('')}
+                        <option value="${RiskQuestions.UNKNOWN_ANSWER}">${RiskQuestions.UNKNOWN_TEXT}</option>
+                    </select>
+                </label>
+            `;
+        };
+        const baselineAnswer = element => (element.dataset.section === 'tool'
+            ? riskProfile.toolAnswers
+            : riskProfile.contextAnswers)[element.dataset.question];
+        
+        panel.innerHTML = `
+            <summary>What-If Analysis: change any answer and compare</summary>
+            <div class="what-if-body">
+                <div class="what-if-questions">
+                    <h5>Tool Implementation</h5>
+                    ${this.engine.getToolQuestions(riskProfile.toolType).map(q => questionControl(q, 'tool')).join('')}
+                    <h5>Institutional Context</h5>
+                    ${this.data.contextQuestions.map(q => questionControl(q, 'context')).join('')}
+                </div>
+                <div class="what-if-diff" aria-live="polite"></div>
+                <div class="what-if-actions">
+                    <button type="button" class="btn btn-secondary btn-small" data-action="reset">Reset to Assessment Answers</button>
+                    <button type="button" class="btn btn-primary btn-small" data-action="adopt">Use These Answers</button>
+                </div>
+            </div>
+        `;
+        panel.querySelectorAll('.what-if-question').forEach(element => this.linkUnknownOption(element));
+        
+        const resetAnswers = () => {
+            panel.querySelectorAll('.what-if-question').forEach(element => {
+                this.writeQuestionAnswer(element, baselineAnswer(element));
+            });
         };
-        return names[toolType] || toolType;
+        
+        panel.addEventListener('change', () => this.updateWhatIf(panel));
+        panel.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-action]');
+            if (!button) return;
+            
+            if (button.dataset.action === 'reset') {
+                resetAnswers();
+                this.updateWhatIf(panel);
+            } else if (button.dataset.action === 'adopt') {
+                const answers = this.readWhatIfAnswers(panel);
+                // Within a portfolio the new answers replace this tool's and the shared context.
+                // The respondents' own answers stay as they gave them.
+                this.restoreAssessment({
+                    ...(this.state.portfolioTools ? {
+                        tools: this.state.portfolioTools,
+                        toolAnswers: { ...this.state.toolAnswers, ...answers.toolAnswers },
+                        contextAnswers: answers.contextAnswers
+                    } : { tool: riskProfile.toolType, ...answers }),
+                    respondents: this.state.respondents
+                });
+            }
+        });
+        
+        resetAnswers();
+        this.updateWhatIf(panel);
+        return panel;
+    }
+    
+    readWhatIfAnswers(panel) {
+        const answers = { toolAnswers: {}, contextAnswers: {} };
+        panel.querySelectorAll('.what-if-question').forEach(element => {
+            const answer = this.readQuestionAnswer(element);
+            if (answer !== undefined) {
+                const target = element.dataset.section === 'tool' ? answers.toolAnswers : answers.contextAnswers;
+                target[element.dataset.question] = answer;
+            }
+        });
+        return answers;
+    }
+    
+    updateWhatIf(panel) {
+        const baseline = this.state.currentProfile;
+        const assessment = { tool: baseline.toolType, ...this.readWhatIfAnswers(panel) };
+        const scenario = this.engine.assess(assessment);
+        const diff = RiskEngine.compareProfiles(baseline, scenario);
+        
+        const questionnaire = this.engine.getQuestionnaire(assessment);
+        const shownIds = [...questionnaire.toolQuestions, ...questionnaire.contextQuestions].map(q => q.Question_ID);
+        panel.querySelectorAll('.what-if-question').forEach(element => {
+            const answers = element.dataset.section === 'tool' ? baseline.toolAnswers : baseline.contextAnswers;
+            const visible = shownIds.includes(element.dataset.question);
+            const answer = this.readQuestionAnswer(element);
+            element.classList.toggle('hidden', !visible);
+            element.classList.toggle('changed', visible &&
+                JSON.stringify(answer) !== JSON.stringify(answers[element.dataset.question]));
+            element.classList.toggle('invalid', questionnaire.answerErrors.some(error => error.questionId === element.dataset.question));
+        });
+        panel.querySelector('[data-action="adopt"]').disabled = !diff.changed &&
+            !panel.querySelector('.what-if-question.changed');
+        
+        // An answer the engine cannot use is left out of the scores, so say which and why
+        panel.querySelector('.what-if-diff').innerHTML = `
+            ${questionnaire.answerErrors.map(error => `
+                <p class="what-if-warning invalid"><strong>Not scored:</strong> ${RiskHTML.escape(error.questionId)}: ${RiskHTML.escape(error.message)}</p>
+            `).join('')}
+            ${this.generateComparisonTable(diff, 'What-If')}
+            ${diff.warningsAdded.map(warning => `
+                <p class="what-if-warning added"><strong>New warning:</strong> ${RiskHTML.escape(warning.riskCombination)} (${RiskHTML.escape(warning.ruleId)})</p>
+            `).join('')}
+            ${diff.warningsRemoved.map(warning => `
+                <p class="what-if-warning removed"><strong>Warning resolved:</strong> ${RiskHTML.escape(warning.riskCombination)} (${RiskHTML.escape(warning.ruleId)})</p>
+            `).join('')}
+            ${diff.changed ? '' : '<p class="what-if-unchanged">These answers give the same result as the current assessment.</p>'}
+        `;
+    }
+    
+    // Side-by-side severities from RiskEngine.compareProfiles
+    generateComparisonTable(diff, afterLabel) {
+        const badge = severity => this.generateSeverityRange(severity, severity);
+        const arrows = { up: '&#9650;', down: '&#9660;', same: '' };
+        
+        return `
+            <table class="what-if-table">
+                <thead>
+                    <tr><th>Harm Category</th><th>Current</th><th>${afterLabel}</th><th></th></tr>
+                </thead>
+                <tbody>
+                    <tr class="overall ${diff.overall.change}">
+                        <td><strong>Overall Risk</strong></td>
+                        <td>${badge(diff.overall.before)}</td>
+                        <td>${badge(diff.overall.after)}</td>
+                        <td class="change">${arrows[diff.overall.change]}</td>
+                    </tr>
+                    ${diff.categories.map(entry => `
+                        <tr class="${entry.change}">
+                            <td>${entry.name}</td>
+                            <td>${badge(entry.before)}</td>
+                            <td>${badge(entry.after)}</td>
+                            <td class="change">${arrows[entry.change]}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+    
+    createMitigationPlan(riskProfile) {
+        const plans = this.engine.recommendMitigations(riskProfile);
+        if (plans.length === 0) {
+            return null;
+        }
+        
+        const selected = this.state.selectedMitigations;
+        const section = document.createElement('div');
+        section.className = 'mitigation-plan';
+        
+        section.innerHTML = `
+            <h3>Mitigation Plan</h3>
+            <p>Recommended actions for each identified risk, most severe first. Within each risk the actions that
+            lower the rating most are listed first, then the least effort. Select the ones you intend to adopt to
+            see the projected residual risk.</p>
+            ${plans.map(plan => `
+                <div class="mitigation-group ${RiskHTML.escape(plan.severity.toLowerCase())}">
+                    <div class="risk-header">
+                        <h4>${RiskHTML.escape(plan.categoryName)}</h4>
+                        <div class="risk-badge ${RiskHTML.escape(plan.severity.toLowerCase())}">${RiskHTML.escape(plan.severity)}</div>
+                    </div>
+                    ${plan.requiredBy.length > 0 ? `
+                        <p class="mitigation-required"><strong>Required</strong> by compound rule ${RiskHTML.escape(plan.requiredBy.join(', '))}: adopt at least one of these actions.</p>
+                    ` : ''}
+                    <ul class="mitigation-list">
+                        ${plan.mitigations.map(mitigation => `
+                            <li>
+                                <label class="mitigation-item">
+                                    <input type="checkbox" value="${RiskHTML.escape(mitigation.id)}" ${selected.includes(mitigation.id) ? 'checked' : ''}>
+                                    <span class="mitigation-action">${RiskHTML.escape(mitigation.action)}</span>
+                                    <span class="mitigation-meta">
+                                        <span class="mitigation-effort ${RiskHTML.escape(String(mitigation.effort).toLowerCase())}">${RiskHTML.escape(mitigation.effort)} effort</span>
+                                        <span>Lowers by ${RiskHTML.escape(mitigation.reduction)} level${mitigation.reduction === 1 ? '' : 's'}</span>
+                                        <span class="mitigation-id">${RiskHTML.escape(mitigation.id)}</span>
+                                    </span>
+                                </label>
+                            </li>
+                        `).join('')}
+                    </ul>
+                </div>
+            `).join('')}
+            <div class="mitigation-residual" aria-live="polite"></div>
+        `;
+        
+        section.addEventListener('change', () => {
+            this.state.selectedMitigations = Array.from(section.querySelectorAll('input[type="checkbox"]:checked'))
+                .map(input => input.value);
+            this.updateResidualRisk(section);
+            this.preparePrintReport(this.state.currentProfile);
+        });
+        
+        this.updateResidualRisk(section);
+        return section;
+    }
+    
+    updateResidualRisk(section) {
+        const profile = this.state.currentProfile;
+        const residual = this.engine.projectResidualRisk(profile, this.state.selectedMitigations);
+        const container = section.querySelector('.mitigation-residual');
+        
+        if (residual.adopted.length === 0) {
+            container.innerHTML = '<p class="what-if-unchanged">Select mitigations above to project the residual risk.</p>';
+            return;
+        }
+        
+        container.innerHTML = `
+            <h4>Projected Residual Risk</h4>
+            <p>If the ${residual.adopted.length} selected mitigation${residual.adopted.length === 1 ? ' is' : 's are'} adopted.
+            This is a planning estimate; ratings never drop below LOW because the underlying concern remains.</p>
+            ${this.generateComparisonTable(RiskEngine.compareProfiles(profile, residual), 'Residual')}
+        `;
+    }
+    
+    generateProvenance(categoryData) {
+        const stageLabels = {
+            answer: 'Tool answer',
+            context: 'Context modifier',
+            baseline: 'Context baseline',
+            rule: 'Compound rule',
+            score: 'Risk score',
+            tool: 'Tool rating'
+        };
+        
+        return `
+            <details class="provenance">
+                <summary>How this rating was calculated</summary>
+                <ol class="provenance-steps">
+                    ${categoryData.trace.map(step => `
+                        <li class="provenance-step ${step.stage}">
+                            <span class="step-stage">${stageLabels[step.stage]} &middot; ${RiskHTML.escape(step.source)}</span>
+                            <span class="step-description">${RiskHTML.escape(step.description)}</span>
+                            <span class="step-detail">${RiskHTML.escape(step.detail)}</span>
+                        </li>
+                    `).join('')}
+                </ol>
+                <p class="provenance-final">Final rating: <strong>${RiskHTML.escape(categoryData.severity)}</strong></p>
+            </details>
+        `;
+    }
+    
+    getToolDisplayName(toolType) {
+        return this.engine.getToolDisplayName(toolType);
+    }
+    
+    preparePrintReport(profile) {
+        // Kept up to date with the results so the browser's own print command uses it too
+        document.getElementById('print-report').innerHTML = RiskReport.toPrintHTML(profile, this.engine, {
+            adoptedMitigations: this.state.selectedMitigations
+        });
+        document.body.classList.add('has-report');
+    }
+    
+    printReport() {
+        this.preparePrintReport(this.state.currentProfile);
+        window.print();
+    }
+    
+    downloadFile(filename, contents, mimeType) {
+        const blob = new Blob([contents], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
     }
     
     showSection(sectionId) {
@@ -799,24 +2323,467 @@ class RiskAssessmentApp {
         this.hideLoading();
     }
     
+    showNotice(message) {
+        const existingNotice = document.querySelector('.notice-message');
+        if (existingNotice) {
+            existingNotice.remove();
+        }
+        
+        const noticeDiv = document.createElement('div');
+        noticeDiv.className = 'notice-message';
+        noticeDiv.textContent = message;
+        
+        const activeSection = document.querySelector('.section.active');
+        if (activeSection) {
+            activeSection.insertBefore(noticeDiv, activeSection.firstChild.nextSibling);
+        }
+        
+        setTimeout(() => noticeDiv.remove(), 5000);
+    }
+    
     resetAssessment() {
         this.state = {
             currentSection: 'tool-selection',
             selectedTool: null,
+            // Tool ids in portfolio mode, otherwise null
+            portfolioTools: null,
             toolAnswers: {},
-            contextAnswers: {}
+            contextAnswers: {},
+            currentProfile: null,
+            // The portfolio results while one of its tools is viewed in full
+            portfolioProfile: null,
+            selectedMitigations: [],
+            // Everyone's answers when several people answer the assessment
+            respondents: [],
+            // The name of the respondent filling in the questionnaires, while adding one
+            pendingRespondent: null,
+            // The assessment's own answers, set aside while that respondent fills in the questionnaires
+            heldAnswers: null,
+            aggregation: 'median',
+            // How the current answers were combined from the respondents' answers
+            consensus: null
         };
         
-        document.querySelectorAll('.tool-card').forEach(card => {
-            card.classList.remove('selected');
-        });
+        this.setPortfolioMode(false);
         
         document.getElementById('tool-form').innerHTML = '';
         document.getElementById('context-form').innerHTML = '';
         document.getElementById('results-content').innerHTML = '';
+        document.getElementById('print-report').innerHTML = '';
+        document.body.classList.remove('has-report');
+        
+        // Starting over discards the draft and any shared assessment in the address bar
+        this.storage.clearDraft();
+        this.renderSavedAssessments();
+        if (window.location.hash) {
+            history.replaceState(null, '', window.location.pathname + window.location.search);
+        }
         
         this.showSection('tool-selection');
     }
+    
+    // Opens the content editor on a copy of the loaded datasets, or on the edits saved
+    // in this browser from an earlier visit
+    openAuthoring() {
+        if (!this.authoring) {
+            const saved = this.storage.read('authoring', null);
+            const datasets = {};
+            const columns = {};
+            Object.keys(RiskAuthoring.DATASETS).forEach(key => {
+                columns[key] = RiskAuthoring.columns(this.data[key]);
+                const rows = saved && saved.datasets && saved.datasets[key] ? saved.datasets[key] : this.data[key];
+                datasets[key] = rows.map(row => ({ ...row }));
+            });
+            this.authoring = { dataset: 'toolQuestions', index: 0, datasets, columns, returnTo: 'tool-selection' };
+            
+            if (saved) {
+                this.showNotice(`Restored content edits last changed ${new Date(saved.savedAt).toLocaleString()}.`);
+            }
+        }
+        
+        if (this.state.currentSection !== 'authoring') {
+            this.authoring.returnTo = this.state.currentSection;
+        }
+        this.renderAuthoring();
+        this.showSection('authoring');
+    }
+    
+    // The datasets with the draft edits in place, as the engine and validator would read them
+    getAuthoringData() {
+        const data = { ...this.data };
+        Object.keys(RiskAuthoring.DATASETS).forEach(key => {
+            data[key] = this.authoring.datasets[key].map(row =>
+                RiskAuthoring.normalizeRow(key, row, this.authoring.columns[key]));
+        });
+        return data;
+    }
+    
+    isAuthoringChanged(key) {
+        const normalize = rows => JSON.stringify(rows.map(row =>
+            RiskAuthoring.normalizeRow(key, row, this.authoring.columns[key])));
+        return normalize(this.authoring.datasets[key]) !== normalize(this.data[key]);
+    }
+    
+    renderAuthoring() {
+        const { dataset, datasets } = this.authoring;
+        const rows = datasets[dataset];
+        this.authoring.index = Math.max(0, Math.min(this.authoring.index, rows.length - 1));
+        
+        const datasetSelect = document.getElementById('authoring-dataset');
+        datasetSelect.innerHTML = '';
+        Object.entries(RiskAuthoring.DATASETS).forEach(([key, info]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = `${info.label}${this.isAuthoringChanged(key) ? ' (edited)' : ''}`;
+            datasetSelect.appendChild(option);
+        });
+        datasetSelect.value = dataset;
+        
+        const rowSelect = document.getElementById('authoring-row');
+        rowSelect.innerHTML = '';
+        rows.forEach((row, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = RiskAuthoring.rowLabel(dataset, row);
+            rowSelect.appendChild(option);
+        });
+        rowSelect.value = this.authoring.index;
+        
+        document.getElementById('authoring-duplicate').disabled = rows.length === 0;
+        document.getElementById('authoring-delete').disabled = rows.length === 0;
+        
+        const form = document.getElementById('authoring-form');
+        form.innerHTML = '';
+        if (rows.length === 0) {
+            form.textContent = 'This dataset is empty. Use "Add New" to create the first entry.';
+        } else {
+            const row = rows[this.authoring.index];
+            RiskAuthoring.fieldGroups(dataset, this.authoring.columns[dataset], this.data).forEach(group => {
+                const fieldset = document.createElement('fieldset');
+                fieldset.className = 'authoring-group';
+                const legend = document.createElement('legend');
+                legend.textContent = group.title;
+                fieldset.appendChild(legend);
+                group.fields.forEach(field => fieldset.appendChild(this.createAuthoringField(field, row[field.column] || '')));
+                form.appendChild(fieldset);
+            });
+        }
+        
+        this.renderAuthoringPreview();
+    }
+    
+    // One form control for a dataset column; data-column and data-kind tell updateAuthoringRow how to read it back
+    createAuthoringField(field, value) {
+        const wrapper = document.createElement('div');
+        wrapper.className = `authoring-field ${field.kind}`;
+        wrapper.dataset.column = field.column;
+        wrapper.dataset.kind = field.kind;
+        
+        const id = `authoring_${field.column}`;
+        const label = document.createElement('label');
+        label.textContent = field.label;
+        
+        const checkbox = (optionValue, text, checked) => {
+            const optionLabel = document.createElement('label');
+            optionLabel.className = 'authoring-check';
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.value = optionValue;
+            input.checked = checked;
+            optionLabel.appendChild(input);
+            optionLabel.appendChild(document.createTextNode(` ${text}`));
+            return optionLabel;
+        };
+        
+        if (field.kind === 'boolean') {
+            const control = checkbox('TRUE', field.label, value.toUpperCase() === 'TRUE');
+            control.querySelector('input').id = id;
+            wrapper.appendChild(control);
+        } else if (field.kind === 'flags') {
+            const selected = value.split('|').map(item => item.trim());
+            label.className = 'authoring-flags-label';
+            wrapper.appendChild(label);
+            field.options.forEach(option => {
+                wrapper.appendChild(checkbox(option.value, option.text, selected.includes(option.value)));
+            });
+        } else {
+            let control;
+            if (field.kind === 'textarea') {
+                control = document.createElement('textarea');
+                control.rows = 3;
+            } else if (field.kind === 'select') {
+                control = document.createElement('select');
+                // Keep a value the form does not offer visible, so it can be seen and corrected
+                const options = field.options.some(option => option.value === value) || value === ''
+                    ? field.options
+                    : [...field.options, { value: value, text: `${value} (not recognised)` }];
+                options.forEach(option => {
+                    const element = document.createElement('option');
+                    element.value = option.value;
+                    element.textContent = option.text;
+                    control.appendChild(element);
+                });
+            } else {
+                control = document.createElement('input');
+                control.type = field.kind === 'integer' ? 'number' : 'text';
+                if (field.kind === 'integer') control.step = 1;
+                if (field.suggestions) {
+                    const list = document.createElement('datalist');
+                    list.id = `${id}_suggestions`;
+                    field.suggestions.forEach(suggestion => {
+                        const element = document.createElement('option');
+                        element.value = suggestion;
+                        list.appendChild(element);
+                    });
+                    control.setAttribute('list', list.id);
+                    wrapper.appendChild(list);
+                }
+            }
+            control.id = id;
+            control.value = value;
+            label.htmlFor = id;
+            wrapper.insertBefore(label, wrapper.firstChild);
+            wrapper.appendChild(control);
+        }
+        
+        if (field.hint) {
+            const hint = document.createElement('div');
+            hint.className = 'question-hint';
+            hint.textContent = field.hint;
+            wrapper.appendChild(hint);
+        }
+        
+        return wrapper;
+    }
+    
+    // Copies the form into the draft row, keeps the edit in this browser and refreshes the preview
+    updateAuthoringRow() {
+        const { dataset, datasets, index } = this.authoring;
+        const row = datasets[dataset][index];
+        if (!row) return;
+        
+        document.querySelectorAll('#authoring-form .authoring-field').forEach(wrapper => {
+            const kind = wrapper.dataset.kind;
+            if (kind === 'boolean') {
+                row[wrapper.dataset.column] = wrapper.querySelector('input').checked ? 'TRUE' : 'FALSE';
+            } else if (kind === 'flags') {
+                row[wrapper.dataset.column] = Array.from(wrapper.querySelectorAll('input:checked'))
+                    .map(input => input.value)
+                    .join('|');
+            } else {
+                row[wrapper.dataset.column] = wrapper.querySelector('input, textarea, select').value;
+            }
+        });
+        
+        this.saveAuthoringDraft();
+        document.querySelector(`#authoring-row option[value="${index}"]`).textContent = RiskAuthoring.rowLabel(dataset, row);
+        document.querySelector(`#authoring-dataset option[value="${dataset}"]`).textContent =
+            `${RiskAuthoring.DATASETS[dataset].label}${this.isAuthoringChanged(dataset) ? ' (edited)' : ''}`;
+        this.renderAuthoringPreview();
+    }
+    
+    saveAuthoringDraft() {
+        this.storage.write('authoring', { datasets: this.authoring.datasets, savedAt: new Date().toISOString() });
+    }
+    
+    addAuthoringRow(duplicate) {
+        const { dataset, datasets, columns, index } = this.authoring;
+        const rows = datasets[dataset];
+        const current = rows[index];
+        const row = RiskAuthoring.newRow(dataset, rows, columns[dataset], this.data, current && current.Tool_Type);
+        const idColumn = RiskAuthoring.DATASETS[dataset].idColumn;
+        
+        rows.splice(index + 1, 0, duplicate ? { ...current, ...(idColumn ? { [idColumn]: row[idColumn] } : {}) } : row);
+        this.authoring.index = index + 1;
+        this.saveAuthoringDraft();
+        this.renderAuthoring();
+    }
+    
+    deleteAuthoringRow() {
+        const { dataset, datasets, index } = this.authoring;
+        const row = datasets[dataset][index];
+        if (!row || !window.confirm(`Delete ${RiskAuthoring.rowLabel(dataset, row)}?`)) {
+            return;
+        }
+        
+        datasets[dataset].splice(index, 1);
+        this.authoring.index = index - 1;
+        this.saveAuthoringDraft();
+        this.renderAuthoring();
+    }
+    
+    discardAuthoring() {
+        if (!window.confirm('Discard all content edits and go back to the datasets in use?')) {
+            return;
+        }
+        
+        const returnTo = this.authoring.returnTo;
+        this.storage.remove('authoring');
+        this.authoring = null;
+        this.openAuthoring();
+        this.authoring.returnTo = returnTo;
+    }
+    
+    // Uses the edited datasets for the rest of this session; reloading the page goes back to the CSV files
+    applyAuthoring() {
+        const data = this.getAuthoringData();
+        const report = RiskDataValidator.validate(data, {});
+        if (!report.ok && !window.confirm(`The edited datasets have ${report.errors.length} error${report.errors.length === 1 ? '' : 's'}. Use them anyway?`)) {
+            return;
+        }
+        
+        Object.keys(RiskAuthoring.DATASETS).forEach(key => {
+            this.data[key] = data[key];
+        });
+        this.parseErrors = {};
+        this.engine = new RiskEngine(this.data);
+        this.validateData();
+        
+        if (this.state.selectedTool) {
+            this.restoreAssessment(this.getCurrentAssessment());
+        } else {
+            this.showSection('tool-selection');
+        }
+        this.showNotice('Your edits are in use until the page is reloaded. Download the CSV files to keep them.');
+    }
+    
+    renderAuthoringPreview() {
+        const { dataset, index } = this.authoring;
+        const preview = document.getElementById('authoring-preview');
+        const issuesContainer = document.getElementById('authoring-issues');
+        const data = this.getAuthoringData();
+        const row = data[dataset][index];
+        preview.innerHTML = '';
+        
+        const report = RiskDataValidator.validate(data, {});
+        const issues = RiskAuthoring.issuesFor(report, dataset, index);
+        const renderIssues = (list, level) => list.map(issue => `
+            <li class="data-issue ${level}">${RiskHTML.escape(issue.message)}</li>
+        `).join('');
+        issuesContainer.className = `authoring-issues ${issues.rowErrors.length > 0 ? 'has-errors' : ''}`;
+        issuesContainer.innerHTML = `
+            <h4>Checks</h4>
+            ${issues.rowErrors.length + issues.rowWarnings.length > 0 ? `
+                <ul>
+                    ${renderIssues(issues.rowErrors, 'error')}
+                    ${renderIssues(issues.rowWarnings, 'warning')}
+                </ul>
+            ` : '<p>No problems found in this entry.</p>'}
+            <p class="authoring-file-summary">${RiskAuthoring.fileFor(dataset)}: ${issues.fileErrors.length} error${issues.fileErrors.length === 1 ? '' : 's'},
+            ${issues.fileWarnings.length} warning${issues.fileWarnings.length === 1 ? '' : 's'} in total</p>
+        `;
+        
+        if (!row) return;
+        
+        const heading = document.createElement('h4');
+        heading.textContent = 'Preview';
+        preview.appendChild(heading);
+        
+        let engine;
+        try {
+            engine = new RiskEngine(data);
+        } catch (error) {
+            preview.appendChild(document.createTextNode(`The edited datasets could not be loaded: ${error.message}`));
+            return;
+        }
+        const tool = RiskAuthoring.previewTool(data, row);
+        
+        if (dataset === 'toolQuestions' || dataset === 'contextQuestions') {
+            const question = this.createQuestionElement(row, `authoring_preview_${row.Question_ID}`);
+            question.classList.remove('follow-up');
+            const sample = document.createElement('div');
+            sample.className = 'authoring-sample';
+            question.addEventListener('change', () => this.renderAuthoringSample(sample, engine, tool, row, question));
+            preview.appendChild(question);
+            preview.appendChild(sample);
+            this.renderAuthoringSample(sample, engine, tool, row, question);
+        } else if (dataset === 'compoundRiskRules') {
+            this.renderRulePreview(preview, engine, tool, row);
+        } else {
+            const card = document.createElement('div');
+            card.className = `risk-category ${row.Severity_Level.toLowerCase()}`;
+            card.innerHTML = `
+                <div class="risk-header">
+                    <h4>${RiskHTML.escape(RiskEngine.HARM_CATEGORIES[row.Risk_Category] || row.Risk_Category)}</h4>
+                    ${this.generateSeverityRange(row.Severity_Level, row.Severity_Level)}
+                </div>
+                ${this.generateExplanation(row)}
+            `;
+            preview.appendChild(card);
+        }
+    }
+    
+    // Scores the answer picked in the question preview, with every other question on its first option
+    renderAuthoringSample(container, engine, tool, question, element) {
+        const answer = RiskQuestions.normalizeAnswer(question, this.readQuestionAnswer(element));
+        if (answer === undefined) {
+            container.innerHTML = '<p class="what-if-unchanged">Pick an answer above to see a sample score.</p>';
+            return;
+        }
+        
+        const assessment = RiskAuthoring.sampleAssessment(engine, tool, { [question.Question_ID]: answer });
+        let profile;
+        try {
+            profile = engine.assess(assessment);
+        } catch (error) {
+            container.textContent = `This answer could not be scored: ${error.message}`;
+            return;
+        }
+        
+        const questionnaire = engine.getQuestionnaire(assessment);
+        const shown = [...questionnaire.toolQuestions, ...questionnaire.contextQuestions]
+            .some(entry => entry.Question_ID === question.Question_ID);
+        
+        container.innerHTML = `
+            <h5>Sample Score</h5>
+            <p>For ${RiskHTML.escape(this.getToolDisplayName(tool))}, with every other question on its first option.</p>
+            ${shown ? '' : '<p class="authoring-note">In this sample the question is not asked, because its Show_If condition does not hold.</p>'}
+            <p>Overall risk ${this.generateSeverityRange(profile.overallRisk, profile.overallRisk)}
+            &middot; composite score ${profile.compositeScore.score}</p>
+            ${RiskCharts.severityChart(profile)}
+        `;
+    }
+    
+    // Shows the warning as the results would, and whether the rule fires on the highest-risk answers
+    renderRulePreview(preview, engine, tool, rule) {
+        // Portfolio rules are tried on every tool at once
+        const portfolio = rule.Tool_Type === RiskEngine.PORTFOLIO;
+        const tools = portfolio ? engine.data.toolTypes.map(type => type.Tool_ID) : [tool];
+        const samples = tools.map(id => RiskAuthoring.sampleAssessment(engine, id, {}, 'last'));
+        let profile;
+        try {
+            profile = portfolio
+                ? engine.assessPortfolio({
+                    tools: tools,
+                    toolAnswers: Object.assign({}, ...samples.map(sample => sample.toolAnswers)),
+                    contextAnswers: samples[0].contextAnswers
+                })
+                : engine.assess(samples[0]);
+        } catch (error) {
+            preview.appendChild(document.createTextNode(`The rule could not be tried: ${error.message}`));
+            return;
+        }
+        
+        const fired = (profile.compoundWarnings || []).some(warning => warning.ruleId === rule.Rule_ID);
+        const ruleError = (profile.ruleErrors || []).find(error => error.ruleId === rule.Rule_ID);
+        let effect;
+        try {
+            effect = `This rule ${RiskEffects.parse(rule.Escalation_Effect, Object.keys(RiskEngine.HARM_CATEGORIES))
+                .map(entry => RiskEffects.describe(entry, RiskEngine.HARM_CATEGORIES)).join(', then ')}.`;
+        } catch (error) {
+            effect = `The effect cannot be read: ${error.message}`;
+        }
+        const result = document.createElement('div');
+        result.innerHTML = `
+            ${this.generateWarning(rule.Risk_Combination, rule.Special_Warning)}
+            <p><strong>Effect:</strong> ${RiskHTML.escape(effect)}</p>
+            <h5>Sample Check</h5>
+            <p>For ${RiskHTML.escape(tools.map(id => this.getToolDisplayName(id)).join(' + '))}, with every question on its last (usually highest-risk) option,
+            this rule ${ruleError ? `cannot be evaluated: ${RiskHTML.escape(ruleError.message)}` : (fired ? '<strong>fires</strong>.' : 'does not fire.')}</p>
+            <p>Overall risk ${this.generateSeverityRange(profile.overallRisk, profile.overallRisk)}</p>
+        `;
+        preview.appendChild(result);
+    }
 }
 
 // Initialize the application
@@ -0,0 +1,293 @@
+#!/usr/bin/env node
+// Scores one or more assessments from answers JSON files without a browser.
+//
+// Usage: node bin/assess.js [--json] [--explain] [--regulatory] [--aggregate <rule>] [--data <dir>] <answers.json>...
+//
+// --explain prints how each category's severity was reached.
+// --regulatory lists the framework obligations from regulatory_crosswalk.csv the results trigger.
+// --aggregate sets how a responses file's answers are combined: median (default), cautious or majority.
+//
+// Each file holds one assessment or an array of them:
+//   { "tool": "plagiarism_detection",
+//     "toolAnswers": { "PD_1": "D", "PD_2": "C", ... },
+//     "contextAnswers": { "CTX_1": 45, "CTX_2": "B", ... } }
+// An answer of "?" means "Not sure yet"; the best and worst case are then printed as well.
+// Answers that cannot be used, such as an option the question does not have or a misspelt
+// question id, are listed with the results and make the run exit with status 1. The datasets
+// are checked first, as bin/validate-data.js does, and nothing is scored when they have errors.
+//
+// A portfolio of tools deployed together lists them in "tools" instead of "tool", with the
+// answers for every tool in one "toolAnswers" object and the context answered once:
+//   { "tools": ["plagiarism_detection", "llm_tutors"], "toolAnswers": { ... }, "contextAnswers": { ... } }
+//
+// A responses file, as downloaded from the Respondents view, holds several people's answers
+// in "respondents" instead; they are combined and the agreement between them is printed:
+//   { "tool": "llm_tutors", "respondents": [{ "name": "Dean", "toolAnswers": { ... }, "contextAnswers": { ... } }, ...] }
+
+const fs = require('fs');
+const RiskEngine = require('../js/engine');
+const RiskRespondents = require('../js/respondents');
+const RiskRegulatory = require('../js/regulatory');
+const RiskDataValidator = require('../js/validator');
+const { loadData } = require('./load-data');
+
+function parseArgs(argv) {
+    const options = { json: false, explain: false, regulatory: false, aggregation: 'median', dataDir: undefined, files: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--json') {
+            options.json = true;
+        } else if (arg === '--explain') {
+            options.explain = true;
+        } else if (arg === '--regulatory') {
+            options.regulatory = true;
+        } else if (arg === '--aggregate') {
+            options.aggregation = argv[++i];
+        } else if (arg === '--data') {
+            options.dataDir = argv[++i];
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else {
+            options.files.push(arg);
+        }
+    }
+
+    return options;
+}
+
+function formatConsensus(consensus) {
+    const lines = ['', `  ${consensus.summary}`];
+    consensus.questions.filter(question => !question.agreed).forEach(question => {
+        const answers = question.answers.map(answer => `${answer.respondent} ${answer.short}`).join(', ');
+        lines.push(`    ${question.questionId}  ${answers} -> ${question.combinedShort}`);
+    });
+    return lines;
+}
+
+function formatRegulatory(obligations, errors) {
+    const lines = ['', '  Regulatory obligations:'];
+    errors.forEach(error => {
+        lines.push(`    Could not evaluate ${error.mappingId} (${error.reference}), so it may be missing: ${error.message}`);
+    });
+    RiskRegulatory.byFramework(obligations).forEach(group => {
+        lines.push(`    ${group.framework}`);
+        group.obligations.forEach(obligation => {
+            lines.push(`      ${obligation.reference}  ${obligation.title}`);
+            lines.push(`        Documentation: ${obligation.documentation}`);
+        });
+    });
+    if (obligations.length === 0) {
+        lines.push('    none triggered');
+    }
+    return lines;
+}
+
+function formatProfile(profile, label, explain) {
+    const lines = [];
+    const categoryWidth = Math.max(...Object.values(RiskEngine.HARM_CATEGORIES).map(name => name.length));
+
+    lines.push(`${label}`);
+    lines.push(`  Tool: ${profile.toolType}`);
+    lines.push(`  Overall risk: ${profile.overallRisk}`);
+    if (profile.uncertainty) {
+        const { best, worst } = profile.uncertainty;
+        lines.push(`  Range while answers are unknown: ${best.overallRisk} to ${worst.overallRisk}`);
+    }
+    lines.push(`  Composite score: ${profile.compositeScore.score} (${profile.compositeScore.level}, ${profile.scoringModel} model)`);
+    if (profile.consensus) {
+        lines.push(...formatConsensus(profile.consensus));
+    }
+    lines.push('');
+
+    Object.entries(profile.harmCategories).forEach(([category, data]) => {
+        const name = RiskEngine.HARM_CATEGORIES[category].padEnd(categoryWidth);
+        lines.push(data.hasRisk
+            ? `  ${name}  ${data.severity.padEnd(8)}  ${data.score} (likelihood ${data.likelihood} x impact ${data.impact})`
+            : `  ${name}  -`);
+        if (explain) {
+            data.trace.forEach((step, index) => {
+                lines.push(`      ${index + 1}. ${step.description}`);
+            });
+        }
+    });
+
+    if (profile.uncertainty) {
+        lines.push('');
+        lines.push('  Unknown answers, most influential first:');
+        profile.uncertainty.unknowns.forEach(unknown => {
+            const effect = unknown.categories
+                .map(entry => `${entry.category} ${entry.best || '-'} to ${entry.worst || '-'}`)
+                .join(', ');
+            lines.push(`    ${unknown.questionId}  ${effect || 'no rating changes on its own'}`);
+        });
+    }
+
+    if (profile.compoundWarnings && profile.compoundWarnings.length > 0) {
+        lines.push('');
+        lines.push('  Compound risk warnings:');
+        profile.compoundWarnings.forEach(warning => {
+            lines.push(`    ${warning.ruleId} ${warning.riskCombination}`);
+        });
+    }
+
+    if (profile.answerErrors && profile.answerErrors.length > 0) {
+        lines.push('');
+        lines.push('  Answers that could not be used:');
+        profile.answerErrors.forEach(error => {
+            lines.push(`    ${error.questionId}: ${error.message}`);
+        });
+    }
+
+    if (profile.ruleErrors && profile.ruleErrors.length > 0) {
+        lines.push('');
+        lines.push('  Skipped rules with invalid conditions or effects:');
+        profile.ruleErrors.forEach(error => {
+            lines.push(`    ${error.ruleId}: ${error.message}`);
+        });
+    }
+
+    if (profile.regulatory) {
+        lines.push(...formatRegulatory(profile.regulatory, profile.regulatoryErrors));
+    }
+
+    return lines.join('\n');
+}
+
+function formatPortfolio(profile, label, explain) {
+    const lines = [];
+    const categoryWidth = Math.max(...Object.values(RiskEngine.HARM_CATEGORIES).map(name => name.length));
+
+    lines.push(`${label}`);
+    lines.push(`  Portfolio: ${profile.tools.map(entry => entry.toolType).join(', ')}`);
+    lines.push(`  Institution-wide overall risk: ${profile.overallRisk}`);
+    lines.push(`  Composite score: ${profile.compositeScore.score} (${profile.compositeScore.level}, ${profile.scoringModel} model)`);
+    if (profile.consensus) {
+        lines.push(...formatConsensus(profile.consensus));
+    }
+    lines.push('');
+
+    Object.entries(profile.harmCategories).forEach(([category, data]) => {
+        const name = RiskEngine.HARM_CATEGORIES[category].padEnd(categoryWidth);
+        const perTool = profile.tools
+            .map(entry => `${entry.toolType} ${entry.harmCategories[category].hasRisk ? entry.harmCategories[category].severity : '-'}`)
+            .join(', ');
+        lines.push(data.hasRisk ? `  ${name}  ${data.severity.padEnd(8)}  ${perTool}` : `  ${name}  -`);
+        if (explain) {
+            data.trace.forEach((step, index) => {
+                lines.push(`      ${index + 1}. ${step.description}`);
+            });
+        }
+    });
+
+    if (profile.compoundWarnings && profile.compoundWarnings.length > 0) {
+        lines.push('');
+        lines.push('  Cross-tool risk warnings:');
+        profile.compoundWarnings.forEach(warning => {
+            lines.push(`    ${warning.ruleId} ${warning.riskCombination}`);
+        });
+    }
+
+    if (profile.answerErrors && profile.answerErrors.length > 0) {
+        lines.push('');
+        lines.push('  Answers that could not be used:');
+        profile.answerErrors.forEach(error => {
+            lines.push(`    ${error.questionId}: ${error.message}`);
+        });
+    }
+
+    if (profile.ruleErrors && profile.ruleErrors.length > 0) {
+        lines.push('');
+        lines.push('  Skipped rules with invalid conditions or effects:');
+        profile.ruleErrors.forEach(error => {
+            lines.push(`    ${error.ruleId}: ${error.message}`);
+        });
+    }
+
+    if (profile.regulatory) {
+        lines.push(...formatRegulatory(profile.regulatory, profile.regulatoryErrors));
+    }
+
+    profile.tools.forEach(entry => {
+        lines.push('');
+        lines.push(formatProfile(entry, `${label} / ${entry.toolType}`, explain));
+    });
+
+    return lines.join('\n');
+}
+
+// A responses file is combined into one set of answers before it is scored
+function assessAnswers(engine, answers, aggregation) {
+    if (!answers.respondents) {
+        return answers.tools ? engine.assessPortfolio(answers) : engine.assess(answers);
+    }
+    const combined = RiskRespondents.aggregate(engine, answers, answers.respondents, aggregation);
+    const profile = combined.tools ? engine.assessPortfolio(combined) : engine.assess(combined);
+    profile.consensus = combined.consensus;
+
+    // Combining keeps only valid answers, so each respondent's unusable answers are reported by name
+    const identity = answers.tools ? { tools: answers.tools } : { tool: answers.tool };
+    const answerErrors = answers.respondents.flatMap(respondent => {
+        const own = { ...identity, toolAnswers: respondent.toolAnswers, contextAnswers: respondent.contextAnswers };
+        const scored = own.tools ? engine.assessPortfolio(own) : engine.scoreAnswers(own);
+        return (scored.answerErrors || []).map(error => ({ ...error, message: `${respondent.name}: ${error.message}` }));
+    });
+    if (answerErrors.length > 0) {
+        profile.answerErrors = answerErrors;
+    }
+    return profile;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (options.help || options.files.length === 0) {
+        console.log('Usage: node bin/assess.js [--json] [--explain] [--regulatory] [--aggregate <rule>] [--data <dir>] <answers.json>...');
+        process.exit(options.help ? 0 : 1);
+    }
+
+    // Scoring a malformed dataset would give wrong results without any sign, so stop at its errors
+    const { data, parseErrors } = loadData(options.dataDir);
+    const report = RiskDataValidator.validate(data, parseErrors);
+    if (!report.ok) {
+        report.errors.forEach(issue => console.error(`error    ${RiskDataValidator.formatIssue(issue)}`));
+        console.error(`\n${report.errors.length} error(s) in the datasets, so nothing was scored`);
+        process.exit(1);
+    }
+    const engine = new RiskEngine(data);
+    const results = [];
+
+    options.files.forEach(file => {
+        const contents = JSON.parse(fs.readFileSync(file, 'utf8'));
+        const assessments = Array.isArray(contents) ? contents : [contents];
+
+        assessments.forEach((answers, index) => {
+            const label = assessments.length > 1 ? `${file} #${index + 1}` : file;
+            const profile = assessAnswers(engine, answers, options.aggregation);
+            if (options.regulatory) {
+                profile.regulatory = RiskRegulatory.obligations(engine, profile);
+                profile.regulatoryErrors = RiskRegulatory.errors(engine, profile);
+            }
+            results.push({ label, profile });
+        });
+    });
+
+    // Unusable answers would quietly under-report risk, so they fail the run once everything is printed
+    if (results.some(result => result.profile.answerErrors)) {
+        process.exitCode = 1;
+    }
+
+    if (options.json) {
+        const profiles = results.map(result => result.profile);
+        console.log(JSON.stringify(profiles.length === 1 ? profiles[0] : profiles, null, 2));
+    } else {
+        console.log(results.map(result => (result.profile.portfolio ? formatPortfolio : formatProfile)(result.profile, result.label, options.explain)).join('\n\n'));
+    }
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+}
@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+// Scores every worked example in scenarios.csv and compares it with its expected severities,
+// so a dataset change that shifts results is caught before it is shipped.
+//
+// Usage: node bin/check-scenarios.js [--data <dir>]
+//
+// Exits with status 1 when any scenario no longer matches or cannot be scored.
+
+const RiskEngine = require('../js/engine');
+const RiskScenarios = require('../js/scenarios');
+const { loadData, DEFAULT_DATA_DIR } = require('./load-data');
+
+function main() {
+    const args = process.argv.slice(2);
+    const dataIndex = args.indexOf('--data');
+    const dataDir = dataIndex !== -1 ? args[dataIndex + 1] : DEFAULT_DATA_DIR;
+
+    const { data } = loadData(dataDir);
+    const engine = new RiskEngine(data);
+    let failures = 0;
+
+    data.scenarios.forEach(scenario => {
+        const label = `${scenario.Scenario_ID} ${scenario.Name}`;
+        let differences;
+        try {
+            const assessment = RiskScenarios.toAssessment(scenario, data.toolTypes);
+            const profile = assessment.tools ? engine.assessPortfolio(assessment) : engine.assess(assessment);
+            differences = RiskScenarios.compare(scenario, profile);
+        } catch (error) {
+            failures++;
+            console.log(`error    ${label}: ${error.message}`);
+            return;
+        }
+
+        if (differences.length === 0) {
+            console.log(`ok       ${label}`);
+            return;
+        }
+        failures++;
+        console.log(`changed  ${label}`);
+        differences.forEach(({ category, expected, actual }) => {
+            console.log(`           ${category}: expected ${expected}, now ${actual}`);
+        });
+    });
+
+    console.log(`\n${data.scenarios.length - failures} of ${data.scenarios.length} scenario(s) match in ${dataDir}`);
+    process.exit(failures === 0 ? 0 : 1);
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+}
@@ -0,0 +1,26 @@
+// Reads the assessment datasets from disk for the command-line tools
+
+const fs = require('fs');
+const path = require('path');
+const RiskCSV = require('../js/csv');
+const RiskEngine = require('../js/engine');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', 'data');
+
+function loadData(dataDir = DEFAULT_DATA_DIR) {
+    const data = {};
+    const parseErrors = {};
+
+    RiskEngine.DATA_FILES.forEach(({ file, key }) => {
+        const text = fs.readFileSync(path.join(dataDir, file), 'utf8');
+        const results = RiskCSV.parse(text);
+        data[key] = results.data;
+        if (results.errors.length > 0) {
+            parseErrors[file] = results.errors;
+        }
+    });
+
+    return { data, parseErrors };
+}
+
+module.exports = { loadData, DEFAULT_DATA_DIR };
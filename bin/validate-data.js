@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+// Checks the assessment datasets for errors before they are shipped.
+//
+// Usage: node bin/validate-data.js [--data <dir>] [--quiet]
+//
+// Exits with status 1 when any error is found. Warnings are printed unless --quiet.
+
+const RiskDataValidator = require('../js/validator');
+const { loadData, DEFAULT_DATA_DIR } = require('./load-data');
+
+function main() {
+    const args = process.argv.slice(2);
+    const dataIndex = args.indexOf('--data');
+    const dataDir = dataIndex !== -1 ? args[dataIndex + 1] : DEFAULT_DATA_DIR;
+    const quiet = args.includes('--quiet');
+
+    const { data, parseErrors } = loadData(dataDir);
+    const report = RiskDataValidator.validate(data, parseErrors);
+
+    report.errors.forEach(issue => console.log(`error    ${RiskDataValidator.formatIssue(issue)}`));
+    if (!quiet) {
+        report.warnings.forEach(issue => console.log(`warning  ${RiskDataValidator.formatIssue(issue)}`));
+    }
+
+    console.log(`\n${report.errors.length} error(s), ${report.warnings.length} warning(s) in ${dataDir}`);
+    process.exit(report.ok ? 0 : 1);
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+}
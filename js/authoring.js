@@ -0,0 +1,293 @@
+// Content Authoring
+// Describes the editable datasets as form fields so questions, answer-to-category risk
+// mappings, context modifiers, compound rules and explanations can be edited without
+// touching raw CSV, and writes the edited rows back in the datasets' own column layout.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./engine'), require('./questions'), require('./csv'));
+    } else {
+        root.RiskAuthoring = factory(root.RiskEngine, root.RiskQuestions, root.RiskCSV);
+    }
+})(typeof self !== 'undefined' ? self : this, function (RiskEngine, RiskQuestions, RiskCSV) {
+    'use strict';
+
+    // quoted lists the prose columns the CSV files quote on every row, so exports diff cleanly
+    const DATASETS = {
+        toolQuestions: { label: 'Tool questions', idColumn: 'Question_ID', quoted: [] },
+        contextQuestions: { label: 'Context questions', idColumn: 'Question_ID', quoted: [] },
+        compoundRiskRules: { label: 'Compound rules', idColumn: 'Rule_ID', quoted: ['Special_Warning'] },
+        riskExplanations: { label: 'Explanations', idColumn: null, quoted: ['Explanation_Text'] }
+    };
+
+    // Effects for every category, as suggestions; effects.js has the full grammar
+    const GROUP_EFFECTS = ['WARN', 'RAISE RATED TO HIGH', 'RAISE RATED BY 1', 'CAP ALL AT HIGH'];
+
+    function fileFor(key) {
+        const entry = RiskEngine.DATA_FILES.find(dataFile => dataFile.key === key);
+        return entry ? entry.file : null;
+    }
+
+    // The header of a loaded dataset: every column in the order the rows first use it
+    function columns(rows) {
+        const result = [];
+        rows.forEach(row => {
+            Object.keys(row).forEach(column => {
+                if (!result.includes(column)) {
+                    result.push(column);
+                }
+            });
+        });
+        return result;
+    }
+
+    // Options can only be added up to the Answer_<letter> columns the file already has
+    function answerLetters(header) {
+        return RiskQuestions.ANSWER_LETTERS.filter(letter => header.includes(`Answer_${letter}`));
+    }
+
+    function rowLabel(key, row) {
+        if (key === 'riskExplanations') {
+            return `${row.Risk_Category || '?'} / ${row.Severity_Level || '?'} / ${row.Tool_Type || '?'}`;
+        }
+        const id = row[DATASETS[key].idColumn] || '(no id)';
+        const text = key === 'compoundRiskRules' ? row.Risk_Combination : row.Question_Text;
+        return text ? `${id}: ${text}` : id;
+    }
+
+    function toolTypeOptions(data, includeAll) {
+        const options = data.toolTypes.map(type => ({ value: type.CSV_Key, text: type.Display_Name }));
+        return includeAll
+            ? [...options, { value: RiskEngine.ALL_TOOLS, text: 'All tools' }, { value: RiskEngine.PORTFOLIO, text: 'Tools used together (portfolio)' }]
+            : options;
+    }
+
+    function severityOptions(allowNone) {
+        const options = RiskEngine.SEVERITY_LEVELS.map(level => ({ value: level, text: level }));
+        return allowNone ? [{ value: '', text: 'No risk' }, ...options] : options;
+    }
+
+    function questionFields(header, data, key) {
+        const types = RiskQuestions.QUESTION_TYPES
+            .filter(type => type !== 'number' || header.includes('Bands'))
+            .map(type => ({ value: type, text: type }));
+        const fields = [
+            { column: 'Question_ID', label: 'Question ID', kind: 'text' },
+            key === 'toolQuestions'
+                ? { column: 'Tool_Type', label: 'Tool', kind: 'select', options: toolTypeOptions(data, false) }
+                : null,
+            { column: 'Question_Type', label: 'Answer type', kind: 'select', options: types },
+            { column: 'Question_Text', label: 'Question text', kind: 'textarea' },
+            { column: 'Show_If', label: 'Show only if', kind: 'text', hint: 'Leave empty to always ask, e.g. PD_1=D' },
+            { column: 'Bands', label: 'Number bands', kind: 'text', hint: 'One band per option, e.g. 0-10|10-30|30-60|60+' },
+            { column: 'Unit', label: 'Unit', kind: 'text', hint: 'Shown after number answers, e.g. %' }
+        ];
+        return fields.filter(field => field && header.includes(field.column));
+    }
+
+    // The form for one dataset row, as groups of fields. Kinds: text, textarea, select,
+    // boolean (TRUE/FALSE), flags (values joined by "|") and integer.
+    function fieldGroups(key, header, data) {
+        const categories = Object.entries(RiskEngine.HARM_CATEGORIES);
+
+        if (key === 'toolQuestions' || key === 'contextQuestions') {
+            const groups = [{ title: 'Question', fields: questionFields(header, data, key) }];
+
+            answerLetters(header).forEach(letter => {
+                const fields = [{ column: `Answer_${letter}`, label: 'Answer text', kind: 'text', hint: 'Leave empty to remove this option' }];
+
+                if (key === 'toolQuestions') {
+                    fields.push({ column: `${letter}_Severity`, label: 'Severity', kind: 'select', options: severityOptions(true) });
+                    categories.forEach(([category, name]) => {
+                        fields.push({ column: `${letter}_${category}`, label: name, kind: 'boolean' });
+                    });
+                    fields.push({
+                        column: `${letter}_Layers`,
+                        label: 'Interaction layers',
+                        kind: 'flags',
+                        options: Object.keys(RiskEngine.INTERACTION_LAYERS).map(layer => ({ value: layer, text: layer })),
+                        hint: 'None ticked means every layer'
+                    });
+                } else {
+                    categories.forEach(([category, name]) => {
+                        fields.push({ column: `${letter}_${category}_Modifier`, label: `${name} modifier`, kind: 'integer' });
+                    });
+                }
+
+                groups.push({
+                    title: `Answer ${letter}`,
+                    letter: letter,
+                    fields: fields.filter(field => header.includes(field.column))
+                });
+            });
+
+            return groups;
+        }
+
+        if (key === 'compoundRiskRules') {
+            const effects = [
+                ...GROUP_EFFECTS,
+                ...categories.flatMap(([category]) => [
+                    ...RiskEngine.SEVERITY_LEVELS.slice(1).map(level => `RAISE ${category} TO ${level}`),
+                    `RAISE ${category} BY 1`,
+                    `REQUIRE_MITIGATION ${category}`
+                ])
+            ];
+            return [{
+                title: 'Rule',
+                fields: [
+                    { column: 'Rule_ID', label: 'Rule ID', kind: 'text' },
+                    { column: 'Tool_Type', label: 'Tool', kind: 'select', options: toolTypeOptions(data, true) },
+                    { column: 'Risk_Combination', label: 'Risk combination', kind: 'text', hint: 'A short name, e.g. High_Bias_No_Appeals' },
+                    { column: 'Trigger_Conditions', label: 'Trigger conditions', kind: 'textarea', hint: 'e.g. Bias>=HIGH AND No_Appeals=TRUE; Bias=NONE means not rated. A fact whose question was not answered makes its comparison unknown, even under NOT. Portfolio rules name each tool, e.g. LLM_Tutors.Privacy>=HIGH' },
+                    { column: 'Escalation_Effect', label: 'Escalation effect', kind: 'text', suggestions: effects, hint: 'RAISE, CAP or SET categories, WARN, or REQUIRE_MITIGATION, e.g. RAISE Privacy TO HIGH; REQUIRE_MITIGATION Privacy' },
+                    { column: 'Special_Warning', label: 'Warning shown to the user', kind: 'textarea' }
+                ].filter(field => header.includes(field.column))
+            }];
+        }
+
+        return [{
+            title: 'Explanation',
+            fields: [
+                { column: 'Risk_Category', label: 'Harm category', kind: 'select', options: categories.map(([value, text]) => ({ value, text })) },
+                { column: 'Severity_Level', label: 'Severity', kind: 'select', options: severityOptions(false) },
+                { column: 'Tool_Type', label: 'Tool', kind: 'select', options: toolTypeOptions(data, false) },
+                { column: 'Explanation_Text', label: 'Explanation', kind: 'textarea' },
+                { column: 'Citation_Text', label: 'Citation', kind: 'text' },
+                { column: 'Citation_URL', label: 'Citation link', kind: 'text', hint: 'An http(s) address' }
+            ].filter(field => header.includes(field.column))
+        }];
+    }
+
+    // Fills in what the forms leave implicit: an option without text clears its mapping
+    // columns, unticked categories are FALSE and empty modifiers are 0
+    function normalizeRow(key, row, header) {
+        const result = {};
+        header.forEach(column => {
+            result[column] = row[column] === undefined || row[column] === null ? '' : String(row[column]).trim();
+        });
+
+        if (key === 'toolQuestions' || key === 'contextQuestions') {
+            answerLetters(header).forEach(letter => {
+                const answered = result[`Answer_${letter}`] !== '';
+                header.filter(column => column.startsWith(`${letter}_`)).forEach(column => {
+                    if (!answered) {
+                        result[column] = '';
+                    } else if (key === 'toolQuestions' && column.slice(2) in RiskEngine.HARM_CATEGORIES) {
+                        result[column] = result[column].toUpperCase() === 'TRUE' ? 'TRUE' : 'FALSE';
+                    } else if (key === 'contextQuestions' && column.endsWith('_Modifier') && result[column] === '') {
+                        result[column] = '0';
+                    }
+                });
+            });
+        }
+
+        return result;
+    }
+
+    // The next free id after the highest numbered one sharing the prefix, e.g. COMP_011
+    function nextId(rows, column, prefix) {
+        const numbers = rows
+            .map(row => new RegExp(`^${prefix}(\\d+)$`).exec(row[column] || ''))
+            .filter(Boolean);
+        const width = numbers.length > 0 ? numbers[0][1].length : 1;
+        const next = numbers.reduce((max, match) => Math.max(max, parseInt(match[1], 10)), 0) + 1;
+        return `${prefix}${String(next).padStart(width, '0')}`;
+    }
+
+    // A blank row for a dataset; tool questions take the id prefix of the tool's other questions
+    function newRow(key, rows, header, data, toolType) {
+        const row = {};
+        header.forEach(column => {
+            row[column] = '';
+        });
+
+        if (key === 'toolQuestions') {
+            const csvKey = toolType || (data.toolTypes[0] && data.toolTypes[0].CSV_Key) || '';
+            const sibling = rows.find(entry => entry.Tool_Type === csvKey && /^[A-Za-z]+_\d+$/.test(entry.Question_ID));
+            row.Tool_Type = csvKey;
+            row.Question_Type = 'single';
+            row.Question_ID = nextId(rows, 'Question_ID', sibling ? sibling.Question_ID.replace(/\d+$/, '') : 'Q_');
+        } else if (key === 'contextQuestions') {
+            row.Question_Type = 'single';
+            row.Question_ID = nextId(rows, 'Question_ID', 'CTX_');
+        } else if (key === 'compoundRiskRules') {
+            row.Rule_ID = nextId(rows, 'Rule_ID', 'COMP_');
+            row.Tool_Type = toolType || RiskEngine.ALL_TOOLS;
+        } else {
+            row.Risk_Category = Object.keys(RiskEngine.HARM_CATEGORIES)[0];
+            row.Severity_Level = RiskEngine.SEVERITY_LEVELS[0];
+            row.Tool_Type = toolType || (data.toolTypes[0] && data.toolTypes[0].CSV_Key) || '';
+        }
+
+        return normalizeRow(key, row, header);
+    }
+
+    function toCSV(key, rows, header) {
+        return RiskCSV.stringify(rows.map(row => normalizeRow(key, row, header)), header, DATASETS[key].quoted);
+    }
+
+    // The tool a row is previewed with: its own Tool_Type where it has one, otherwise the first tool
+    function previewTool(data, row) {
+        const toolType = data.toolTypes.find(type => type.CSV_Key === row.Tool_Type) || data.toolTypes[0];
+        return toolType ? toolType.Tool_ID : null;
+    }
+
+    // An assessment that answers every question with its first option ('first', usually the
+    // lowest risk) or its last ('last', usually the highest), except the answers given in overrides
+    function sampleAssessment(engine, tool, overrides = {}, pick = 'first') {
+        const answer = question => {
+            if (overrides[question.Question_ID] !== undefined) {
+                return overrides[question.Question_ID];
+            }
+            const candidates = RiskQuestions.candidateAnswers(question)
+                .filter(candidate => !Array.isArray(candidate) || candidate.length === 1);
+            return pick === 'last' ? candidates[candidates.length - 1] : candidates[0];
+        };
+        const answersFor = questions => {
+            const answers = {};
+            questions.forEach(question => {
+                const value = answer(question);
+                if (value !== undefined) {
+                    answers[question.Question_ID] = value;
+                }
+            });
+            return answers;
+        };
+
+        return {
+            tool: tool,
+            toolAnswers: answersFor(engine.getToolQuestions(tool)),
+            contextAnswers: answersFor(engine.data.contextQuestions)
+        };
+    }
+
+    // The validator issues for one dataset, and those on the row being edited
+    function issuesFor(report, key, index) {
+        const file = fileFor(key);
+        const inFile = issue => issue.file === file;
+        const onRow = issue => inFile(issue) && issue.line === index + 2;
+        return {
+            rowErrors: report.errors.filter(onRow),
+            rowWarnings: report.warnings.filter(onRow),
+            fileErrors: report.errors.filter(inFile),
+            fileWarnings: report.warnings.filter(inFile)
+        };
+    }
+
+    return {
+        DATASETS,
+        fileFor,
+        columns,
+        answerLetters,
+        rowLabel,
+        fieldGroups,
+        normalizeRow,
+        nextId,
+        newRow,
+        toCSV,
+        previewTool,
+        sampleAssessment,
+        issuesFor
+    };
+});
@@ -0,0 +1,133 @@
+// Risk Charts
+// Draws the visual summary of a risk profile as self-contained SVG markup: a heatmap of
+// harm categories against interaction layers and a bar chart of category severities.
+// Needs no chart library, so the charts work offline and in the printed report.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./engine'), require('./html'));
+    } else {
+        root.RiskCharts = factory(root.RiskEngine, root.RiskHTML);
+    }
+})(typeof self !== 'undefined' ? self : this, function (RiskEngine, RiskHTML) {
+    'use strict';
+
+    // Fill and text colours per severity, matching the risk badges
+    const SEVERITY_COLORS = {
+        LOW: { fill: '#dcfce7', text: '#166534', bar: '#22c55e' },
+        MEDIUM: { fill: '#fef3c7', text: '#92400e', bar: '#f59e0b' },
+        HIGH: { fill: '#fed7d7', text: '#c53030', bar: '#ef4444' },
+        CRITICAL: { fill: '#fca5a5', text: '#7f1d1d', bar: '#991b1b' }
+    };
+    const NO_RISK_COLOR = { fill: '#f3f4f6', text: '#9ca3af', bar: '#e5e7eb' };
+
+    const FONT = 'font-family="-apple-system, BlinkMacSystemFont, \'Segoe UI\', Roboto, sans-serif"';
+
+    function colorsFor(severity) {
+        return SEVERITY_COLORS[severity] || NO_RISK_COLOR;
+    }
+
+    // Rows are harm categories and columns interaction layers; each cell is the layer's rating
+    function heatmap(profile) {
+        const categories = Object.entries(RiskEngine.HARM_CATEGORIES);
+        const layers = Object.keys(RiskEngine.INTERACTION_LAYERS);
+        const labelWidth = 250;
+        const cellWidth = 100;
+        const cellHeight = 36;
+        const headerHeight = 30;
+        const width = labelWidth + cellWidth * layers.length;
+        const height = headerHeight + cellHeight * categories.length;
+
+        const header = layers.map((layer, column) => `
+            <text x="${labelWidth + column * cellWidth + cellWidth / 2}" y="${headerHeight - 10}" text-anchor="middle" font-size="13" font-weight="600" fill="#1e3a8a">${RiskHTML.escape(layer)}</text>
+        `).join('');
+
+        const rows = categories.map(([category, name], row) => {
+            const data = profile.harmCategories[category];
+            const y = headerHeight + row * cellHeight;
+            const cells = layers.map((layer, column) => {
+                const severity = data.layers ? data.layers[layer] : (data.hasRisk ? data.severity : null);
+                const colors = colorsFor(severity);
+                const x = labelWidth + column * cellWidth;
+                return `
+                    <g>
+                        <title>${RiskHTML.escape(`${name}, ${layer} level: ${severity || 'no risk'}`)}</title>
+                        <rect x="${x + 2}" y="${y + 2}" width="${cellWidth - 4}" height="${cellHeight - 4}" rx="4" fill="${colors.fill}"/>
+                        <text x="${x + cellWidth / 2}" y="${y + cellHeight / 2 + 4}" text-anchor="middle" font-size="11" font-weight="700" fill="${colors.text}">${RiskHTML.escape(severity || '–')}</text>
+                    </g>
+                `;
+            }).join('');
+
+            return `
+                <text x="${labelWidth - 10}" y="${y + cellHeight / 2 + 4}" text-anchor="end" font-size="13" fill="#1f2937">${RiskHTML.escape(name)}</text>
+                ${cells}
+            `;
+        }).join('');
+
+        return `
+            <svg class="risk-heatmap" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" role="img"
+                aria-label="Heatmap of risk severity by harm category and interaction layer" ${FONT}>
+                ${header}
+                ${rows}
+            </svg>
+        `;
+    }
+
+    // One bar per harm category; length is the severity level, labelled with the level and score
+    function severityChart(profile) {
+        const categories = Object.entries(RiskEngine.HARM_CATEGORIES);
+        const levels = RiskEngine.SEVERITY_LEVELS;
+        const labelWidth = 250;
+        const plotWidth = 300;
+        const valueWidth = 100;
+        const barHeight = 22;
+        const rowHeight = 34;
+        const axisHeight = 24;
+        const width = labelWidth + plotWidth + valueWidth;
+        const height = rowHeight * categories.length + axisHeight;
+        const step = plotWidth / levels.length;
+
+        const grid = levels.map((level, index) => {
+            const x = labelWidth + step * (index + 1);
+            return `
+                <line x1="${x}" y1="0" x2="${x}" y2="${rowHeight * categories.length}" stroke="#e5e7eb" stroke-dasharray="3 3"/>
+                <text x="${x}" y="${height - 6}" text-anchor="end" font-size="10" fill="#6b7280">${level}</text>
+            `;
+        }).join('');
+
+        const bars = categories.map(([category, name], row) => {
+            const data = profile.harmCategories[category];
+            const severity = data.hasRisk ? data.severity : null;
+            const colors = colorsFor(severity);
+            const y = row * rowHeight + (rowHeight - barHeight) / 2;
+            const barWidth = severity ? step * (levels.indexOf(severity) + 1) : 0;
+            const value = severity
+                ? `${severity}${typeof data.score === 'number' ? ` · ${data.score}` : ''}`
+                : 'No risk';
+
+            return `
+                <g>
+                    <title>${RiskHTML.escape(`${name}: ${value}`)}</title>
+                    <text x="${labelWidth - 10}" y="${y + barHeight / 2 + 4}" text-anchor="end" font-size="13" fill="#1f2937">${RiskHTML.escape(name)}</text>
+                    <rect x="${labelWidth}" y="${y}" width="${plotWidth}" height="${barHeight}" rx="4" fill="${NO_RISK_COLOR.fill}"/>
+                    ${barWidth > 0 ? `<rect x="${labelWidth}" y="${y}" width="${barWidth}" height="${barHeight}" rx="4" fill="${colors.bar}"/>` : ''}
+                    <text x="${labelWidth + plotWidth + 8}" y="${y + barHeight / 2 + 4}" font-size="11" font-weight="700" fill="${colors.text}">${RiskHTML.escape(value)}</text>
+                </g>
+            `;
+        }).join('');
+
+        return `
+            <svg class="risk-chart" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" role="img"
+                aria-label="Bar chart of risk severity by harm category" ${FONT}>
+                ${grid}
+                ${bars}
+            </svg>
+        `;
+    }
+
+    return {
+        heatmap,
+        severityChart,
+        SEVERITY_COLORS
+    };
+});
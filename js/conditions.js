@@ -0,0 +1,346 @@
+// Condition Language for Compound Risk Rules
+// Parses and evaluates Trigger_Conditions such as
+//   Training=Minimal AND (Bias=HIGH OR Privacy=HIGH)
+//   Vulnerable_Population>=60% AND NOT No_Appeals=TRUE
+//
+// Grammar:
+//   expression := andExpr ( OR andExpr )*
+//   andExpr    := notExpr ( AND notExpr )*
+//   notExpr    := NOT notExpr | primary
+//   primary    := '(' expression ')' | NAME [ operator literal ]
+//   operator   := = | == | != | < | <= | > | >=
+//   literal    := NUMBER[%] | WORD | "quoted text"
+//
+// The left side of a comparison is always a variable (harm category, risk count or
+// assessment fact); the right side is always a literal. Severity variables compare by
+// rank (LOW < MEDIUM < HIGH < CRITICAL), numbers numerically, other words by
+// case-insensitive equality. Whether a variable is a severity is decided by the caller
+// from its name, never from its value, so a fact whose value happens to be "High"
+// still compares as text. A category not rated as a risk is NONE, below LOW, so
+// Bias=NONE tests for no risk and Bias>=LOW for any.
+//
+// A comparison with a variable that has no value, such as a fact whose question was
+// hidden or not answered, is neither true nor false but unknown, and stays unknown
+// through NOT: NOT No_Appeals=TRUE does not hold when PD_3 was not answered. AND is
+// false when either side is false and OR true when either side is true, whatever the
+// other; a condition that is still unknown at the end does not hold.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.RiskConditions = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const SEVERITY_LEVELS = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+    // What a severity variable compares as when nothing is rated
+    const NO_SEVERITY = 'NONE';
+    const SEVERITY_RANKS = [NO_SEVERITY, ...SEVERITY_LEVELS];
+    const KEYWORDS = ['AND', 'OR', 'NOT'];
+    const OPERATORS = ['>=', '<=', '!=', '==', '=', '>', '<'];
+
+    class ConditionError extends Error {
+        constructor(message, condition, position) {
+            super(position !== undefined ? `${message} (at position ${position + 1})` : message);
+            this.name = 'ConditionError';
+            this.condition = condition;
+            this.position = position;
+        }
+    }
+
+    function tokenize(source) {
+        const tokens = [];
+        let i = 0;
+
+        while (i < source.length) {
+            const char = source[i];
+
+            if (/\s/.test(char)) {
+                i++;
+                continue;
+            }
+
+            if (char === '(' || char === ')') {
+                tokens.push({ type: char, position: i });
+                i++;
+                continue;
+            }
+
+            const operator = OPERATORS.find(op => source.startsWith(op, i));
+            if (operator) {
+                tokens.push({ type: 'operator', value: operator === '==' ? '=' : operator, position: i });
+                i += operator.length;
+                continue;
+            }
+
+            if (char === '"') {
+                const end = source.indexOf('"', i + 1);
+                if (end === -1) {
+                    throw new ConditionError('Unterminated quoted text', source, i);
+                }
+                tokens.push({ type: 'text', value: source.slice(i + 1, end), position: i });
+                i = end + 1;
+                continue;
+            }
+
+            const number = /^-?\d+(\.\d+)?%?/.exec(source.slice(i));
+            if (number) {
+                tokens.push({
+                    type: 'number',
+                    value: parseFloat(number[0]),
+                    percent: number[0].endsWith('%'),
+                    position: i
+                });
+                i += number[0].length;
+                continue;
+            }
+
+            const word = /^[A-Za-z_][A-Za-z0-9_.]*/.exec(source.slice(i));
+            if (word) {
+                const upper = word[0].toUpperCase();
+                if (KEYWORDS.includes(upper)) {
+                    tokens.push({ type: upper, position: i });
+                } else {
+                    tokens.push({ type: 'word', value: word[0], position: i });
+                }
+                i += word[0].length;
+                continue;
+            }
+
+            throw new ConditionError(`Unexpected character "${char}"`, source, i);
+        }
+
+        return tokens;
+    }
+
+    function parse(source) {
+        if (typeof source !== 'string' || source.trim() === '') {
+            throw new ConditionError('Condition is empty', source);
+        }
+
+        const tokens = tokenize(source);
+        let index = 0;
+
+        const peek = () => tokens[index];
+        const next = () => tokens[index++];
+        const positionOf = token => (token ? token.position : source.length);
+
+        function expect(type, description) {
+            const token = next();
+            if (!token || token.type !== type) {
+                throw new ConditionError(`Expected ${description}`, source, positionOf(token));
+            }
+            return token;
+        }
+
+        function parseExpression() {
+            let node = parseAnd();
+            while (peek() && peek().type === 'OR') {
+                next();
+                node = { type: 'or', left: node, right: parseAnd() };
+            }
+            return node;
+        }
+
+        function parseAnd() {
+            let node = parseNot();
+            while (peek() && peek().type === 'AND') {
+                next();
+                node = { type: 'and', left: node, right: parseNot() };
+            }
+            return node;
+        }
+
+        function parseNot() {
+            if (peek() && peek().type === 'NOT') {
+                next();
+                return { type: 'not', operand: parseNot() };
+            }
+            return parsePrimary();
+        }
+
+        function parsePrimary() {
+            const token = peek();
+
+            if (token && token.type === '(') {
+                next();
+                const node = parseExpression();
+                expect(')', 'closing parenthesis');
+                return node;
+            }
+
+            const name = expect('word', 'a variable name');
+
+            if (!peek() || peek().type !== 'operator') {
+                return { type: 'term', variable: name.value };
+            }
+
+            const operator = next().value;
+            const literal = next();
+            if (!literal || !['number', 'word', 'text'].includes(literal.type)) {
+                throw new ConditionError(`Expected a value after "${operator}"`, source, positionOf(literal));
+            }
+
+            return {
+                type: 'compare',
+                variable: name.value,
+                operator: operator,
+                value: literal.type === 'number'
+                    ? { kind: 'number', value: literal.value, percent: literal.percent }
+                    : { kind: 'word', value: literal.value }
+            };
+        }
+
+        const ast = parseExpression();
+        if (index < tokens.length) {
+            throw new ConditionError('Unexpected input after end of condition', source, tokens[index].position);
+        }
+        return ast;
+    }
+
+    // Collects every variable name referenced by a parsed condition
+    function variables(ast, names = []) {
+        if (ast.type === 'compare' || ast.type === 'term') {
+            if (!names.includes(ast.variable)) names.push(ast.variable);
+        } else if (ast.type === 'not') {
+            variables(ast.operand, names);
+        } else {
+            variables(ast.left, names);
+            variables(ast.right, names);
+        }
+        return names;
+    }
+
+    // Collects every comparison node, e.g. to check the values compared against a variable
+    function comparisons(ast, nodes = []) {
+        if (ast.type === 'compare') {
+            nodes.push(ast);
+        } else if (ast.type === 'not') {
+            comparisons(ast.operand, nodes);
+        } else if (ast.type !== 'term') {
+            comparisons(ast.left, nodes);
+            comparisons(ast.right, nodes);
+        }
+        return nodes;
+    }
+
+    function compareOrdered(left, operator, right) {
+        switch (operator) {
+            case '=': return left === right;
+            case '!=': return left !== right;
+            case '<': return left < right;
+            case '<=': return left <= right;
+            case '>': return left > right;
+            case '>=': return left >= right;
+        }
+        return false;
+    }
+
+    // A range value {min, max} satisfies a comparison only if every value in it does
+    function compareRange(range, operator, target) {
+        switch (operator) {
+            case '=': return target >= range.min && target <= range.max;
+            case '!=': return target < range.min || target > range.max;
+            case '<': return range.max < target;
+            case '<=': return range.max <= target;
+            case '>': return range.min > target;
+            case '>=': return range.min >= target;
+        }
+        return false;
+    }
+
+    function compare(node, actual, severity) {
+        const literal = node.value;
+        const describe = () => `"${node.variable}${node.operator}${literal.value}${literal.percent ? '%' : ''}"`;
+
+        if (typeof actual === 'number' || (typeof actual === 'object' && 'min' in actual)) {
+            if (literal.kind !== 'number') {
+                throw new ConditionError(`${describe()} compares a numeric variable with non-numeric value "${literal.value}"`);
+            }
+            return typeof actual === 'number'
+                ? compareOrdered(actual, node.operator, literal.value)
+                : compareRange(actual, node.operator, literal.value);
+        }
+
+        if (typeof actual === 'boolean') {
+            const word = String(literal.value).toUpperCase();
+            if (literal.kind !== 'word' || (word !== 'TRUE' && word !== 'FALSE')) {
+                throw new ConditionError(`${describe()} compares a TRUE/FALSE variable with "${literal.value}"`);
+            }
+            if (node.operator !== '=' && node.operator !== '!=') {
+                throw new ConditionError(`${describe()} uses "${node.operator}" on a TRUE/FALSE variable`);
+            }
+            return compareOrdered(actual, node.operator, word === 'TRUE');
+        }
+
+        const actualText = String(actual).toUpperCase();
+        const literalText = String(literal.value).toUpperCase();
+
+        if (severity) {
+            if (!SEVERITY_RANKS.includes(literalText)) {
+                throw new ConditionError(`${describe()} compares a severity with "${literal.value}" (expected ${SEVERITY_RANKS.join(', ')})`);
+            }
+            return compareOrdered(
+                SEVERITY_RANKS.indexOf(actualText), node.operator, SEVERITY_RANKS.indexOf(literalText)
+            );
+        }
+
+        if (node.operator !== '=' && node.operator !== '!=') {
+            throw new ConditionError(`${describe()} uses "${node.operator}" on a value without an order`);
+        }
+        return compareOrdered(actualText, node.operator, literalText);
+    }
+
+    // Evaluates a parsed condition to true, false or, when it depends on a variable without a
+    // value, null for unknown
+    function evaluateKnown(ast, resolve, unresolved, isSeverity) {
+        switch (ast.type) {
+            case 'or': {
+                // Evaluate both sides so every unresolved name is reported
+                const sides = [evaluateKnown(ast.left, resolve, unresolved, isSeverity), evaluateKnown(ast.right, resolve, unresolved, isSeverity)];
+                return sides.includes(true) ? true : (sides.includes(null) ? null : false);
+            }
+            case 'and': {
+                const sides = [evaluateKnown(ast.left, resolve, unresolved, isSeverity), evaluateKnown(ast.right, resolve, unresolved, isSeverity)];
+                return sides.includes(false) ? false : (sides.includes(null) ? null : true);
+            }
+            case 'not': {
+                const operand = evaluateKnown(ast.operand, resolve, unresolved, isSeverity);
+                return operand === null ? null : !operand;
+            }
+            case 'term': {
+                const value = resolve(ast.variable);
+                if (value === undefined) {
+                    if (!unresolved.includes(ast.variable)) unresolved.push(ast.variable);
+                    return null;
+                }
+                if (typeof value !== 'boolean') {
+                    throw new ConditionError(`"${ast.variable}" is not a TRUE/FALSE variable and needs a comparison`);
+                }
+                return value;
+            }
+            case 'compare': {
+                const value = resolve(ast.variable);
+                if (value === undefined || value === null) {
+                    if (!unresolved.includes(ast.variable)) unresolved.push(ast.variable);
+                    return null;
+                }
+                return compare(ast, value, isSeverity(ast.variable));
+            }
+        }
+        throw new ConditionError(`Unknown condition node "${ast.type}"`);
+    }
+
+    // Evaluates a parsed condition. resolve(name) returns the variable's value: a
+    // severity word or other string, a number, a boolean, a {min, max} range, or
+    // undefined when the variable is not known. A condition that depends on unknown
+    // variables does not hold; their names are collected in `unresolved`.
+    // isSeverity(name) tells which variables hold a severity and compare by rank.
+    function evaluate(ast, resolve, unresolved = [], isSeverity = () => false) {
+        return evaluateKnown(ast, resolve, unresolved, isSeverity) === true;
+    }
+
+    return { parse, evaluate, variables, comparisons, ConditionError, SEVERITY_LEVELS, NO_SEVERITY };
+});
@@ -0,0 +1,131 @@
+// Minimal CSV reader and writer for the assessment datasets
+// Follows RFC 4180 quoting and returns rows keyed by the trimmed header, like PapaParse with
+// header: true and skipEmptyLines: true. Bundled so the browser needs no network to parse.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.RiskCSV = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    function parseRecords(text) {
+        const records = [];
+        let record = [];
+        let field = '';
+        let inQuotes = false;
+        let i = 0;
+
+        if (text.charCodeAt(0) === 0xFEFF) {
+            i = 1;
+        }
+
+        for (; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                record.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') {
+                    i++;
+                }
+                record.push(field);
+                records.push(record);
+                record = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || record.length > 0) {
+            record.push(field);
+            records.push(record);
+        }
+
+        return { records, unterminatedQuote: inQuotes };
+    }
+
+    // Returns { data, errors } where errors use PapaParse's shape: { type, code, message, row }
+    function parse(text) {
+        const { records, unterminatedQuote } = parseRecords(text);
+        const nonEmpty = records.filter(record => !(record.length === 1 && record[0].trim() === ''));
+        const errors = [];
+
+        if (nonEmpty.length === 0) {
+            return { data: [], errors };
+        }
+
+        const headers = nonEmpty[0].map(header => header.trim());
+        const data = nonEmpty.slice(1).map((record, row) => {
+            if (record.length < headers.length) {
+                errors.push({
+                    type: 'FieldMismatch',
+                    code: 'TooFewFields',
+                    message: `Too few fields: expected ${headers.length} fields but parsed ${record.length}`,
+                    row: row
+                });
+            } else if (record.length > headers.length) {
+                errors.push({
+                    type: 'FieldMismatch',
+                    code: 'TooManyFields',
+                    message: `Too many fields: expected ${headers.length} fields but parsed ${record.length}`,
+                    row: row
+                });
+            }
+
+            const entry = {};
+            headers.forEach((header, index) => {
+                if (index < record.length) {
+                    entry[header] = record[index].trim();
+                }
+            });
+            return entry;
+        });
+
+        if (unterminatedQuote) {
+            errors.push({
+                type: 'Quotes',
+                code: 'MissingQuotes',
+                message: 'Quoted field unterminated',
+                row: data.length - 1
+            });
+        }
+
+        return { data, errors };
+    }
+
+    function quoteField(value, always) {
+        const text = value === undefined || value === null ? '' : String(value);
+        if (/[",\r\n]/.test(text) || text !== text.trim() || (always && text !== '')) {
+            return `"${text.replace(/"/g, '""')}"`;
+        }
+        return text;
+    }
+
+    // Writes rows back in the datasets' layout: the given columns in order, one row per line,
+    // fields quoted only where needed except for the prose columns listed in quoted
+    function stringify(rows, columns, quoted = []) {
+        const lines = [columns.map(column => quoteField(column, false)).join(',')];
+        rows.forEach(row => {
+            lines.push(columns.map(column => quoteField(row[column], quoted.includes(column))).join(','));
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    return { parse, stringify };
+});
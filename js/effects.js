@@ -0,0 +1,255 @@
+// Effect Language for Compound Risk Rules
+// Parses the Escalation_Effect of a rule and works out what it does to each rating, e.g.
+//   RAISE Privacy TO HIGH
+//   RAISE Bias+Flourishing BY 1; REQUIRE_MITIGATION Bias
+//
+// Grammar:
+//   effects := effect ( ';' effect )*
+//   effect  := RAISE targets TO LEVEL      at least LEVEL; a higher rating is kept
+//            | RAISE targets BY N          N levels higher, at most CRITICAL
+//            | CAP targets AT LEVEL        at most LEVEL; a lower rating is kept
+//            | SET targets TO LEVEL        exactly LEVEL, higher or lower
+//            | WARN                        no rating changes; the rule only shows its Special_Warning
+//            | REQUIRE_MITIGATION targets  the categories' mitigation plans must be acted on
+//   targets := CATEGORY ( '+' CATEGORY )* | ALL | RATED
+//
+// CATEGORY is a harm category key such as Privacy. ALL is every category and RATED every
+// category rated as a risk when the rule applies. RAISE ... TO and SET turn a category without
+// a risk into one at LEVEL; RAISE ... BY, CAP and REQUIRE_MITIGATION only affect rated
+// categories. Every rule that applies shows its Special_Warning, whatever its effect.
+// Keywords and levels may be written in any case; category names as in the datasets.
+// The quantitative scoring model derives each rating from its score after the rules have run;
+// bounds() gives the levels that rating is then held within, so an effect means the same in
+// both models: RAISE keeps at least the level it reached, CAP at most its level, SET exactly it.
+//
+// The names used before this grammar still read, as the effect they now stand for:
+//   Escalate_<Category>_to_<LEVEL>   RAISE <Category> TO <LEVEL>
+//   Escalate_All_to_HIGH             RAISE RATED TO HIGH
+//   Apply_System_Warning, Maintain_CRITICAL
+//                                    WARN
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.RiskEffects = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const SEVERITY_LEVELS = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+    const TARGET_GROUPS = ['ALL', 'RATED'];
+
+    // Each action's keyword, the word before its argument, and the argument it takes
+    const ACTIONS = {
+        raise: { keyword: 'RAISE', argument: 'level', word: 'TO' },
+        raiseBy: { keyword: 'RAISE', argument: 'steps', word: 'BY' },
+        cap: { keyword: 'CAP', argument: 'level', word: 'AT' },
+        set: { keyword: 'SET', argument: 'level', word: 'TO' },
+        warn: { keyword: 'WARN', argument: null },
+        requireMitigation: { keyword: 'REQUIRE_MITIGATION', argument: null }
+    };
+
+    class EffectError extends Error {
+        constructor(message, effect) {
+            super(message);
+            this.name = 'EffectError';
+            this.effect = effect;
+        }
+    }
+
+    // The grammar's equivalent of a name used before it, or null
+    function legacyEquivalent(source) {
+        const effect = String(source || '').trim();
+        if (effect === 'Apply_System_Warning' || effect === 'Maintain_CRITICAL') {
+            return 'WARN';
+        }
+        if (effect === 'Escalate_All_to_HIGH') {
+            return 'RAISE RATED TO HIGH';
+        }
+        const match = /^Escalate_(\w+)_to_([A-Za-z]+)$/.exec(effect);
+        return match ? `RAISE ${match[1]} TO ${match[2].toUpperCase()}` : null;
+    }
+
+    function parseTargets(word, categories, source) {
+        if (TARGET_GROUPS.includes(word.toUpperCase())) {
+            return word.toUpperCase();
+        }
+        const names = word.split('+').map(name => name.trim());
+        names.forEach(name => {
+            if (!categories.includes(name)) {
+                throw new EffectError(`"${name}" is not a harm category. Expected ${categories.join(', ')}, ALL or RATED`, source);
+            }
+        });
+        return names;
+    }
+
+    function parseOne(text, categories, source) {
+        const words = text.split(/\s+/);
+        const keyword = words[0].toUpperCase();
+        const candidates = Object.entries(ACTIONS).filter(([, action]) => action.keyword === keyword);
+        if (candidates.length === 0) {
+            throw new EffectError(`Unknown effect "${words[0]}". Expected RAISE, CAP, SET, WARN or REQUIRE_MITIGATION`, source);
+        }
+
+        if (keyword === 'WARN') {
+            if (words.length > 1) {
+                throw new EffectError('WARN takes no categories', source);
+            }
+            return { action: 'warn' };
+        }
+        if (words.length < 2) {
+            throw new EffectError(`${keyword} needs the categories it applies to`, source);
+        }
+        const targets = parseTargets(words[1], categories, source);
+
+        if (keyword === 'REQUIRE_MITIGATION') {
+            if (words.length > 2) {
+                throw new EffectError(`Unexpected "${words[2]}" after REQUIRE_MITIGATION ${words[1]}`, source);
+            }
+            return { action: 'requireMitigation', targets };
+        }
+
+        const word = (words[2] || '').toUpperCase();
+        const found = candidates.find(([, action]) => action.word === word);
+        if (!found || words.length !== 4) {
+            const forms = candidates.map(([, action]) => `${keyword} ${words[1]} ${action.word} ${action.argument === 'level' ? '<LEVEL>' : '<N>'}`);
+            throw new EffectError(`Expected ${forms.join(' or ')}`, source);
+        }
+
+        const [name, action] = found;
+        if (action.argument === 'steps') {
+            const steps = Number(words[3]);
+            if (!Number.isInteger(steps) || steps < 1) {
+                throw new EffectError(`RAISE ... BY needs a whole number of levels, not "${words[3]}"`, source);
+            }
+            return { action: name, targets, steps };
+        }
+
+        const level = words[3].toUpperCase();
+        if (!SEVERITY_LEVELS.includes(level)) {
+            throw new EffectError(`"${words[3]}" is not a severity. Expected ${SEVERITY_LEVELS.join(', ')}`, source);
+        }
+        return { action: name, targets, level };
+    }
+
+    // Parses an Escalation_Effect into a list of effects; categories are the harm category keys
+    function parse(source, categories) {
+        const text = typeof source === 'string' ? source.trim() : '';
+        if (text === '') {
+            throw new EffectError('Effect is empty', source);
+        }
+        const legacy = legacyEquivalent(text);
+        if (legacy !== null) {
+            return parse(legacy, categories);
+        }
+        if (text === 'Escalate_to_CRITICAL') {
+            throw new EffectError('Escalate_to_CRITICAL does not say which category to raise. Write RAISE <Category> TO CRITICAL', source);
+        }
+
+        return text.split(';')
+            .map(part => part.trim())
+            .map(part => {
+                if (part === '') {
+                    throw new EffectError('Empty effect between ";"', source);
+                }
+                return parseOne(part, categories, source);
+            });
+    }
+
+    // The categories an effect changes. ratings maps every category to its severity, or null
+    // when it is not rated as a risk.
+    function targetsOf(effect, ratings) {
+        if (effect.action === 'warn') {
+            return [];
+        }
+        const named = effect.targets === 'ALL' || effect.targets === 'RATED' ? Object.keys(ratings) : effect.targets;
+        const needsRating = effect.targets === 'RATED' || ['raiseBy', 'cap', 'requireMitigation'].includes(effect.action);
+        return named.filter(category => category in ratings && (!needsRating || ratings[category] !== null));
+    }
+
+    // A category's rating after a severity effect; null means no risk
+    function apply(effect, severity) {
+        const rank = level => SEVERITY_LEVELS.indexOf(level);
+        switch (effect.action) {
+            case 'raise':
+                return severity === null || rank(effect.level) > rank(severity) ? effect.level : severity;
+            case 'raiseBy':
+                return severity === null ? null : SEVERITY_LEVELS[Math.min(SEVERITY_LEVELS.length - 1, rank(severity) + effect.steps)];
+            case 'cap':
+                return severity === null || rank(severity) <= rank(effect.level) ? severity : effect.level;
+            case 'set':
+                return effect.level;
+            default:
+                return severity;
+        }
+    }
+
+    // The { min, max } levels a rating must stay within after an effect that gave it severity,
+    // starting from the bounds of earlier effects; null means unbounded. A later effect wins
+    // where they conflict, as it does when the effects are applied in turn.
+    function bounds(effect, severity, previous = { min: null, max: null }) {
+        const rank = level => (level === null ? -1 : SEVERITY_LEVELS.indexOf(level));
+        let { min, max } = previous;
+        switch (effect.action) {
+            case 'raise':
+            case 'raiseBy': {
+                const floor = effect.action === 'raise' ? effect.level : severity;
+                min = rank(floor) > rank(min) ? floor : min;
+                if (max !== null && rank(max) < rank(min)) {
+                    max = min;
+                }
+                break;
+            }
+            case 'cap':
+                max = max === null || rank(effect.level) < rank(max) ? effect.level : max;
+                if (min !== null && rank(min) > rank(max)) {
+                    min = max;
+                }
+                break;
+            case 'set':
+                min = effect.level;
+                max = effect.level;
+                break;
+        }
+        return { min, max };
+    }
+
+    // Writes an effect in the grammar, as rule authors would
+    function format(effect) {
+        if (effect.action === 'warn') {
+            return 'WARN';
+        }
+        const action = ACTIONS[effect.action];
+        const targets = Array.isArray(effect.targets) ? effect.targets.join('+') : effect.targets;
+        if (action.argument === null) {
+            return `${action.keyword} ${targets}`;
+        }
+        return `${action.keyword} ${targets} ${action.word} ${action.argument === 'steps' ? effect.steps : effect.level}`;
+    }
+
+    // What an effect does, in a sentence fragment for rule previews
+    function describe(effect, names = {}) {
+        const targets = effect.targets === 'ALL'
+            ? 'every category'
+            : effect.targets === 'RATED'
+                ? 'every rated category'
+                : (effect.targets || []).map(category => names[category] || category).join(' and ');
+        switch (effect.action) {
+            case 'raise':
+                return `raises ${targets} to at least ${effect.level}`;
+            case 'raiseBy':
+                return `raises ${targets} by ${effect.steps} level${effect.steps === 1 ? '' : 's'}, up to CRITICAL`;
+            case 'cap':
+                return `caps ${targets} at ${effect.level}`;
+            case 'set':
+                return `sets ${targets} to ${effect.level}, even if that is lower`;
+            case 'requireMitigation':
+                return `requires a mitigation for ${targets}`;
+            default:
+                return 'shows its warning without changing any rating';
+        }
+    }
+
+    return { parse, targetsOf, apply, bounds, format, describe, legacyEquivalent, EffectError, SEVERITY_LEVELS };
+});
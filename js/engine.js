@@ -0,0 +1,1410 @@
+// AI Risk Assessment Tool - Scoring Engine
+// Computes a Kennedy & Campos risk profile from the data tables and a set of answers.
+// Has no DOM dependencies so it can run in the browser and under Node.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./conditions'), require('./effects'), require('./questions'));
+    } else {
+        root.RiskEngine = factory(root.RiskConditions, root.RiskEffects, root.RiskQuestions);
+    }
+})(typeof self !== 'undefined' ? self : this, function (RiskConditions, RiskEffects, RiskQuestions) {
+    'use strict';
+
+    // The CSV datasets the engine is built from, keyed by the property they populate
+    const DATA_FILES = [
+        { file: 'tool_types.csv', key: 'toolTypes' },
+        { file: 'tool_questions.csv', key: 'toolQuestions' },
+        { file: 'context_questions.csv', key: 'contextQuestions' },
+        { file: 'risk_explanations.csv', key: 'riskExplanations' },
+        { file: 'compound_risk_rules.csv', key: 'compoundRiskRules' },
+        { file: 'assessment_facts.csv', key: 'assessmentFacts' },
+        { file: 'mitigations.csv', key: 'mitigations' },
+        { file: 'scoring_settings.csv', key: 'scoringSettings' },
+        { file: 'category_weights.csv', key: 'categoryWeights' },
+        { file: 'layer_descriptions.csv', key: 'layerDescriptions' },
+        { file: 'scenarios.csv', key: 'scenarios' },
+        { file: 'regulatory_crosswalk.csv', key: 'regulatoryCrosswalk' }
+    ];
+
+    // Kennedy & Campos framework with 6 harm categories
+    const HARM_CATEGORIES = {
+        'Bias': 'Bias & Authenticity',
+        'Privacy': 'Privacy & Safety',
+        'Flourishing': 'Human Flourishing & Interpretability',
+        'Organizational': 'Organizational & Human Potential',
+        'Accuracy': 'Misinformation & Accuracy',
+        'Misuse': 'Misuse & Cyberbullying'
+    };
+
+    // 4 interaction layers from Kennedy & Campos framework
+    const INTERACTION_LAYERS = {
+        'Output': 'Individual AI responses and immediate outputs',
+        'Whole': 'Complete interaction sessions and user experiences',
+        'Group': 'Classroom and learning group dynamics',
+        'System': 'Institutional and systemic-level impacts'
+    };
+
+    const SEVERITY_LEVELS = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+
+    // Mitigation effort, cheapest first; used to order otherwise equal recommendations
+    const EFFORT_LEVELS = ['Low', 'Medium', 'High'];
+
+    // ordinal: levels come from max-wins answers, context modifiers and compound rules.
+    // quantitative: levels come from each category's likelihood x impact score.
+    const SCORING_MODELS = ['ordinal', 'quantitative'];
+
+    // Used for any setting scoring_settings.csv leaves out
+    const DEFAULT_SCORING_SETTINGS = {
+        Scoring_Model: 'ordinal',
+        Base_Likelihood: 3,
+        Modifier_Likelihood: 0.4,
+        Breadth_Impact: 0.25,
+        Threshold_MEDIUM: 4,
+        Threshold_HIGH: 8,
+        Threshold_CRITICAL: 12,
+        Context_Aggregation: 'sum',
+        Context_Cap: 2,
+        Context_Diminishing_Factor: 0.5,
+        Context_Baseline: 'none',
+        Context_Baseline_Min: 2,
+        Context_Order: 'before_rules'
+    };
+
+    // How the context modifiers applied to one category combine; see aggregateContextModifiers
+    const CONTEXT_AGGREGATIONS = ['sum', 'net', 'capped', 'max', 'diminishing'];
+
+    // Whether context modifiers apply before or after the compound rules
+    const CONTEXT_ORDERS = ['before_rules', 'after_rules'];
+
+    // The settings that take a word rather than a number
+    const TEXT_SETTINGS = ['Scoring_Model', 'Context_Aggregation', 'Context_Baseline', 'Context_Order'];
+
+    // Likelihood and impact are each on a 1-5 scale, so scores run from 1 to 25
+    const SCORE_SCALE_MAX = 5;
+
+    // Tool_Type value for rules and mitigations that apply to every tool in tool_types.csv
+    const ALL_TOOLS = 'Both_Tools';
+
+    // Tool_Type of compound rules about tools deployed together; only assessPortfolio applies them
+    const PORTFOLIO = 'Portfolio';
+
+    class RiskEngine {
+        constructor(data) {
+            this.data = {
+                toolTypes: [],
+                toolQuestions: [],
+                contextQuestions: [],
+                riskExplanations: [],
+                compoundRiskRules: [],
+                assessmentFacts: [],
+                mitigations: [],
+                scoringSettings: [],
+                categoryWeights: [],
+                layerDescriptions: [],
+                regulatoryCrosswalk: [],
+                ...data
+            };
+
+            this.harmCategories = HARM_CATEGORIES;
+            this.severityLevels = SEVERITY_LEVELS;
+            this.parsedConditions = {};
+            this.parsedEffects = {};
+            this.scoring = this.readScoringSettings();
+        }
+
+        // Scoring settings from scoring_settings.csv and category_weights.csv, with defaults
+        // for anything missing. Categories without a weight count once.
+        readScoringSettings() {
+            const settings = { ...DEFAULT_SCORING_SETTINGS };
+            this.data.scoringSettings.forEach(row => {
+                if (!(row.Setting in DEFAULT_SCORING_SETTINGS)) return;
+                if (TEXT_SETTINGS.includes(row.Setting)) {
+                    settings[row.Setting] = (row.Value || '').toLowerCase();
+                } else if (row.Value !== '' && !isNaN(row.Value)) {
+                    settings[row.Setting] = parseFloat(row.Value);
+                }
+            });
+
+            const weights = {};
+            Object.keys(HARM_CATEGORIES).forEach(category => {
+                const row = this.data.categoryWeights.find(entry => entry.Risk_Category === category);
+                weights[category] = row && row.Weight !== '' && !isNaN(row.Weight) ? parseFloat(row.Weight) : 1;
+            });
+
+            return {
+                model: settings.Scoring_Model,
+                baseLikelihood: settings.Base_Likelihood,
+                modifierLikelihood: settings.Modifier_Likelihood,
+                breadthImpact: settings.Breadth_Impact,
+                thresholds: SEVERITY_LEVELS.slice(1).map(level => ({ level, min: settings[`Threshold_${level}`] })),
+                contextAggregation: settings.Context_Aggregation,
+                contextCap: settings.Context_Cap,
+                contextDiminishingFactor: settings.Context_Diminishing_Factor,
+                // A severity level, or NONE
+                contextBaseline: settings.Context_Baseline.toUpperCase(),
+                contextBaselineMin: settings.Context_Baseline_Min,
+                contextOrder: settings.Context_Order,
+                weights: weights
+            };
+        }
+
+        // The tool_types.csv row for a tool id such as 'llm_tutors', or null
+        getToolType(tool) {
+            return this.data.toolTypes.find(type => type.Tool_ID === tool) || null;
+        }
+
+        // The Tool_Type value the other datasets use for a tool, e.g. 'LLM_Tutors'
+        getToolCSVKey(tool) {
+            const toolType = this.getToolType(tool);
+            return toolType ? toolType.CSV_Key : null;
+        }
+
+        // Whether a Tool_Type column value covers the tool, either by name or as ALL_TOOLS
+        appliesToTool(toolTypeValue, tool) {
+            return toolTypeValue === ALL_TOOLS || toolTypeValue === this.getToolCSVKey(tool);
+        }
+
+        getToolQuestions(tool) {
+            const toolType = this.getToolCSVKey(tool);
+            return this.data.toolQuestions.filter(q =>
+                q.Tool_Type && q.Tool_Type === toolType
+            );
+        }
+
+        getToolDisplayName(tool) {
+            const toolType = this.getToolType(tool);
+            return toolType ? toolType.Display_Name : tool;
+        }
+
+        // answers: { tool: 'plagiarism_detection', toolAnswers: { PD_1: 'C', PD_5: ['A', 'C'], ... }, contextAnswers: { CTX_1: 45, CTX_2: 'B', ... } }
+        // An answer of '?' ("Not sure yet") adds nothing to the profile; profile.uncertainty then
+        // holds the best and worst case and which unknown answers matter most.
+        assess(answers) {
+            const profile = this.scoreAnswers(answers);
+            const uncertainty = this.assessUncertainty(answers);
+            if (uncertainty) {
+                profile.uncertainty = uncertainty;
+            }
+            return profile;
+        }
+
+        // The profile for the answers as given
+        scoreAnswers(answers) {
+            if (!this.getToolType(answers.tool)) {
+                throw new Error(`Unknown tool type "${answers.tool}". Expected one of: ${this.data.toolTypes.map(type => type.Tool_ID).join(', ')}`);
+            }
+
+            // Only questions shown by the Show_If skip logic are scored
+            const { toolQuestions, contextQuestions, toolAnswers, contextAnswers, answerErrors } = this.getQuestionnaire(answers);
+
+            const profile = {
+                toolType: answers.tool,
+                toolAnswers: { ...toolAnswers },
+                contextAnswers: { ...contextAnswers },
+                harmCategories: {},
+                overallRisk: 'LOW',
+                activeRisks: [],
+                facts: this.deriveAssessmentFacts([...toolQuestions, ...contextQuestions], { ...toolAnswers, ...contextAnswers })
+            };
+            if (answerErrors.length > 0) {
+                profile.answerErrors = answerErrors;
+            }
+
+            // Initialize harm categories
+            Object.keys(HARM_CATEGORIES).forEach(category => {
+                profile.harmCategories[category] = {
+                    severity: 'LOW',
+                    hasRisk: false,
+                    explanation: null,
+                    trace: []
+                };
+            });
+
+            // Process tool-specific answers
+            toolQuestions.forEach(question => {
+                const answer = toolAnswers[question.Question_ID];
+
+                if (answer !== undefined) {
+                    this.processAnswerRisks(question, answer, profile);
+                }
+            });
+
+            // Apply context modifiers and compound risk rules, in the order Context_Order sets
+            const contextModifiers = this.collectContextModifiers(contextQuestions, contextAnswers);
+            if (this.scoring.contextOrder === 'after_rules') {
+                this.applyCompoundRiskRules(profile);
+                this.applyContextModifiers(contextModifiers, profile);
+            } else {
+                this.applyContextModifiers(contextModifiers, profile);
+                this.applyCompoundRiskRules(profile);
+            }
+
+            // Score likelihood x impact, and derive the levels from the scores in the quantitative model
+            this.applyRiskScores(profile);
+
+            // Work out where each risk shows up across the interaction layers
+            this.assignLayerSeverities(profile);
+
+            // Get explanations for active risks
+            this.addRiskExplanations(profile);
+
+            // Determine overall risk level
+            profile.overallRisk = this.determineOverallRisk(profile);
+
+            return profile;
+        }
+
+        // assessment: { tools: ['plagiarism_detection', 'llm_tutors'], toolAnswers: { PD_1: 'D', LT_1: 'C', ... }, contextAnswers: { ... } }
+        // Each tool is assessed as usual under the shared context answers. The institution-wide
+        // profile rates each category at its worst across the tools, since the same students meet
+        // every tool, and then applies the Portfolio compound rules, which reach into a single
+        // tool through qualified names such as LLM_Tutors.Interaction=Anthropomorphic.
+        assessPortfolio(assessment) {
+            const tools = assessment.tools || [];
+            if (tools.length === 0) {
+                throw new Error('A portfolio needs at least one tool');
+            }
+            const duplicate = tools.find((tool, index) => tools.indexOf(tool) !== index);
+            if (duplicate) {
+                throw new Error(`Tool type "${duplicate}" appears more than once in the portfolio`);
+            }
+
+            const profiles = tools.map(tool => this.assess({
+                tool: tool,
+                toolAnswers: assessment.toolAnswers,
+                contextAnswers: assessment.contextAnswers
+            }));
+            const contextIds = this.data.contextQuestions.map(question => question.Question_ID);
+
+            // Each tool sees the others' answers in toolAnswers; only the rest are errors. They
+            // are listed once, on the portfolio, since the context answers are shared.
+            const answerErrors = profiles
+                .flatMap(entry => entry.answerErrors || [])
+                .filter(error => !tools.includes(error.tool))
+                .filter((error, index, errors) => errors.findIndex(other => other.questionId === error.questionId) === index);
+            profiles.forEach(entry => {
+                delete entry.answerErrors;
+            });
+            const worst = severities => severities.reduce((max, severity) =>
+                (max === null || this.isSeverityHigher(severity, max) ? severity : max), null);
+
+            const profile = {
+                portfolio: true,
+                tools: profiles,
+                toolAnswers: Object.assign({}, ...profiles.map(entry => entry.toolAnswers)),
+                contextAnswers: Object.assign({}, ...profiles.map(entry => entry.contextAnswers)),
+                harmCategories: {},
+                overallRisk: 'LOW',
+                activeRisks: [],
+                facts: {}
+            };
+            if (answerErrors.length > 0) {
+                profile.answerErrors = answerErrors;
+            }
+
+            // Only context facts are shared; tool facts are reached through qualified names
+            profiles.forEach(entry => {
+                Object.entries(entry.facts)
+                    .filter(([, fact]) => contextIds.includes(fact.questionId))
+                    .forEach(([name, fact]) => {
+                        profile.facts[name] = fact;
+                    });
+            });
+
+            Object.keys(HARM_CATEGORIES).forEach(category => {
+                const rated = profiles.filter(entry => entry.harmCategories[category].hasRisk);
+                const severity = worst(rated.map(entry => entry.harmCategories[category].severity));
+                const scored = rated.reduce((max, entry) =>
+                    (max === null || entry.harmCategories[category].score > max.score ? entry.harmCategories[category] : max), null);
+                const layers = {};
+                Object.keys(INTERACTION_LAYERS).forEach(layer => {
+                    layers[layer] = worst(rated.map(entry => entry.harmCategories[category].layers[layer]).filter(Boolean));
+                });
+
+                profile.harmCategories[category] = {
+                    severity: severity || 'LOW',
+                    hasRisk: rated.length > 0,
+                    explanation: null,
+                    tools: rated.map(entry => entry.toolType),
+                    likelihood: scored ? scored.likelihood : 0,
+                    impact: scored ? scored.impact : 0,
+                    score: scored ? scored.score : 0,
+                    layers: layers,
+                    trace: rated.map(entry => ({
+                        stage: 'tool',
+                        source: entry.toolType,
+                        severity: entry.harmCategories[category].severity,
+                        detail: `score ${entry.harmCategories[category].score}`,
+                        description: `${this.getToolDisplayName(entry.toolType)} rates this ${entry.harmCategories[category].severity}`
+                    }))
+                };
+            });
+
+            const before = {};
+            Object.entries(profile.harmCategories).forEach(([category, data]) => {
+                before[category] = data.hasRisk ? data.severity : null;
+            });
+
+            this.data.compoundRiskRules
+                .filter(rule => rule.Tool_Type === PORTFOLIO)
+                .forEach(rule => {
+                    const effects = this.ruleEffects(rule, profile);
+                    if (effects && this.evaluateRule(rule, profile, name => this.resolvePortfolioVariable(name, profile))) {
+                        this.applyRule(rule, effects, profile);
+                    }
+                });
+
+            // A mitigation a cross-tool rule requires shows in the plan of each tool rating the risk
+            (profile.requiredMitigations || []).forEach(requirement => {
+                profiles
+                    .filter(entry => entry.harmCategories[requirement.category].hasRisk)
+                    .forEach(entry => {
+                        entry.requiredMitigations = [...(entry.requiredMitigations || []), requirement];
+                    });
+            });
+
+            // Cross-tool rules move the rated layers with their category, as rules do for one tool
+            Object.entries(profile.harmCategories).forEach(([category, data]) => {
+                if (!data.hasRisk || data.severity === before[category]) return;
+                Object.keys(data.layers).forEach(layer => {
+                    if (before[category] === null) {
+                        data.layers[layer] = data.severity;
+                    } else if (data.layers[layer] !== null) {
+                        const shift = SEVERITY_LEVELS.indexOf(data.severity) - SEVERITY_LEVELS.indexOf(before[category]);
+                        data.layers[layer] = this.applySeverityModifier(data.layers[layer], shift);
+                    }
+                });
+            });
+
+            profile.scoringModel = this.scoring.model;
+            profile.compositeScore = this.compositeScore(profile);
+            Object.entries(profile.harmCategories).forEach(([category, data]) => {
+                if (data.hasRisk) {
+                    profile.activeRisks.push({
+                        category: category,
+                        categoryName: HARM_CATEGORIES[category],
+                        severity: data.severity,
+                        tools: data.tools
+                    });
+                }
+            });
+            profile.overallRisk = this.determineOverallRisk(profile);
+
+            return profile;
+        }
+
+        // Portfolio rule variables: LLM_Tutors.Bias or LLM_Tutors.Interaction reads one tool's
+        // profile and is unresolved when that tool is not in the portfolio; unqualified names
+        // read the institution-wide ratings, risk counts and context facts
+        resolvePortfolioVariable(name, profile) {
+            const separator = name.indexOf('.');
+            if (separator === -1) {
+                return this.resolveConditionVariable(name, profile);
+            }
+
+            const toolType = name.slice(0, separator);
+            const toolProfile = profile.tools.find(entry => this.getToolCSVKey(entry.toolType) === toolType);
+            return toolProfile ? this.resolveConditionVariable(name.slice(separator + 1), toolProfile) : undefined;
+        }
+
+        // Works out the range of outcomes when some answers are unknown. Each unknown answer is
+        // resolved in turn to the candidate answer that gives the lowest (best case) or highest
+        // (worst case) risk, and follow-up questions this reveals are treated as unknown too.
+        // Unknowns are ranked by how far their candidate answers move the ratings on their own.
+        // Returns null when every answer is known.
+        assessUncertainty(answers) {
+            const questionnaire = this.getQuestionnaire(answers);
+            const questions = [...questionnaire.toolQuestions, ...questionnaire.contextQuestions];
+            const given = { ...questionnaire.toolAnswers, ...questionnaire.contextAnswers };
+            const unknown = questions.filter(question => RiskQuestions.isUnknown(given[question.Question_ID]));
+            if (unknown.length === 0) {
+                return null;
+            }
+
+            const shownIds = questions.map(question => question.Question_ID);
+            const withAnswer = (assessment, question, answer) => {
+                const section = this.data.contextQuestions.includes(question) ? 'contextAnswers' : 'toolAnswers';
+                return { ...assessment, [section]: { ...assessment[section], [question.Question_ID]: answer } };
+            };
+            const outcomes = (assessment, question) => RiskQuestions.candidateAnswers(question)
+                .map(answer => ({ answer, profile: this.scoreAnswers(withAnswer(assessment, question, answer)) }))
+                .sort((a, b) => RiskEngine.compareRisk(a.profile, b.profile));
+
+            const resolve = worst => {
+                let scenario = { tool: answers.tool, toolAnswers: { ...answers.toolAnswers }, contextAnswers: { ...answers.contextAnswers } };
+                // Each pass answers one question, so this ends once every question has been answered
+                for (let pass = 0; pass <= this.data.toolQuestions.length + this.data.contextQuestions.length; pass++) {
+                    const current = this.getQuestionnaire(scenario);
+                    const currentAnswers = { ...current.toolAnswers, ...current.contextAnswers };
+                    const open = [...current.toolQuestions, ...current.contextQuestions].find(question =>
+                        RiskQuestions.isUnknown(currentAnswers[question.Question_ID]) ||
+                        (!(question.Question_ID in currentAnswers) && !shownIds.includes(question.Question_ID))
+                    );
+                    if (!open) break;
+
+                    const ranked = outcomes(scenario, open);
+                    scenario = withAnswer(scenario, open, ranked[worst ? ranked.length - 1 : 0].answer);
+                }
+                return this.scoreAnswers(scenario);
+            };
+
+            const rank = severity => (severity === null ? -1 : SEVERITY_LEVELS.indexOf(severity));
+            const severities = profile => {
+                const result = {};
+                Object.entries(profile.harmCategories).forEach(([category, data]) => {
+                    result[category] = data.hasRisk ? data.severity : null;
+                });
+                return result;
+            };
+            const summarize = profile => ({
+                overallRisk: profile.overallRisk,
+                compositeScore: profile.compositeScore,
+                harmCategories: severities(profile),
+                toolAnswers: profile.toolAnswers,
+                contextAnswers: profile.contextAnswers
+            });
+
+            const priorities = unknown.map(question => {
+                const ranked = outcomes(answers, question);
+                const best = ranked[0];
+                const worst = ranked[ranked.length - 1];
+                const bestLevels = severities(best.profile);
+                const worstLevels = severities(worst.profile);
+                const categories = Object.keys(HARM_CATEGORIES)
+                    .filter(category => bestLevels[category] !== worstLevels[category])
+                    .map(category => ({
+                        category,
+                        name: HARM_CATEGORIES[category],
+                        best: bestLevels[category],
+                        worst: worstLevels[category]
+                    }));
+
+                return {
+                    questionId: question.Question_ID,
+                    questionText: question.Question_Text,
+                    section: this.data.contextQuestions.includes(question) ? 'context' : 'tool',
+                    bestAnswer: RiskQuestions.describeAnswer(question, best.answer),
+                    worstAnswer: RiskQuestions.describeAnswer(question, worst.answer),
+                    // Levels moved across all categories, then the change in composite score
+                    swing: categories.reduce((total, entry) => total + rank(entry.worst) - rank(entry.best), 0),
+                    scoreSwing: Math.round((worst.profile.compositeScore.score - best.profile.compositeScore.score) * 10) / 10,
+                    categories: categories
+                };
+            }).sort((a, b) => b.swing - a.swing || b.scoreSwing - a.scoreSwing);
+
+            return {
+                best: summarize(resolve(false)),
+                worst: summarize(resolve(true)),
+                unknowns: priorities
+            };
+        }
+
+        // Orders profiles from least to most risk: by overall level, then by the levels of all
+        // categories together, then by composite score
+        static compareRisk(a, b) {
+            const total = profile => Object.values(profile.harmCategories)
+                .reduce((sum, data) => sum + (data.hasRisk ? SEVERITY_LEVELS.indexOf(data.severity) + 1 : 0), 0);
+            return SEVERITY_LEVELS.indexOf(a.overallRisk) - SEVERITY_LEVELS.indexOf(b.overallRisk) ||
+                total(a) - total(b) ||
+                a.compositeScore.score - b.compositeScore.score;
+        }
+
+        // The questions an assessment is shown, in order, and its valid answers to them.
+        // A question is shown when its Show_If condition holds for the answers to the questions
+        // shown before it, so hiding a question also hides its follow-ups. Answers are normalized
+        // by question type; answers to hidden questions are dropped. Invalid answers to shown
+        // questions, and answers to questions the tool or context does not have, are listed in
+        // answerErrors as { questionId, answer, message }, plus the tool id of a question
+        // answered for the wrong tool.
+        getQuestionnaire(assessment) {
+            const shown = { questions: {}, answers: {} };
+            const answerErrors = [];
+            const given = answer => answer !== undefined && answer !== null && answer !== '';
+            const visible = (questions, answers) => questions.filter(question => {
+                if (!this.isQuestionShown(question, shown)) {
+                    return false;
+                }
+                shown.questions[question.Question_ID] = question;
+                const raw = (answers || {})[question.Question_ID];
+                const answer = RiskQuestions.normalizeAnswer(question, raw);
+                if (answer !== undefined) {
+                    shown.answers[question.Question_ID] = answer;
+                } else if (given(raw)) {
+                    answerErrors.push({ questionId: question.Question_ID, answer: raw, message: RiskQuestions.answerError(question, raw) });
+                }
+                return true;
+            });
+            const answersTo = questions => {
+                const picked = {};
+                questions.filter(question => question.Question_ID in shown.answers).forEach(question => {
+                    picked[question.Question_ID] = shown.answers[question.Question_ID];
+                });
+                return picked;
+            };
+
+            const allToolQuestions = this.getToolQuestions(assessment.tool);
+            const toolQuestions = visible(allToolQuestions, assessment.toolAnswers);
+            const contextQuestions = visible(this.data.contextQuestions, assessment.contextAnswers);
+
+            // Answers keyed to questions this assessment does not have, e.g. a typo or another tool's question
+            const toolName = this.getToolDisplayName(assessment.tool);
+            Object.entries(assessment.toolAnswers || {})
+                .filter(([id, answer]) => given(answer) && !allToolQuestions.some(question => question.Question_ID === id))
+                .forEach(([id, answer]) => {
+                    const question = this.data.toolQuestions.find(entry => entry.Question_ID === id);
+                    const owner = question && this.data.toolTypes.find(type => type.CSV_Key === question.Tool_Type);
+                    answerErrors.push(owner
+                        ? { questionId: id, answer, tool: owner.Tool_ID, message: `${id} is a question for ${owner.Display_Name}, not for ${toolName}` }
+                        : { questionId: id, answer, message: `"${id}" is not a question for ${toolName}` });
+                });
+            Object.entries(assessment.contextAnswers || {})
+                .filter(([id, answer]) => given(answer) && !this.data.contextQuestions.some(question => question.Question_ID === id))
+                .forEach(([id, answer]) => {
+                    answerErrors.push({ questionId: id, answer, message: `"${id}" is not a context question` });
+                });
+
+            return {
+                toolQuestions: toolQuestions,
+                contextQuestions: contextQuestions,
+                toolAnswers: answersTo(toolQuestions),
+                contextAnswers: answersTo(contextQuestions),
+                answerErrors: answerErrors
+            };
+        }
+
+        isQuestionShown(question, shown) {
+            if (!question.Show_If) {
+                return true;
+            }
+
+            try {
+                return RiskConditions.evaluate(
+                    this.parseCondition(question.Show_If),
+                    name => this.resolveAnswerVariable(name, shown)
+                );
+            } catch (error) {
+                if (!(error instanceof RiskConditions.ConditionError)) {
+                    throw error;
+                }
+                // Asking an extra question is safer than silently skipping one
+                console.error(`Invalid Show_If for question ${question.Question_ID}:`, error.message);
+                return true;
+            }
+        }
+
+        // Show_If variables: PD_1 is the answer letter (or the number for number questions),
+        // and LT_5.C is TRUE when option C is selected, which is how multi-select answers are tested
+        resolveAnswerVariable(name, shown) {
+            const [questionId, letter] = name.split('.');
+            const question = shown.questions[questionId];
+            const answer = shown.answers[questionId];
+
+            // Follow-ups of an unknown answer stay hidden until it is known
+            if (!question || answer === undefined || RiskQuestions.isUnknown(answer)) {
+                return undefined;
+            }
+            if (letter !== undefined) {
+                return RiskQuestions.selectedLetters(question, answer).includes(letter);
+            }
+            return RiskQuestions.questionType(question) === 'multi' ? undefined : answer;
+        }
+
+        // Scores each option an answer selects: the chosen option, every option of a
+        // multi-select answer, or the band a number falls in
+        processAnswerRisks(question, answer, profile) {
+            RiskQuestions.selectedLetters(question, answer).forEach(letter => {
+                const label = this.answerLabel(question, answer, letter);
+
+                Object.keys(HARM_CATEGORIES).forEach(category => {
+                    const riskColumn = `${letter}_${category}`;
+                    const severityColumn = `${letter}_Severity`;
+
+                    if (question[riskColumn] === 'TRUE' || question[riskColumn] === 'true') {
+                        const severity = question[severityColumn] || 'LOW';
+                        const categoryData = profile.harmCategories[category];
+                        const from = categoryData.hasRisk ? categoryData.severity : null;
+
+                        // Update if higher severity
+                        if (this.isSeverityHigher(severity, categoryData.severity)) {
+                            categoryData.severity = severity;
+                        }
+
+                        categoryData.hasRisk = true;
+
+                        this.recordStep(profile, category, {
+                            stage: 'answer',
+                            source: question.Question_ID,
+                            detail: `${label}: ${question[`Answer_${letter}`]}`,
+                            severity: severity,
+                            layers: this.answerLayers(question, letter),
+                            from: from,
+                            to: categoryData.severity,
+                            description: from === null
+                                ? `Answer ${label} to ${question.Question_ID} identifies a ${severity} risk`
+                                : from === severity
+                                    ? `Answer ${label} to ${question.Question_ID} also indicates ${severity}`
+                                    : from === categoryData.severity
+                                        ? `Answer ${label} to ${question.Question_ID} indicates ${severity}; the higher ${from} rating is kept`
+                                        : `Answer ${label} to ${question.Question_ID} raises the rating from ${from} to ${severity}`
+                        });
+                    }
+                });
+            });
+        }
+
+        // The modifiers each context answer applies, by category. Every selected option of a
+        // multi-select answer contributes its own modifiers.
+        collectContextModifiers(questions, answers) {
+            const modifiers = {};
+            Object.keys(HARM_CATEGORIES).forEach(category => {
+                modifiers[category] = [];
+            });
+
+            questions.forEach(question => {
+                const answer = answers[question.Question_ID];
+                if (answer === undefined) return;
+
+                RiskQuestions.selectedLetters(question, answer).forEach(letter => {
+                    Object.keys(HARM_CATEGORIES).forEach(category => {
+                        const modifier = parseInt(question[`${letter}_${category}_Modifier`]) || 0;
+                        if (modifier !== 0) {
+                            modifiers[category].push({
+                                source: question.Question_ID,
+                                label: this.answerLabel(question, answer, letter),
+                                detail: `${this.answerLabel(question, answer, letter)}: ${question[`Answer_${letter}`]}`,
+                                modifier: modifier
+                            });
+                        }
+                    });
+                });
+            });
+
+            return modifiers;
+        }
+
+        // How much each modifier counts under the Context_Aggregation setting. The counted
+        // amounts add up to the category's net adjustment.
+        //   sum          every modifier counts in full
+        //   net          as sum; applyContextModifiers moves the rating by the total instead
+        //   capped       the running total never goes beyond +/- Context_Cap
+        //   max          only the strongest raising and the strongest lowering modifier count
+        //   diminishing  in each direction, the strongest counts in full and each further one
+        //                counts Context_Diminishing_Factor times the one before it
+        aggregateContextModifiers(modifiers) {
+            const { contextAggregation, contextCap, contextDiminishingFactor } = this.scoring;
+
+            if (contextAggregation === 'capped') {
+                let total = 0;
+                return modifiers.map(entry => {
+                    const capped = Math.max(-contextCap, Math.min(contextCap, total + entry.modifier));
+                    const counted = capped - total;
+                    total = capped;
+                    return { ...entry, counted };
+                });
+            }
+
+            if (contextAggregation === 'max' || contextAggregation === 'diminishing') {
+                const ranked = direction => modifiers
+                    .filter(entry => Math.sign(entry.modifier) === direction)
+                    .sort((a, b) => Math.abs(b.modifier) - Math.abs(a.modifier));
+                const rank = new Map();
+                [ranked(1), ranked(-1)].forEach(list => list.forEach((entry, index) => rank.set(entry, index)));
+
+                return modifiers.map(entry => {
+                    const index = rank.get(entry);
+                    const counted = contextAggregation === 'max'
+                        ? (index === 0 ? entry.modifier : 0)
+                        : entry.modifier * Math.pow(contextDiminishingFactor, index);
+                    return { ...entry, counted: Math.round(counted * 100) / 100 };
+                });
+            }
+
+            return modifiers.map(entry => ({ ...entry, counted: entry.modifier }));
+        }
+
+        // Adjusts each category by its context modifiers. Under sum each one is applied in turn and
+        // the rating kept within the scale after each, as the tool always has, so LOW with -1 then
+        // +2 ends at HIGH; the other strategies move the rating by the running total, rounded to
+        // whole levels, so the same answers give MEDIUM. Context only adjusts risks the answers
+        // identified, unless Context_Baseline lets a net adjustment of Context_Baseline_Min or more introduce one.
+        applyContextModifiers(contextModifiers, profile) {
+            const signed = value => (value > 0 ? `+${value}` : `${value}`);
+            const levels = value => Math.sign(value) * Math.round(Math.abs(value));
+            const notes = {
+                capped: `the context adjustment is capped at ±${this.scoring.contextCap}`,
+                max: 'only the strongest context modifier in each direction counts',
+                diminishing: 'further context modifiers count for less'
+            };
+
+            Object.entries(contextModifiers).forEach(([category, modifiers]) => {
+                const categoryData = profile.harmCategories[category];
+                const entries = this.aggregateContextModifiers(modifiers);
+                const net = entries.reduce((total, entry) => total + entry.counted, 0);
+
+                if (!categoryData.hasRisk) {
+                    const baseline = this.scoring.contextBaseline;
+                    if (!SEVERITY_LEVELS.includes(baseline) || net < this.scoring.contextBaselineMin) {
+                        return;
+                    }
+
+                    categoryData.hasRisk = true;
+                    categoryData.severity = baseline;
+                    this.recordStep(profile, category, {
+                        stage: 'baseline',
+                        source: entries.filter(entry => entry.counted > 0).map(entry => entry.source).join(', '),
+                        detail: `net context adjustment ${signed(Math.round(net * 100) / 100)}`,
+                        severity: baseline,
+                        counted: Math.round(net * 100) / 100,
+                        from: null,
+                        to: baseline,
+                        description: `No answer identified this risk, but the institutional context (net ${signed(Math.round(net * 100) / 100)}) introduces a baseline ${baseline} risk`
+                    });
+                    return;
+                }
+
+                const start = SEVERITY_LEVELS.indexOf(categoryData.severity);
+                const stepwise = this.scoring.contextAggregation === 'sum';
+                let total = 0;
+                entries.forEach(entry => {
+                    const from = categoryData.severity;
+                    total += entry.counted;
+                    const to = stepwise
+                        ? this.applySeverityModifier(from, entry.counted)
+                        : this.applySeverityModifier(SEVERITY_LEVELS[start], levels(total));
+                    categoryData.severity = to;
+
+                    let description = `Context answer ${entry.label} to ${entry.source} applies ${signed(entry.modifier)}`;
+                    if (entry.counted !== entry.modifier) {
+                        description += entry.counted === 0
+                            ? `, which does not count because ${notes[this.scoring.contextAggregation]}`
+                            : `, counted as ${signed(entry.counted)} because ${notes[this.scoring.contextAggregation]}`;
+                    }
+                    if (from !== to) {
+                        description += `, moving the rating from ${from} to ${to}`;
+                    } else if ((entry.counted > 0 && to === SEVERITY_LEVELS[SEVERITY_LEVELS.length - 1]) || (entry.counted < 0 && to === SEVERITY_LEVELS[0])) {
+                        description += `, but the rating is already at the ${entry.counted > 0 ? 'top' : 'bottom'} of the scale`;
+                    } else if (entry.counted !== 0) {
+                        description += `, leaving the rating at ${to}`;
+                    }
+
+                    this.recordStep(profile, category, {
+                        stage: 'context',
+                        source: entry.source,
+                        detail: entry.detail,
+                        modifier: entry.modifier,
+                        counted: entry.counted,
+                        from: from,
+                        to: to,
+                        description: description
+                    });
+                });
+            });
+        }
+
+        // The interaction layers an answer option affects, from its <letter>_Layers column
+        // (e.g. "Output|System"); an option that does not say affects every layer
+        answerLayers(question, letter) {
+            const layers = (question[`${letter}_Layers`] || '')
+                .split('|')
+                .map(layer => layer.trim())
+                .filter(layer => layer in INTERACTION_LAYERS);
+            return layers.length > 0 ? layers : Object.keys(INTERACTION_LAYERS);
+        }
+
+        // How an answer is named in traces: the option letter, or the number that was entered
+        answerLabel(question, answer, letter) {
+            return RiskQuestions.questionType(question) === 'number' ? RiskQuestions.formatAnswer(question, answer) : letter;
+        }
+
+        applyCompoundRiskRules(profile) {
+            // Implementation of compound risk rules based on compound_risk_rules.csv
+            this.data.compoundRiskRules.forEach(rule => {
+                if (!this.appliesToTool(rule.Tool_Type, profile.toolType)) {
+                    return;
+                }
+                const effects = this.ruleEffects(rule, profile);
+                if (effects && this.ruleApplies(rule, profile)) {
+                    this.applyRule(rule, effects, profile);
+                }
+            });
+        }
+
+        ruleApplies(rule, profile) {
+            // Check if rule applies to current tool or all tools
+            if (!this.appliesToTool(rule.Tool_Type, profile.toolType)) {
+                return false;
+            }
+
+            return this.evaluateRule(rule, profile, name => this.resolveConditionVariable(name, profile));
+        }
+
+        // Evaluates a rule's Trigger_Conditions with resolve supplying the variables. A malformed
+        // condition is recorded in profile.ruleErrors and never applies.
+        evaluateRule(rule, profile, resolve) {
+            const conditions = rule.Trigger_Conditions;
+
+            // Parse and evaluate conditions
+            try {
+                const condition = this.parseCondition(conditions);
+                const unresolved = [];
+                const applies = RiskConditions.evaluate(condition, resolve, unresolved, name => this.isSeverityVariable(name));
+
+                // Facts bound to unanswered questions, and names qualified with a tool outside the
+                // portfolio, are expected to be missing; anything else is a typo, and a rule with
+                // a typo never applies, since NOT Bais=HIGH would otherwise always hold
+                const unknown = unresolved.filter(name =>
+                    !name.includes('.') && !this.data.assessmentFacts.some(fact => fact.Fact_Name === name)
+                );
+                if (unknown.length > 0) {
+                    throw new RiskConditions.ConditionError(
+                        `References unknown variable${unknown.length === 1 ? '' : 's'} ${unknown.join(', ')}, which ${unknown.length === 1 ? 'is' : 'are'} not a harm category, risk count or fact`,
+                        conditions
+                    );
+                }
+
+                return applies;
+            } catch (error) {
+                if (!(error instanceof RiskConditions.ConditionError)) {
+                    throw error;
+                }
+                console.error(`Invalid condition in rule ${rule.Rule_ID}:`, error.message);
+                if (!profile.ruleErrors) {
+                    profile.ruleErrors = [];
+                }
+                profile.ruleErrors.push({
+                    ruleId: rule.Rule_ID,
+                    condition: conditions,
+                    message: error.message
+                });
+            }
+
+            return false;
+        }
+
+        // The parsed Escalation_Effect of a rule. An effect that does not parse is recorded in
+        // profile.ruleErrors, and the rule is skipped, with null.
+        ruleEffects(rule, profile) {
+            try {
+                return this.parseEffect(rule.Escalation_Effect);
+            } catch (error) {
+                if (!(error instanceof RiskEffects.EffectError)) {
+                    throw error;
+                }
+                console.error(`Invalid effect in rule ${rule.Rule_ID}:`, error.message);
+                if (!profile.ruleErrors) {
+                    profile.ruleErrors = [];
+                }
+                profile.ruleErrors.push({
+                    ruleId: rule.Rule_ID,
+                    effect: rule.Escalation_Effect,
+                    message: error.message
+                });
+            }
+
+            return null;
+        }
+
+        parseEffect(effect) {
+            if (!(effect in this.parsedEffects)) {
+                try {
+                    this.parsedEffects[effect] = { effects: RiskEffects.parse(effect, Object.keys(HARM_CATEGORIES)) };
+                } catch (error) {
+                    this.parsedEffects[effect] = { error: error };
+                }
+            }
+
+            const parsed = this.parsedEffects[effect];
+            if (parsed.error) {
+                throw parsed.error;
+            }
+            return parsed.effects;
+        }
+
+        parseCondition(condition) {
+            if (!(condition in this.parsedConditions)) {
+                try {
+                    this.parsedConditions[condition] = { ast: RiskConditions.parse(condition) };
+                } catch (error) {
+                    this.parsedConditions[condition] = { error: error };
+                }
+            }
+
+            const parsed = this.parsedConditions[condition];
+            if (parsed.error) {
+                throw parsed.error;
+            }
+            return parsed.ast;
+        }
+
+        // Harm categories hold a severity and compare by rank, also when qualified with a tool
+        // (LLM_Tutors.Privacy); facts compare as text whatever their value
+        isSeverityVariable(name) {
+            return name.slice(name.indexOf('.') + 1) in HARM_CATEGORIES;
+        }
+
+        resolveConditionVariable(name, profile) {
+            // Harm categories resolve to their current severity, e.g. Bias=HIGH, or NONE when not rated
+            if (profile.harmCategories[name]) {
+                return profile.harmCategories[name].hasRisk ? profile.harmCategories[name].severity : RiskConditions.NO_SEVERITY;
+            }
+
+            // Risk counts, e.g. Count_CRITICAL_Risks>=2
+            const countMatch = /^Count_([A-Z]+)_Risks$/.exec(name);
+            if (countMatch && SEVERITY_LEVELS.includes(countMatch[1])) {
+                return Object.values(profile.harmCategories)
+                    .filter(cat => cat.hasRisk && cat.severity === countMatch[1]).length;
+            }
+            if (name === 'Count_Risks') {
+                return Object.values(profile.harmCategories).filter(cat => cat.hasRisk).length;
+            }
+
+            // Named assessment facts, e.g. Trust_Culture=Low
+            return profile.facts[name] ? profile.facts[name].value : undefined;
+        }
+
+        // questions: the questions shown; answers: their normalized answers keyed by Question_ID
+        deriveAssessmentFacts(questions, answers) {
+            // Bind answered question/answer pairs to the named facts in assessment_facts.csv.
+            // Answer "*" binds whatever was answered, and Value "*" takes the answer itself as
+            // the value, which is how number questions expose the number that was entered.
+            const facts = {};
+
+            this.data.assessmentFacts.forEach(binding => {
+                const answer = answers[binding.Question_ID];
+                const question = questions.find(q => q.Question_ID === binding.Question_ID);
+                if (answer === undefined || RiskQuestions.isUnknown(answer) || !question || binding.Fact_Name in facts) {
+                    return;
+                }
+                if (binding.Answer !== '*' && !RiskQuestions.selectedLetters(question, answer).includes(binding.Answer)) {
+                    return;
+                }
+
+                const useAnswer = binding.Value === '*';
+                facts[binding.Fact_Name] = {
+                    value: useAnswer && typeof answer === 'number' ? answer : RiskEngine.parseFactValue(useAnswer ? String(answer) : binding.Value),
+                    displayValue: useAnswer ? RiskQuestions.formatAnswer(question, answer) : binding.Value,
+                    questionId: binding.Question_ID,
+                    questionText: question.Question_Text,
+                    answer: RiskQuestions.formatAnswer(question, answer),
+                    answerText: RiskQuestions.answerText(question, answer)
+                };
+            });
+
+            return facts;
+        }
+
+        static parseFactValue(value) {
+            // Numeric ranges like "30-60", plain numbers, TRUE/FALSE, otherwise text
+            const range = /^(-?\d+(?:\.\d+)?)%?\s*-\s*(-?\d+(?:\.\d+)?)%?$/.exec(value);
+            if (range) {
+                return { min: parseFloat(range[1]), max: parseFloat(range[2]) };
+            }
+            if (/^-?\d+(\.\d+)?%?$/.test(value)) {
+                return parseFloat(value);
+            }
+            if (value.toUpperCase() === 'TRUE' || value.toUpperCase() === 'FALSE') {
+                return value.toUpperCase() === 'TRUE';
+            }
+            return value;
+        }
+
+        // Applies each effect in turn; see effects.js for what they do
+        applyRule(rule, effects, profile) {
+            const warning = rule.Special_Warning;
+            const before = {};
+            Object.entries(profile.harmCategories).forEach(([category, data]) => {
+                before[category] = data.hasRisk ? data.severity : null;
+            });
+
+            effects.forEach(effect => {
+                const ratings = {};
+                Object.entries(profile.harmCategories).forEach(([category, data]) => {
+                    ratings[category] = data.hasRisk ? data.severity : null;
+                });
+
+                RiskEffects.targetsOf(effect, ratings).forEach(category => {
+                    if (effect.action === 'requireMitigation') {
+                        if (!profile.requiredMitigations) {
+                            profile.requiredMitigations = [];
+                        }
+                        profile.requiredMitigations.push({
+                            ruleId: rule.Rule_ID,
+                            category: category,
+                            riskCombination: rule.Risk_Combination
+                        });
+                        return;
+                    }
+
+                    const severity = RiskEffects.apply(effect, ratings[category]);
+                    if (severity !== null) {
+                        const data = profile.harmCategories[category];
+                        data.severity = severity;
+                        data.hasRisk = true;
+
+                        // Kept so the quantitative model cannot score the rating out of the rule's reach
+                        const previous = data.ruleBounds || { min: null, max: null, rules: [] };
+                        data.ruleBounds = {
+                            ...RiskEffects.bounds(effect, severity, previous),
+                            rules: previous.rules.includes(rule.Rule_ID) ? previous.rules : [...previous.rules, rule.Rule_ID]
+                        };
+                    }
+                });
+            });
+
+            // Add special warning if provided
+            if (warning) {
+                if (!profile.compoundWarnings) {
+                    profile.compoundWarnings = [];
+                }
+                profile.compoundWarnings.push({
+                    ruleId: rule.Rule_ID,
+                    warning: warning,
+                    riskCombination: rule.Risk_Combination
+                });
+            }
+
+            const written = effects.map(RiskEffects.format).join('; ');
+            Object.entries(profile.harmCategories).forEach(([category, data]) => {
+                const after = data.hasRisk ? data.severity : null;
+                if (after !== before[category]) {
+                    this.recordStep(profile, category, {
+                        stage: 'rule',
+                        source: rule.Rule_ID,
+                        detail: `${rule.Risk_Combination} (${rule.Trigger_Conditions})`,
+                        from: before[category],
+                        to: after,
+                        description: `Compound rule ${rule.Rule_ID} (${written}) ${before[category] === null ? 'sets' : 'moves'} the rating ${before[category] === null ? '' : `from ${before[category]} `}to ${after}`
+                    });
+                }
+            });
+        }
+
+        // Appends a provenance step explaining how a category's severity changed
+        recordStep(profile, category, step) {
+            profile.harmCategories[category].trace.push(step);
+        }
+
+        // Rates each interaction layer of a category from the answers that affect it. A layer no
+        // answer affects has no rating (null). Context modifiers, compound rules and scoring
+        // move every rated layer by the same number of levels as the category, so the most
+        // affected layer always matches the category's rating.
+        assignLayerSeverities(profile) {
+            const rank = severity => SEVERITY_LEVELS.indexOf(severity);
+
+            Object.values(profile.harmCategories).forEach(data => {
+                data.layers = {};
+                const answers = data.trace.filter(step => step.stage === 'answer');
+
+                Object.keys(INTERACTION_LAYERS).forEach(layer => {
+                    if (!data.hasRisk) {
+                        data.layers[layer] = null;
+                    } else if (answers.length === 0) {
+                        // A risk introduced by context or a compound rule applies across the board
+                        data.layers[layer] = data.severity;
+                    } else {
+                        const affecting = answers.filter(step => step.layers.includes(layer));
+                        data.layers[layer] = affecting.length === 0 ? null : Math.max(...affecting.map(step => rank(step.severity)));
+                    }
+                });
+
+                if (data.hasRisk && answers.length > 0) {
+                    const shift = rank(data.severity) - Math.max(...answers.map(step => rank(step.severity)));
+                    Object.keys(data.layers).forEach(layer => {
+                        if (data.layers[layer] !== null) {
+                            data.layers[layer] = this.applySeverityModifier(SEVERITY_LEVELS[data.layers[layer]], shift);
+                        }
+                    });
+                }
+            });
+        }
+
+        // The layer_descriptions.csv text for how a risk shows up at one interaction layer. The
+        // most specific row wins: this tool and severity, this tool at any severity ("*"), then
+        // the same for Both_Tools rows.
+        getLayerDescription(tool, category, layer, severity) {
+            const csvToolType = this.getToolCSVKey(tool);
+            const rows = this.data.layerDescriptions.filter(row =>
+                row.Risk_Category === category && row.Interaction_Layer === layer
+            );
+            const candidates = [
+                [csvToolType, severity],
+                [csvToolType, '*'],
+                [ALL_TOOLS, severity],
+                [ALL_TOOLS, '*']
+            ];
+
+            for (const [toolType, level] of candidates) {
+                const row = rows.find(entry => entry.Tool_Type === toolType && entry.Severity_Level === level);
+                if (row) {
+                    return row.Description;
+                }
+            }
+            return null;
+        }
+
+        addRiskExplanations(profile) {
+            const csvToolType = this.getToolCSVKey(profile.toolType);
+
+            Object.keys(profile.harmCategories).forEach(category => {
+                const categoryData = profile.harmCategories[category];
+
+                if (categoryData.hasRisk) {
+                    const explanation = this.data.riskExplanations.find(exp =>
+                        exp.Risk_Category === category &&
+                        exp.Severity_Level === categoryData.severity &&
+                        exp.Tool_Type === csvToolType
+                    );
+
+                    if (explanation) {
+                        categoryData.explanation = explanation;
+                        profile.activeRisks.push({
+                            category: category,
+                            categoryName: HARM_CATEGORIES[category],
+                            severity: categoryData.severity,
+                            explanation: explanation
+                        });
+                    }
+                }
+            });
+        }
+
+        // Scores every category from its trace. Impact is the worst severity an answer, context
+        // baseline or compound rule assigned (LOW 1 to CRITICAL 4), plus Breadth_Impact for each further answer that
+        // identified the risk. Likelihood starts at Base_Likelihood and moves by Modifier_Likelihood
+        // per point of counted context modifier. Both are capped to 1-5; the score is their product.
+        scoreCategory(data) {
+            if (!data.hasRisk) {
+                return { likelihood: 0, impact: 0, score: 0 };
+            }
+
+            const points = severity => SEVERITY_LEVELS.indexOf(severity) + 1;
+            const clamp = value => Math.max(1, Math.min(SCORE_SCALE_MAX, value));
+            const round = value => Math.round(value * 10) / 10;
+
+            const answers = data.trace.filter(step => step.stage === 'answer');
+            const worst = Math.max(
+                ...answers.map(step => points(step.severity)),
+                ...data.trace.filter(step => step.stage === 'baseline').map(step => points(step.severity)),
+                ...data.trace.filter(step => step.stage === 'rule' && step.to).map(step => points(step.to))
+            );
+            const impact = clamp(worst + this.scoring.breadthImpact * Math.max(0, answers.length - 1));
+
+            const modifiers = data.trace
+                .filter(step => step.stage === 'context' || step.stage === 'baseline')
+                .reduce((total, step) => total + step.counted, 0);
+            const likelihood = clamp(this.scoring.baseLikelihood + this.scoring.modifierLikelihood * modifiers);
+
+            // The score is the product of the rounded factors, so it matches the numbers displayed
+            return { likelihood: round(likelihood), impact: round(impact), score: round(round(likelihood) * round(impact)) };
+        }
+
+        // The level a score reaches on the Threshold_* settings
+        levelForScore(score) {
+            let level = SEVERITY_LEVELS[0];
+            this.scoring.thresholds.forEach(threshold => {
+                if (score >= threshold.min) {
+                    level = threshold.level;
+                }
+            });
+            return level;
+        }
+
+        applyRiskScores(profile) {
+            const quantitative = this.scoring.model === 'quantitative';
+
+            Object.entries(profile.harmCategories).forEach(([category, data]) => {
+                Object.assign(data, this.scoreCategory(data));
+                if (!quantitative || !data.hasRisk) return;
+
+                // Compound rule effects hold here too: the level from the score is kept within their bounds
+                const scored = this.levelForScore(data.score);
+                const bounds = data.ruleBounds;
+                const rank = severity => SEVERITY_LEVELS.indexOf(severity);
+                let level = scored;
+                if (bounds && bounds.min !== null && rank(level) < rank(bounds.min)) {
+                    level = bounds.min;
+                } else if (bounds && bounds.max !== null && rank(level) > rank(bounds.max)) {
+                    level = bounds.max;
+                }
+
+                const from = data.severity;
+                data.severity = level;
+                let description = `Likelihood ${data.likelihood} × impact ${data.impact} gives a score of ${data.score}, `;
+                if (level !== scored) {
+                    description += `which would be ${scored}, but compound rule ${bounds.rules.join(', ')} holds the rating at ${level}`;
+                } else {
+                    description += from === level ? `which confirms ${level}` : `which moves the rating from ${from} to ${level}`;
+                }
+                this.recordStep(profile, category, {
+                    stage: 'score',
+                    source: 'scoring_settings.csv',
+                    detail: `likelihood ${data.likelihood} x impact ${data.impact}`,
+                    from: from,
+                    to: level,
+                    description: description
+                });
+            });
+
+            profile.scoringModel = this.scoring.model;
+            profile.compositeScore = this.compositeScore(profile);
+        }
+
+        // Weighted mean of the category scores; categories without a risk score 0
+        compositeScore(profile) {
+            let total = 0;
+            let weightTotal = 0;
+            Object.entries(profile.harmCategories).forEach(([category, data]) => {
+                const weight = this.scoring.weights[category];
+                total += weight * (data.score || 0);
+                weightTotal += weight;
+            });
+
+            const score = weightTotal > 0 ? Math.round(total / weightTotal * 10) / 10 : 0;
+            return { score: score, level: this.levelForScore(score) };
+        }
+
+        isSeverityHigher(newSeverity, currentSeverity) {
+            return SEVERITY_LEVELS.indexOf(newSeverity) > SEVERITY_LEVELS.indexOf(currentSeverity);
+        }
+
+        applySeverityModifier(severity, modifier) {
+            const currentIndex = SEVERITY_LEVELS.indexOf(severity);
+            const newIndex = Math.max(0, Math.min(SEVERITY_LEVELS.length - 1, currentIndex + modifier));
+            return SEVERITY_LEVELS[newIndex];
+        }
+
+        // Mitigations for each active risk, most severe risk first. A mitigation applies when it
+        // targets the category and tool (or Both_Tools) and the rating is at least its Min_Severity.
+        // requiredBy lists the compound rules that require acting on the category's plan.
+        recommendMitigations(profile) {
+            const rank = severity => SEVERITY_LEVELS.indexOf(severity);
+            const effortRank = effort => {
+                const index = EFFORT_LEVELS.indexOf(effort);
+                return index === -1 ? EFFORT_LEVELS.length : index;
+            };
+
+            return profile.activeRisks
+                .map(risk => ({
+                    category: risk.category,
+                    categoryName: risk.categoryName,
+                    severity: risk.severity,
+                    requiredBy: (profile.requiredMitigations || [])
+                        .filter(requirement => requirement.category === risk.category)
+                        .map(requirement => requirement.ruleId)
+                        .filter((ruleId, index, ruleIds) => ruleIds.indexOf(ruleId) === index),
+                    mitigations: this.data.mitigations
+                        .filter(mitigation =>
+                            mitigation.Risk_Category === risk.category &&
+                            this.appliesToTool(mitigation.Tool_Type, profile.toolType) &&
+                            rank(risk.severity) >= rank(mitigation.Min_Severity)
+                        )
+                        .map(mitigation => ({
+                            id: mitigation.Mitigation_ID,
+                            action: mitigation.Action,
+                            effort: mitigation.Effort,
+                            reduction: parseInt(mitigation.Severity_Reduction, 10) || 0
+                        }))
+                        // Biggest reduction first, then least effort
+                        .sort((a, b) => b.reduction - a.reduction || effortRank(a.effort) - effortRank(b.effort))
+                }))
+                .filter(plan => plan.mitigations.length > 0)
+                .sort((a, b) => rank(b.severity) - rank(a.severity));
+        }
+
+        // Projects the profile after adopting the selected mitigations. Reductions within a
+        // category add up, but a risk never drops below LOW because adopting a mitigation
+        // does not make the underlying concern disappear.
+        projectResidualRisk(profile, mitigationIds) {
+            const residual = {
+                toolType: profile.toolType,
+                harmCategories: {},
+                overallRisk: 'LOW',
+                compoundWarnings: profile.compoundWarnings,
+                adopted: []
+            };
+
+            this.recommendMitigations(profile).forEach(plan => {
+                const adopted = plan.mitigations.filter(mitigation => mitigationIds.includes(mitigation.id));
+                const reduction = adopted.reduce((total, mitigation) => total + mitigation.reduction, 0);
+                adopted.forEach(mitigation => residual.adopted.push({ category: plan.category, ...mitigation }));
+
+                if (reduction > 0) {
+                    residual.harmCategories[plan.category] = {
+                        severity: this.applySeverityModifier(plan.severity, -reduction),
+                        hasRisk: true,
+                        reduction: reduction
+                    };
+                }
+            });
+
+            Object.entries(profile.harmCategories).forEach(([category, data]) => {
+                if (!residual.harmCategories[category]) {
+                    residual.harmCategories[category] = { severity: data.severity, hasRisk: data.hasRisk, reduction: 0 };
+                }
+            });
+            residual.overallRisk = this.determineOverallRisk(residual);
+
+            return residual;
+        }
+
+        // Compares two profiles category by category; severities are null where there is no risk
+        static compareProfiles(before, after) {
+            const rank = severity => (severity === null ? -1 : SEVERITY_LEVELS.indexOf(severity));
+            const direction = (from, to) => (rank(to) > rank(from) ? 'up' : rank(to) < rank(from) ? 'down' : 'same');
+            const severityOf = (profile, category) => {
+                const data = profile.harmCategories[category];
+                return data.hasRisk ? data.severity : null;
+            };
+            const warningIds = profile => (profile.compoundWarnings || []).map(warning => warning.ruleId);
+
+            const categories = Object.keys(HARM_CATEGORIES).map(category => {
+                const from = severityOf(before, category);
+                const to = severityOf(after, category);
+                return { category, name: HARM_CATEGORIES[category], before: from, after: to, change: direction(from, to) };
+            });
+
+            return {
+                categories: categories,
+                overall: {
+                    before: before.overallRisk,
+                    after: after.overallRisk,
+                    change: direction(before.overallRisk, after.overallRisk)
+                },
+                warningsAdded: (after.compoundWarnings || []).filter(warning => !warningIds(before).includes(warning.ruleId)),
+                warningsRemoved: (before.compoundWarnings || []).filter(warning => !warningIds(after).includes(warning.ruleId)),
+                changed: categories.some(entry => entry.change !== 'same') ||
+                    before.overallRisk !== after.overallRisk ||
+                    warningIds(before).join() !== warningIds(after).join()
+            };
+        }
+
+        determineOverallRisk(profile) {
+            let highestSeverity = 'LOW';
+
+            Object.values(profile.harmCategories).forEach(category => {
+                if (category.hasRisk && this.isSeverityHigher(category.severity, highestSeverity)) {
+                    highestSeverity = category.severity;
+                }
+            });
+
+            return highestSeverity;
+        }
+    }
+
+    RiskEngine.DATA_FILES = DATA_FILES;
+    RiskEngine.HARM_CATEGORIES = HARM_CATEGORIES;
+    RiskEngine.INTERACTION_LAYERS = INTERACTION_LAYERS;
+    RiskEngine.SEVERITY_LEVELS = SEVERITY_LEVELS;
+    RiskEngine.EFFORT_LEVELS = EFFORT_LEVELS;
+    RiskEngine.ALL_TOOLS = ALL_TOOLS;
+    RiskEngine.PORTFOLIO = PORTFOLIO;
+    RiskEngine.SCORING_MODELS = SCORING_MODELS;
+    RiskEngine.DEFAULT_SCORING_SETTINGS = DEFAULT_SCORING_SETTINGS;
+    RiskEngine.SCORE_SCALE_MAX = SCORE_SCALE_MAX;
+    RiskEngine.CONTEXT_AGGREGATIONS = CONTEXT_AGGREGATIONS;
+    RiskEngine.CONTEXT_ORDERS = CONTEXT_ORDERS;
+    RiskEngine.TEXT_SETTINGS = TEXT_SETTINGS;
+
+    return RiskEngine;
+});
@@ -0,0 +1,125 @@
+// Safe HTML Rendering
+// Every piece of dataset text and user input goes through here before it reaches innerHTML.
+// Text is escaped; explanation text may also use a small formatting subset:
+//   **strong**, *emphasis*, [link text](https://example.org), and lines starting with
+//   "- " or "1. " for lists. Blank lines separate paragraphs.
+// Links are only kept for http(s) addresses and always open in a new tab with rel="noopener noreferrer".
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.RiskHTML = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const ESCAPES = {
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        '\'': '&#39;'
+    };
+
+    const LINK_PATTERN = /\[([^\]\n]+)\]\(([^)\s]+)\)/g;
+    const BULLET_PATTERN = /^\s*[-*]\s+(.*)$/;
+    const NUMBERED_PATTERN = /^\s*\d+[.)]\s+(.*)$/;
+
+    // Escapes text for element content and quoted attribute values
+    function escape(value) {
+        if (value === undefined || value === null) {
+            return '';
+        }
+        return String(value).replace(/[&<>"']/g, char => ESCAPES[char]);
+    }
+
+    // The address when it is an absolute http(s) URL, otherwise null
+    function safeURL(url) {
+        const text = String(url || '').trim();
+        if (!/^https?:\/\//i.test(text) || /[\s\u0000-\u001f]/.test(text)) {
+            return null;
+        }
+        try {
+            const parsed = new URL(text);
+            return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? parsed.href : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // An external link, or just the label when the address is not allowed.
+    // labelHTML must already be safe markup.
+    function linkHTML(url, labelHTML) {
+        const href = safeURL(url);
+        if (!href) {
+            return labelHTML;
+        }
+        return `<a href="${escape(href)}" target="_blank" rel="noopener noreferrer">${labelHTML}</a>`;
+    }
+
+    function link(url, label) {
+        return linkHTML(url, escape(label));
+    }
+
+    // Emphasis on text that is already escaped; escaping leaves asterisks alone
+    function emphasis(escaped) {
+        return escaped
+            .replace(/\*\*(?=\S)([^*]*?\S)\*\*/g, '<strong>$1</strong>')
+            .replace(/\*(?=\S)([^*]*?\S)\*/g, '<em>$1</em>');
+    }
+
+    // One line of formatted text: emphasis and links, everything else escaped
+    function formatInline(text) {
+        const source = String(text === undefined || text === null ? '' : text);
+        let html = '';
+        let last = 0;
+        source.replace(LINK_PATTERN, (match, label, url, offset) => {
+            html += emphasis(escape(source.slice(last, offset)));
+            html += linkHTML(url, emphasis(escape(label)));
+            last = offset + match.length;
+            return match;
+        });
+        return html + emphasis(escape(source.slice(last)));
+    }
+
+    // Formatted text as block markup: paragraphs, and lists for runs of "- " or "1. " lines
+    function format(text) {
+        const blocks = [];
+        String(text === undefined || text === null ? '' : text)
+            .split(/\r?\n\s*\r?\n/)
+            .forEach(paragraph => {
+                let current = null;
+                paragraph.split(/\r?\n/).forEach(line => {
+                    const bullet = line.match(BULLET_PATTERN);
+                    const numbered = bullet ? null : line.match(NUMBERED_PATTERN);
+                    const kind = bullet ? 'ul' : (numbered ? 'ol' : 'p');
+                    const content = bullet ? bullet[1] : (numbered ? numbered[1] : line.trim());
+                    if (content === '') return;
+
+                    if (!current || current.kind !== kind) {
+                        current = { kind, items: [] };
+                        blocks.push(current);
+                    }
+                    current.items.push(formatInline(content));
+                });
+            });
+
+        return blocks.map(block => (block.kind === 'p'
+            ? `<p>${block.items.join(' ')}</p>`
+            : `<${block.kind}>${block.items.map(item => `<li>${item}</li>`).join('')}</${block.kind}>`
+        )).join('');
+    }
+
+    // The addresses of the [text](address) links in formatted text, allowed or not
+    function linkTargets(text) {
+        return Array.from(String(text || '').matchAll(LINK_PATTERN), match => match[2]);
+    }
+
+    // Whether text contains something that looks like an HTML tag, which is shown as typed
+    function hasMarkup(text) {
+        return /<\/?[a-z][^>]*>/i.test(String(text || ''));
+    }
+
+    return { escape, safeURL, link, formatInline, format, linkTargets, hasMarkup };
+});
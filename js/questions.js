@@ -0,0 +1,229 @@
+// Question Types
+// Defines how each kind of questionnaire row is answered and which answer options an
+// answer selects, so scoring, rendering, exports and validation agree.
+//
+//   single  one option, stored as its letter: 'C'
+//   multi   any number of options, stored as an array of letters: ['A', 'C']
+//   number  a number, stored as a number: 45. The Bands column maps it to an option,
+//           e.g. "0-10|10-30|30-60|60-100" puts 45 in option C. "50+" is open-ended.
+//
+// Any question can also be answered UNKNOWN_ANSWER ('?', shown as "Not sure yet"), which
+// selects no option; the engine works out the best and worst case for it instead.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.RiskQuestions = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const QUESTION_TYPES = ['single', 'multi', 'number'];
+
+    // Options are the Answer_<letter> columns that have text, in letter order
+    const ANSWER_LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('');
+
+    const UNKNOWN_ANSWER = '?';
+    const UNKNOWN_TEXT = 'Not sure yet';
+
+    function questionType(question) {
+        return (question.Question_Type || 'single').toLowerCase();
+    }
+
+    function answerOptions(question) {
+        return ANSWER_LETTERS
+            .filter(letter => question[`Answer_${letter}`])
+            .map(letter => ({ value: letter, text: question[`Answer_${letter}`] }));
+    }
+
+    // "10-30" or "60+"; returns null when the text is not a band
+    function parseBand(text) {
+        const range = /^\s*(-?\d+(?:\.\d+)?)\s*-\s*(-?\d+(?:\.\d+)?)\s*$/.exec(text);
+        if (range) {
+            return { min: parseFloat(range[1]), max: parseFloat(range[2]) };
+        }
+        const open = /^\s*(-?\d+(?:\.\d+)?)\s*\+\s*$/.exec(text);
+        if (open) {
+            return { min: parseFloat(open[1]), max: Infinity };
+        }
+        return null;
+    }
+
+    // The bands of a number question paired with the options they select
+    function bands(question) {
+        const options = answerOptions(question);
+        return (question.Bands || '').split('|')
+            .map((text, index) => ({ ...parseBand(text), letter: options[index] && options[index].value }))
+            .filter(band => band.letter && typeof band.min === 'number');
+    }
+
+    // Bands include their lower bound; the last band also includes its upper bound
+    function bandFor(question, value) {
+        const list = bands(question);
+        const band = list.find((candidate, index) =>
+            value >= candidate.min && (value < candidate.max || (index === list.length - 1 && value === candidate.max))
+        );
+        return band ? band.letter : null;
+    }
+
+    function numberRange(question) {
+        const list = bands(question);
+        if (list.length === 0) {
+            return { min: null, max: null };
+        }
+        const max = list[list.length - 1].max;
+        return { min: list[0].min, max: max === Infinity ? null : max };
+    }
+
+    // Returns the canonical form of an answer, or undefined when it is not a valid answer.
+    // Accepts the looser forms found in share links and hand-written files, e.g. 'A+C' or '45'.
+    // An option letter given for a number question, as saved before the question took a
+    // number, becomes the lowest number of its band, so 'D' for "0-10|10-30|30-60|60-100" is 60.
+    function normalizeAnswer(question, answer) {
+        if (answer === undefined || answer === null || answer === '') {
+            return undefined;
+        }
+
+        if (isUnknown(answer)) {
+            return UNKNOWN_ANSWER;
+        }
+
+        const letters = answerOptions(question).map(option => option.value);
+        const type = questionType(question);
+
+        if (type === 'multi') {
+            const selected = Array.isArray(answer) ? answer : String(answer).split('+');
+            const valid = letters.filter(letter => selected.includes(letter));
+            return valid.length > 0 ? valid : undefined;
+        }
+
+        if (type === 'number') {
+            const band = bands(question).find(candidate => candidate.letter === answer);
+            if (band) {
+                return band.min;
+            }
+            const value = typeof answer === 'number' ? answer : (/^\s*-?\d+(\.\d+)?\s*$/.test(answer) ? parseFloat(answer) : NaN);
+            return Number.isFinite(value) && bandFor(question, value) ? value : undefined;
+        }
+
+        return letters.includes(answer) ? answer : undefined;
+    }
+
+    // Why normalizeAnswer rejects an answer, for reporting it instead of dropping it quietly.
+    // A number outside every band is rejected rather than clamped, since the nearest band may
+    // not be what was meant.
+    function answerError(question, answer) {
+        const letters = answerOptions(question).map(option => option.value);
+        const type = questionType(question);
+        const shown = Array.isArray(answer) ? answer.join('+') : String(answer);
+        if (type === 'number') {
+            const value = typeof answer === 'number' ? answer : parseFloat(answer);
+            if (!Number.isFinite(value) || !/^\s*-?\d+(\.\d+)?\s*$/.test(String(answer))) {
+                return `"${shown}" is not a number`;
+            }
+            const { min, max } = numberRange(question);
+            if (value < min || (max !== null && value > max)) {
+                return max === null ? `${value} is below the lowest answer, ${min}` : `${value} is outside the answers, which run from ${min} to ${max}`;
+            }
+            return `${value} falls in none of the bands ${question.Bands}`;
+        }
+        if (type === 'multi') {
+            return `"${shown}" selects none of the options ${letters.join(', ')}`;
+        }
+        return `"${shown}" is not one of the options ${letters.join(', ')}`;
+    }
+
+    // Accepts the forms a "Not sure yet" answer can take, including ['?'] from a checkbox list
+    function isUnknown(answer) {
+        return answer === UNKNOWN_ANSWER || (Array.isArray(answer) && answer.includes(UNKNOWN_ANSWER));
+    }
+
+    // The answers an unknown answer could turn out to be: each option of a single-choice
+    // question, each option alone or all of them for a multi-select, and one number per band
+    function candidateAnswers(question) {
+        const type = questionType(question);
+        const letters = answerOptions(question).map(option => option.value);
+        if (type === 'multi') {
+            return [...letters.map(letter => [letter]), ...(letters.length > 1 ? [letters] : [])];
+        }
+        if (type === 'number') {
+            return bands(question).map(band => band.min);
+        }
+        return letters;
+    }
+
+    // The option letters a normalized answer selects; none for an unknown answer
+    function selectedLetters(question, answer) {
+        if (isUnknown(answer)) {
+            return [];
+        }
+        const type = questionType(question);
+        if (type === 'multi') {
+            return answer;
+        }
+        if (type === 'number') {
+            return [bandFor(question, answer)];
+        }
+        return [answer];
+    }
+
+    // Short form for tables and traces: 'C', 'A, C' or '45%'
+    function formatAnswer(question, answer) {
+        if (isUnknown(answer)) {
+            return UNKNOWN_TEXT;
+        }
+        const type = questionType(question);
+        if (type === 'multi') {
+            return answer.join(', ');
+        }
+        if (type === 'number') {
+            return `${answer}${question.Unit || ''}`;
+        }
+        return answer;
+    }
+
+    // The option text an answer selects, e.g. "30-60%" for 45 in the band 30-60
+    function answerText(question, answer) {
+        if (isUnknown(answer)) {
+            return UNKNOWN_TEXT;
+        }
+        return selectedLetters(question, answer)
+            .map(letter => question[`Answer_${letter}`])
+            .join('; ');
+    }
+
+    // Full form for reports: 'C. Text', 'A. Text; C. Text' or '45% (30-60%)'
+    function describeAnswer(question, answer) {
+        if (isUnknown(answer)) {
+            return UNKNOWN_TEXT;
+        }
+        if (questionType(question) === 'number') {
+            return `${formatAnswer(question, answer)} (${answerText(question, answer)})`;
+        }
+        return selectedLetters(question, answer)
+            .map(letter => `${letter}. ${question[`Answer_${letter}`]}`)
+            .join('; ');
+    }
+
+    return {
+        questionType,
+        answerOptions,
+        parseBand,
+        bands,
+        bandFor,
+        numberRange,
+        normalizeAnswer,
+        answerError,
+        isUnknown,
+        candidateAnswers,
+        selectedLetters,
+        formatAnswer,
+        answerText,
+        describeAnswer,
+        QUESTION_TYPES,
+        ANSWER_LETTERS,
+        UNKNOWN_ANSWER,
+        UNKNOWN_TEXT
+    };
+});
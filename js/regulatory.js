@@ -0,0 +1,162 @@
+// Regulatory Crosswalk
+// Maps assessment results to the controls and obligations of external AI governance
+// frameworks, such as the NIST AI RMF and the EU AI Act, from regulatory_crosswalk.csv, so the
+// same assessment serves pedagogical and compliance review.
+//
+//   Tool_Type            the tool a mapping covers, or Both_Tools
+//   Risk_Category,
+//   Min_Severity         triggers when the category is rated at least Min_Severity (any rating
+//                        when blank)
+//   Trigger_Conditions   triggers when the condition holds, in the compound rule language, so
+//                        tool answers are reached through their facts, e.g. Integration=Automated
+//
+// A mapping with both triggers needs both to hold; one with neither applies whenever its tool
+// is assessed. A condition that cannot be evaluated is reported by errors() rather than
+// dropped, since a missing obligation would otherwise go unnoticed.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./conditions'), require('./engine'), require('./html'));
+    } else {
+        root.RiskRegulatory = factory(root.RiskConditions, root.RiskEngine, root.RiskHTML);
+    }
+})(typeof self !== 'undefined' ? self : this, function (RiskConditions, RiskEngine, RiskHTML) {
+    'use strict';
+
+    // Why a mapping applies to a single tool's profile: a list of reasons, null when it does
+    // not apply, or { error } when its condition cannot be evaluated
+    function triggers(engine, profile, mapping) {
+        if (!engine.appliesToTool(mapping.Tool_Type, profile.toolType)) {
+            return null;
+        }
+
+        const rank = severity => RiskEngine.SEVERITY_LEVELS.indexOf(severity);
+        const reasons = [];
+        if (mapping.Risk_Category) {
+            const data = profile.harmCategories[mapping.Risk_Category];
+            if (!data || !data.hasRisk || rank(data.severity) < rank(mapping.Min_Severity || RiskEngine.SEVERITY_LEVELS[0])) {
+                return null;
+            }
+            reasons.push(`${RiskEngine.HARM_CATEGORIES[mapping.Risk_Category]} is rated ${data.severity}`);
+        }
+
+        if (mapping.Trigger_Conditions) {
+            const resolve = name => engine.resolveConditionVariable(name, profile);
+            const isSeverity = name => engine.isSeverityVariable(name);
+            let ast;
+            try {
+                ast = engine.parseCondition(mapping.Trigger_Conditions);
+                const unresolved = [];
+                const holds = RiskConditions.evaluate(ast, resolve, unresolved, isSeverity);
+
+                // As with compound rules, only facts of unanswered questions may be missing
+                const unknown = unresolved.filter(name => !engine.data.assessmentFacts.some(fact => fact.Fact_Name === name));
+                if (unknown.length > 0) {
+                    throw new RiskConditions.ConditionError(
+                        `References unknown variable${unknown.length === 1 ? '' : 's'} ${unknown.join(', ')}, which ${unknown.length === 1 ? 'is' : 'are'} not a harm category, risk count or fact`,
+                        mapping.Trigger_Conditions
+                    );
+                }
+                if (!holds) {
+                    return null;
+                }
+            } catch (error) {
+                if (!(error instanceof RiskConditions.ConditionError)) {
+                    throw error;
+                }
+                console.error(`Invalid condition in crosswalk mapping ${mapping.Mapping_ID}:`, error.message);
+                return { error: error };
+            }
+
+            // The answers behind the parts of the condition that hold
+            RiskConditions.comparisons(ast)
+                .filter(node => RiskConditions.evaluate(node, resolve, [], isSeverity))
+                .forEach(node => {
+                    const fact = profile.facts[node.variable];
+                    const count = /^Count_(?:([A-Z]+)_)?Risks$/.exec(node.variable);
+                    let reason = `${node.variable} is ${resolve(node.variable)}`;
+                    if (fact) {
+                        reason = `${fact.questionId}: ${fact.answerText}`;
+                    } else if (count) {
+                        reason = `${resolve(node.variable)} categories rated ${count[1] || 'as a risk'}`;
+                    }
+                    if (!reasons.includes(reason)) {
+                        reasons.push(reason);
+                    }
+                });
+        }
+
+        return reasons;
+    }
+
+    // Each mapping with what it triggers for every tool of the profile, in dataset order
+    function evaluateMappings(engine, profile) {
+        const profiles = profile.portfolio ? profile.tools : [profile];
+        return engine.data.regulatoryCrosswalk.map(mapping => ({
+            mapping: mapping,
+            results: profiles.map(entry => ({ tool: entry.toolType, result: triggers(engine, entry, mapping) }))
+        }));
+    }
+
+    // The mappings a profile triggers, in dataset order. A portfolio profile triggers what
+    // any of its tools does; tools lists the ones that did.
+    function obligations(engine, profile) {
+        return evaluateMappings(engine, profile)
+            .map(({ mapping, results }) => {
+                const triggered = results
+                    .filter(entry => Array.isArray(entry.result))
+                    .map(entry => ({
+                        tool: entry.tool,
+                        reasons: profile.portfolio
+                            ? entry.result.map(reason => `${engine.getToolDisplayName(entry.tool)}: ${reason}`)
+                            : entry.result
+                    }));
+                if (triggered.length === 0) {
+                    return null;
+                }
+                return {
+                    id: mapping.Mapping_ID,
+                    framework: mapping.Framework,
+                    reference: mapping.Reference,
+                    title: mapping.Title || '',
+                    obligation: mapping.Obligation,
+                    documentation: mapping.Documentation,
+                    url: RiskHTML.safeURL(mapping.Source_URL),
+                    tools: triggered.map(entry => entry.tool),
+                    reasons: triggered
+                        .flatMap(entry => entry.reasons)
+                        .filter((reason, index, reasons) => reasons.indexOf(reason) === index)
+                };
+            })
+            .filter(Boolean);
+    }
+
+    // The mappings whose condition cannot be evaluated, so their obligation may be missing
+    // from obligations(); one entry per mapping, like profile.ruleErrors for compound rules
+    function errors(engine, profile) {
+        return evaluateMappings(engine, profile)
+            .map(({ mapping, results }) => {
+                const failed = results.find(entry => entry.result && entry.result.error);
+                return failed
+                    ? { mappingId: mapping.Mapping_ID, reference: `${mapping.Framework} ${mapping.Reference}`, condition: mapping.Trigger_Conditions, message: failed.result.error.message }
+                    : null;
+            })
+            .filter(Boolean);
+    }
+
+    // Obligations grouped by framework, frameworks in the order they first appear
+    function byFramework(list) {
+        const groups = [];
+        list.forEach(obligation => {
+            let group = groups.find(entry => entry.framework === obligation.framework);
+            if (!group) {
+                group = { framework: obligation.framework, obligations: [] };
+                groups.push(group);
+            }
+            group.obligations.push(obligation);
+        });
+        return groups;
+    }
+
+    return { obligations, errors, byFramework };
+});
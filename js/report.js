@@ -0,0 +1,704 @@
+// Assessment Report Exports
+// Builds shareable documents from a risk profile: a print-ready HTML report,
+// a Markdown report and a machine-readable JSON export. Portfolio profiles get an
+// institution-wide summary followed by each tool's report.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./engine'), require('./questions'), require('./charts'), require('./html'), require('./regulatory'));
+    } else {
+        root.RiskReport = factory(root.RiskEngine, root.RiskQuestions, root.RiskCharts, root.RiskHTML, root.RiskRegulatory);
+    }
+})(typeof self !== 'undefined' ? self : this, function (RiskEngine, RiskQuestions, RiskCharts, RiskHTML, RiskRegulatory) {
+    'use strict';
+
+    const EXPORT_FORMAT = 'aied-risk-assessment';
+    const EXPORT_VERSION = 1;
+
+    const FRAMEWORK_NOTE = 'This assessment is based on the Kennedy & Campos "Vernacularized Taxonomy of AI Harms in Education" framework, ' +
+        'which identifies risks across 6 harm categories and 4 interaction layers to provide comprehensive risk evaluation for educational AI implementations.';
+
+    // Pairs every answered question with its text, in questionnaire order
+    function describeAnswers(profile, engine) {
+        const describe = (questions, answers, section) => questions
+            .filter(question => answers[question.Question_ID] !== undefined)
+            .map(question => {
+                const answer = answers[question.Question_ID];
+                return {
+                    section: section,
+                    questionId: question.Question_ID,
+                    questionText: question.Question_Text,
+                    answer: answer,
+                    answerText: RiskQuestions.answerText(question, answer),
+                    display: RiskQuestions.describeAnswer(question, answer)
+                };
+            });
+
+        return [
+            ...describe(engine.getToolQuestions(profile.toolType), profile.toolAnswers, 'tool'),
+            ...describe(engine.data.contextQuestions, profile.contextAnswers, 'context')
+        ];
+    }
+
+    // Citation links that are not http(s) are dropped
+    function collectCitations(profile) {
+        const citations = [];
+        profile.activeRisks.forEach(risk => {
+            const { Citation_Text: text, Citation_URL: url } = risk.explanation;
+            if (text && !citations.some(citation => citation.text === text)) {
+                citations.push({ text, url: RiskHTML.safeURL(url) });
+            }
+        });
+        return citations;
+    }
+
+    // The recommended plan with the adopted mitigations marked, and the projection when any are adopted
+    function describeMitigations(profile, engine, adoptedIds = []) {
+        const plans = engine.recommendMitigations(profile).map(plan => ({
+            ...plan,
+            mitigations: plan.mitigations.map(mitigation => ({ ...mitigation, adopted: adoptedIds.includes(mitigation.id) }))
+        }));
+        const residual = engine.projectResidualRisk(profile, adoptedIds);
+
+        return {
+            plans: plans,
+            adopted: residual.adopted.map(mitigation => mitigation.id),
+            residual: residual.adopted.length === 0 ? null : RiskEngine.compareProfiles(profile, residual)
+        };
+    }
+
+    // options: { generatedAt: Date, adoptedMitigations: [Mitigation_ID, ...] }
+    function buildExport(profile, engine, options = {}) {
+        const generatedAt = options.generatedAt || new Date();
+        if (profile.portfolio) {
+            // Each tool keeps its own answers and plan; profile holds the institution-wide ratings
+            return {
+                format: EXPORT_FORMAT,
+                version: EXPORT_VERSION,
+                generatedAt: generatedAt.toISOString(),
+                tools: profile.tools.map(entry => ({
+                    id: entry.toolType,
+                    name: engine.getToolDisplayName(entry.toolType)
+                })),
+                profile: profile,
+                regulatory: RiskRegulatory.obligations(engine, profile),
+                regulatoryErrors: RiskRegulatory.errors(engine, profile),
+                assessments: profile.tools.map(entry => ({
+                    tool: entry.toolType,
+                    answers: describeAnswers(entry, engine),
+                    mitigations: describeMitigations(entry, engine, options.adoptedMitigations)
+                }))
+            };
+        }
+        return {
+            format: EXPORT_FORMAT,
+            version: EXPORT_VERSION,
+            generatedAt: generatedAt.toISOString(),
+            tool: {
+                id: profile.toolType,
+                name: engine.getToolDisplayName(profile.toolType)
+            },
+            answers: describeAnswers(profile, engine),
+            profile: profile,
+            mitigations: describeMitigations(profile, engine, options.adoptedMitigations),
+            regulatory: RiskRegulatory.obligations(engine, profile),
+            regulatoryErrors: RiskRegulatory.errors(engine, profile)
+        };
+    }
+
+    function toJSON(profile, engine, options) {
+        return JSON.stringify(buildExport(profile, engine, options), null, 2);
+    }
+
+    // The interaction layers a category affects, with their ratings and layer_descriptions.csv text
+    function describeLayers(profile, engine, category) {
+        const layers = profile.harmCategories[category].layers;
+        return Object.keys(RiskEngine.INTERACTION_LAYERS)
+            .filter(layer => layers[layer])
+            .map(layer => ({
+                layer: layer,
+                severity: layers[layer],
+                description: engine.getLayerDescription(profile.toolType, category, layer, layers[layer]) ||
+                    RiskEngine.INTERACTION_LAYERS[layer]
+            }));
+    }
+
+    function rangeText(best, worst) {
+        return best === worst ? best : `${best}–${worst}`;
+    }
+
+    function markdownCell(text) {
+        return String(text).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+    }
+
+    // Agreement and the questions respondents answered differently, when answers were combined
+    function consensusMarkdown(consensus) {
+        const disagreements = consensus.questions.filter(question => !question.agreed);
+        const lines = ['## Respondents', '', consensus.summary, ''];
+        if (disagreements.length > 0) {
+            lines.push(`| Question | ${consensus.respondents.map(markdownCell).join(' | ')} | Combined |`);
+            lines.push(`| --- | ${consensus.respondents.map(() => '---').join(' | ')} | --- |`);
+            disagreements.forEach(question => {
+                const answers = consensus.respondents.map(name => {
+                    const answer = question.answers.find(entry => entry.respondent === name);
+                    return answer ? markdownCell(answer.short) : '–';
+                });
+                lines.push(`| ${markdownCell(`${question.questionId}: ${question.questionText}`)} | ${answers.join(' | ')} | ${markdownCell(question.combinedShort)} |`);
+            });
+            lines.push('');
+        }
+        return lines;
+    }
+
+    function consensusPrintHTML(consensus) {
+        const disagreements = consensus.questions.filter(question => !question.agreed);
+        return `
+            <section class="report-section">
+                <h2>Respondents</h2>
+                <p>${RiskHTML.escape(consensus.summary)}</p>
+                ${disagreements.length > 0 ? `
+                    <table class="report-table">
+                        <thead><tr><th>Question</th>${consensus.respondents.map(name => `<th>${RiskHTML.escape(name)}</th>`).join('')}<th>Combined</th></tr></thead>
+                        <tbody>
+                            ${disagreements.map(question => `
+                                <tr>
+                                    <td>${RiskHTML.escape(`${question.questionId}: ${question.questionText}`)}</td>
+                                    ${consensus.respondents.map(name => {
+                                        const answer = question.answers.find(entry => entry.respondent === name);
+                                        return `<td>${answer ? RiskHTML.escape(answer.short) : '–'}</td>`;
+                                    }).join('')}
+                                    <td><strong>${RiskHTML.escape(question.combinedShort)}</strong></td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                ` : ''}
+            </section>
+        `;
+    }
+
+    // The framework obligations the results trigger and the documentation each needs
+    function regulatoryMarkdown(profile, engine) {
+        const groups = RiskRegulatory.byFramework(RiskRegulatory.obligations(engine, profile));
+        const errors = RiskRegulatory.errors(engine, profile);
+        if (groups.length === 0 && errors.length === 0) {
+            return [];
+        }
+        const lines = ['## Regulatory View', ''];
+        if (errors.length > 0) {
+            lines.push('**Crosswalk errors:** these mappings in regulatory_crosswalk.csv could not be evaluated, so their obligations may be missing below.');
+            lines.push('');
+            errors.forEach(error => {
+                lines.push(`- **${error.mappingId}** (${error.reference}): \`${error.condition}\` — ${error.message}`);
+            });
+            lines.push('');
+        }
+        groups.forEach(group => {
+            lines.push(`### ${group.framework}`);
+            lines.push('');
+            lines.push('| Reference | Obligation | Documentation | Triggered By |');
+            lines.push('| --- | --- | --- | --- |');
+            group.obligations.forEach(obligation => {
+                lines.push(`| ${markdownCell(obligation.reference)} | ${markdownCell(obligation.obligation)} | ${markdownCell(obligation.documentation)} | ` +
+                    `${markdownCell(obligation.reasons.join('; ') || 'Use of the tool')} |`);
+            });
+            lines.push('');
+        });
+        return lines;
+    }
+
+    function regulatoryPrintHTML(profile, engine) {
+        const groups = RiskRegulatory.byFramework(RiskRegulatory.obligations(engine, profile));
+        const errors = RiskRegulatory.errors(engine, profile);
+        if (groups.length === 0 && errors.length === 0) {
+            return '';
+        }
+        return `
+            <section class="report-section">
+                <h2>Regulatory View</h2>
+                ${errors.length > 0 ? `
+                    <p><strong>Crosswalk errors:</strong> these mappings in regulatory_crosswalk.csv could not be evaluated, so their obligations may be missing below.</p>
+                    <ul>
+                        ${errors.map(error => `
+                            <li><strong>${RiskHTML.escape(error.mappingId)}</strong> (${RiskHTML.escape(error.reference)}): <code>${RiskHTML.escape(error.condition)}</code> &mdash; ${RiskHTML.escape(error.message)}</li>
+                        `).join('')}
+                    </ul>
+                ` : ''}
+                ${groups.map(group => `
+                    <h3>${RiskHTML.escape(group.framework)}</h3>
+                    <table class="report-table">
+                        <thead><tr><th>Reference</th><th>Obligation</th><th>Documentation</th><th>Triggered By</th></tr></thead>
+                        <tbody>
+                            ${group.obligations.map(obligation => `
+                                <tr>
+                                    <td><strong>${RiskHTML.escape(obligation.reference)}</strong></td>
+                                    <td>${RiskHTML.escape(obligation.obligation)}</td>
+                                    <td>${RiskHTML.escape(obligation.documentation)}</td>
+                                    <td>${RiskHTML.escape(obligation.reasons.join('; ') || 'Use of the tool')}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                `).join('')}
+            </section>
+        `;
+    }
+
+    function toMarkdown(profile, engine, options = {}) {
+        if (profile.portfolio) {
+            return portfolioMarkdown(profile, engine, options);
+        }
+        const generatedAt = options.generatedAt || new Date();
+        const mitigations = describeMitigations(profile, engine, options.adoptedMitigations);
+        const lines = [];
+        const answers = describeAnswers(profile, engine);
+        const answerTable = section => {
+            const rows = answers.filter(answer => answer.section === section);
+            if (rows.length === 0) {
+                return ['_No answers recorded._'];
+            }
+            return [
+                '| Question | Answer |',
+                '| --- | --- |',
+                ...rows.map(row => `| ${markdownCell(`${row.questionId}: ${row.questionText}`)} | ${markdownCell(row.display)} |`)
+            ];
+        };
+
+        lines.push('# AI Risk Assessment Report');
+        lines.push('');
+        lines.push(`- **Tool:** ${engine.getToolDisplayName(profile.toolType)}`);
+        lines.push(`- **Overall risk:** ${profile.overallRisk}`);
+        if (profile.uncertainty) {
+            lines.push(`- **Overall risk range:** ${rangeText(profile.uncertainty.best.overallRisk, profile.uncertainty.worst.overallRisk)} (${profile.uncertainty.unknowns.length} answers not known yet)`);
+        }
+        lines.push(`- **Composite score:** ${profile.compositeScore.score} of 25 (${profile.compositeScore.level}, ${profile.scoringModel} model)`);
+        lines.push(`- **Identified risk categories:** ${profile.activeRisks.length}`);
+        lines.push(`- **Generated:** ${generatedAt.toISOString()}`);
+        lines.push('');
+
+        lines.push('## Answers Given');
+        lines.push('');
+        lines.push('### Tool Implementation');
+        lines.push('');
+        lines.push(...answerTable('tool'));
+        lines.push('');
+        lines.push('### Institutional Context');
+        lines.push('');
+        lines.push(...answerTable('context'));
+        lines.push('');
+
+        if (profile.consensus) {
+            lines.push(...consensusMarkdown(profile.consensus));
+        }
+
+        if (profile.uncertainty) {
+            const { best, worst, unknowns } = profile.uncertainty;
+            lines.push('## Risk Range While Answers Are Unknown');
+            lines.push('');
+            lines.push('| Harm Category | Best Case | Worst Case |');
+            lines.push('| --- | --- | --- |');
+            lines.push(`| **Overall** | ${best.overallRisk} | ${worst.overallRisk} |`);
+            Object.entries(RiskEngine.HARM_CATEGORIES).forEach(([category, name]) => {
+                lines.push(`| ${name} | ${best.harmCategories[category] || 'No risk'} | ${worst.harmCategories[category] || 'No risk'} |`);
+            });
+            lines.push('');
+            lines.push('Unknown answers, most influential first:');
+            lines.push('');
+            unknowns.forEach((unknown, index) => {
+                const effect = unknown.categories.length > 0
+                    ? unknown.categories.map(entry => `${entry.name} ${entry.best || 'No risk'} to ${entry.worst || 'No risk'}`).join('; ')
+                    : 'no rating changes on its own';
+                lines.push(`${index + 1}. **${unknown.questionId}:** ${unknown.questionText} _(${effect})_`);
+            });
+            lines.push('');
+        }
+
+        if (profile.compoundWarnings && profile.compoundWarnings.length > 0) {
+            lines.push('## Compound Risk Warnings');
+            lines.push('');
+            profile.compoundWarnings.forEach(warning => {
+                lines.push(`- **${warning.riskCombination}** (${warning.ruleId}): ${warning.warning}`);
+            });
+            lines.push('');
+        }
+
+        lines.push('## Findings by Harm Category');
+        lines.push('');
+        if (profile.activeRisks.length === 0) {
+            lines.push('No significant risks were identified across the Kennedy & Campos harm categories.');
+            lines.push('');
+        }
+        profile.activeRisks.forEach(risk => {
+            const scores = profile.harmCategories[risk.category];
+            lines.push(`### ${risk.categoryName}: ${risk.severity}`);
+            lines.push('');
+            lines.push(`Score ${scores.score} (likelihood ${scores.likelihood} × impact ${scores.impact})`);
+            lines.push('');
+            lines.push(risk.explanation.Explanation_Text);
+            lines.push('');
+            lines.push('Where this risk shows up:');
+            lines.push('');
+            describeLayers(profile, engine, risk.category).forEach(layer => {
+                lines.push(`- **${layer.layer} (${layer.severity}):** ${layer.description}`);
+            });
+            lines.push('');
+            if (risk.explanation.Citation_Text) {
+                lines.push(`_Research citation:_ ${risk.explanation.Citation_Text}`);
+                lines.push('');
+            }
+            lines.push('How this rating was calculated:');
+            lines.push('');
+            profile.harmCategories[risk.category].trace.forEach((step, index) => {
+                lines.push(`${index + 1}. ${step.description}`);
+            });
+            lines.push('');
+        });
+
+        if (mitigations.plans.length > 0) {
+            lines.push('## Mitigation Plan');
+            lines.push('');
+            mitigations.plans.forEach(plan => {
+                lines.push(`### ${plan.categoryName}: ${plan.severity}`);
+                lines.push('');
+                if (plan.requiredBy.length > 0) {
+                    lines.push(`**Required** by compound rule ${plan.requiredBy.join(', ')}: adopt at least one of these actions.`);
+                    lines.push('');
+                }
+                plan.mitigations.forEach(mitigation => {
+                    lines.push(`- [${mitigation.adopted ? 'x' : ' '}] ${mitigation.action} _(${mitigation.id}; ${mitigation.effort} effort; lowers by ${mitigation.reduction})_`);
+                });
+                lines.push('');
+            });
+
+            if (mitigations.residual) {
+                lines.push('### Projected Residual Risk');
+                lines.push('');
+                lines.push('| Harm Category | Current | Residual |');
+                lines.push('| --- | --- | --- |');
+                lines.push(`| **Overall** | ${mitigations.residual.overall.before} | ${mitigations.residual.overall.after} |`);
+                mitigations.residual.categories.forEach(entry => {
+                    lines.push(`| ${entry.name} | ${entry.before || 'No risk'} | ${entry.after || 'No risk'} |`);
+                });
+                lines.push('');
+            }
+        }
+
+        lines.push(...regulatoryMarkdown(profile, engine));
+
+        const factNames = Object.keys(profile.facts);
+        if (factNames.length > 0) {
+            lines.push('## Assessment Facts');
+            lines.push('');
+            lines.push('| Fact | Value | Derived From |');
+            lines.push('| --- | --- | --- |');
+            factNames.forEach(name => {
+                const fact = profile.facts[name];
+                lines.push(`| ${markdownCell(name)} | ${markdownCell(fact.displayValue)} | ${markdownCell(`${fact.questionId}: ${fact.answerText}`)} |`);
+            });
+            lines.push('');
+        }
+
+        const citations = collectCitations(profile);
+        if (citations.length > 0) {
+            lines.push('## Citations');
+            lines.push('');
+            citations.forEach(citation => {
+                lines.push(`- ${citation.text}${citation.url ? ` <${citation.url}>` : ''}`);
+            });
+            lines.push('');
+        }
+
+        lines.push('## About This Assessment');
+        lines.push('');
+        lines.push(FRAMEWORK_NOTE);
+        lines.push('');
+
+        return lines.join('\n');
+    }
+
+    function toPrintHTML(profile, engine, options = {}) {
+        if (profile.portfolio) {
+            return portfolioPrintHTML(profile, engine, options);
+        }
+        const generatedAt = options.generatedAt || new Date();
+        const mitigations = describeMitigations(profile, engine, options.adoptedMitigations);
+        const answers = describeAnswers(profile, engine);
+        const citations = collectCitations(profile);
+        const toolName = engine.getToolDisplayName(profile.toolType);
+        const answerRows = section => answers
+            .filter(answer => answer.section === section)
+            .map(answer => `
+                <tr>
+                    <td>${RiskHTML.escape(answer.questionId)}</td>
+                    <td>${RiskHTML.escape(answer.questionText)}</td>
+                    <td>${RiskHTML.escape(answer.display)}</td>
+                </tr>
+            `).join('');
+
+        return `
+            <section class="report-cover">
+                <p class="report-kicker">AIED Risk Assessment Tool</p>
+                <h1>AI Risk Assessment Report</h1>
+                <p class="report-tool">${RiskHTML.escape(toolName)}</p>
+                <div class="report-overall ${RiskHTML.escape(profile.overallRisk.toLowerCase())}">
+                    Overall Risk Level: <strong>${RiskHTML.escape(profile.uncertainty
+                        ? rangeText(profile.uncertainty.best.overallRisk, profile.uncertainty.worst.overallRisk)
+                        : profile.overallRisk)}</strong>
+                </div>
+                <p>Composite score ${profile.compositeScore.score} of 25 (${profile.compositeScore.level})</p>
+                <p>${profile.activeRisks.length} identified risk categories</p>
+                <p class="report-date">Generated ${generatedAt.toLocaleString()}</p>
+            </section>
+
+            <section class="report-section report-overview">
+                <h2>Risk Overview</h2>
+                <h3>Severity by Harm Category and Interaction Layer</h3>
+                ${RiskCharts.heatmap(profile)}
+                <h3>Severity by Harm Category</h3>
+                ${RiskCharts.severityChart(profile)}
+            </section>
+
+            <section class="report-section">
+                <h2>Answers Given</h2>
+                <h3>Tool Implementation</h3>
+                <table class="report-table">
+                    <thead><tr><th>ID</th><th>Question</th><th>Answer</th></tr></thead>
+                    <tbody>${answerRows('tool')}</tbody>
+                </table>
+                <h3>Institutional Context</h3>
+                <table class="report-table">
+                    <thead><tr><th>ID</th><th>Question</th><th>Answer</th></tr></thead>
+                    <tbody>${answerRows('context')}</tbody>
+                </table>
+            </section>
+
+            ${profile.consensus ? consensusPrintHTML(profile.consensus) : ''}
+
+            ${profile.uncertainty ? `
+                <section class="report-section">
+                    <h2>Risk Range While Answers Are Unknown</h2>
+                    <table class="report-table">
+                        <thead><tr><th>Harm Category</th><th>Best Case</th><th>Worst Case</th></tr></thead>
+                        <tbody>
+                            <tr><td><strong>Overall</strong></td><td>${RiskHTML.escape(profile.uncertainty.best.overallRisk)}</td><td>${RiskHTML.escape(profile.uncertainty.worst.overallRisk)}</td></tr>
+                            ${Object.entries(RiskEngine.HARM_CATEGORIES).map(([category, name]) => `
+                                <tr><td>${name}</td><td>${RiskHTML.escape(profile.uncertainty.best.harmCategories[category] || 'No risk')}</td><td>${RiskHTML.escape(profile.uncertainty.worst.harmCategories[category] || 'No risk')}</td></tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                    <h3>Unknown answers, most influential first</h3>
+                    <ol>
+                        ${profile.uncertainty.unknowns.map(unknown => `
+                            <li>
+                                <strong>${RiskHTML.escape(unknown.questionId)}:</strong> ${RiskHTML.escape(unknown.questionText)}
+                                <span class="report-meta">${RiskHTML.escape(unknown.categories.length > 0
+                                    ? unknown.categories.map(entry => `${entry.name} ${entry.best || 'No risk'} to ${entry.worst || 'No risk'}`).join('; ')
+                                    : 'No rating changes on its own')}</span>
+                            </li>
+                        `).join('')}
+                    </ol>
+                </section>
+            ` : ''}
+
+            ${profile.compoundWarnings && profile.compoundWarnings.length > 0 ? `
+                <section class="report-section">
+                    <h2>Compound Risk Warnings</h2>
+                    ${profile.compoundWarnings.map(warning => `
+                        <div class="report-warning">
+                            <strong>${RiskHTML.escape(warning.riskCombination)}</strong> (${RiskHTML.escape(warning.ruleId)})
+                            ${RiskHTML.format(warning.warning)}
+                        </div>
+                    `).join('')}
+                </section>
+            ` : ''}
+
+            <section class="report-section">
+                <h2>Findings by Harm Category</h2>
+                ${profile.activeRisks.length === 0 ? '<p>No significant risks were identified across the Kennedy & Campos harm categories.</p>' : ''}
+                ${profile.activeRisks.map(risk => `
+                    <div class="report-finding ${RiskHTML.escape(risk.severity.toLowerCase())}">
+                        <h3>${risk.categoryName} <span class="report-severity">${RiskHTML.escape(risk.severity)}</span></h3>
+                        <p class="report-meta">Score ${profile.harmCategories[risk.category].score} &middot; likelihood ${profile.harmCategories[risk.category].likelihood} &times; impact ${profile.harmCategories[risk.category].impact}</p>
+                        ${RiskHTML.format(risk.explanation.Explanation_Text)}
+                        <h4>Where this risk shows up</h4>
+                        <ul>
+                            ${describeLayers(profile, engine, risk.category).map(layer => `
+                                <li><strong>${layer.layer} (${RiskHTML.escape(layer.severity)}):</strong> ${RiskHTML.escape(layer.description)}</li>
+                            `).join('')}
+                        </ul>
+                        <h4>How this rating was calculated</h4>
+                        <ol>
+                            ${profile.harmCategories[risk.category].trace.map(step => `<li>${RiskHTML.escape(step.description)}</li>`).join('')}
+                        </ol>
+                    </div>
+                `).join('')}
+            </section>
+
+            ${mitigations.plans.length > 0 ? `
+                <section class="report-section">
+                    <h2>Mitigation Plan</h2>
+                    ${mitigations.plans.map(plan => `
+                        <h3>${plan.categoryName} <span class="report-severity">${RiskHTML.escape(plan.severity)}</span></h3>
+                        ${plan.requiredBy.length > 0 ? `
+                            <p><strong>Required</strong> by compound rule ${RiskHTML.escape(plan.requiredBy.join(', '))}: adopt at least one of these actions.</p>
+                        ` : ''}
+                        <ul class="report-mitigations">
+                            ${plan.mitigations.map(mitigation => `
+                                <li class="${mitigation.adopted ? 'adopted' : ''}">
+                                    ${mitigation.adopted ? '<strong>Adopted:</strong> ' : ''}${RiskHTML.escape(mitigation.action)}
+                                    <span class="report-meta">${RiskHTML.escape(mitigation.id)} &middot; ${RiskHTML.escape(mitigation.effort)} effort &middot; lowers by ${RiskHTML.escape(mitigation.reduction)}</span>
+                                </li>
+                            `).join('')}
+                        </ul>
+                    `).join('')}
+                    ${mitigations.residual ? `
+                        <h3>Projected Residual Risk</h3>
+                        <table class="report-table">
+                            <thead><tr><th>Harm Category</th><th>Current</th><th>Residual</th></tr></thead>
+                            <tbody>
+                                <tr><td><strong>Overall</strong></td><td>${RiskHTML.escape(mitigations.residual.overall.before)}</td><td>${RiskHTML.escape(mitigations.residual.overall.after)}</td></tr>
+                                ${mitigations.residual.categories.map(entry => `
+                                    <tr><td>${entry.name}</td><td>${RiskHTML.escape(entry.before || 'No risk')}</td><td>${RiskHTML.escape(entry.after || 'No risk')}</td></tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    ` : ''}
+                </section>
+            ` : ''}
+
+            ${regulatoryPrintHTML(profile, engine)}
+
+            <section class="report-section">
+                <h2>Citations</h2>
+                ${citations.length > 0 ? `
+                    <ol class="report-citations">
+                        ${citations.map(citation => `<li>${RiskHTML.escape(citation.text)}${citation.url ? `<br><span class="report-url">${RiskHTML.escape(citation.url)}</span>` : ''}</li>`).join('')}
+                    </ol>
+                ` : '<p>No research citations are attached to the findings in this assessment.</p>'}
+                <h2>About This Assessment</h2>
+                <p>${FRAMEWORK_NOTE}</p>
+            </section>
+        `;
+    }
+
+    // Institution-wide rating of each category beside each tool's own
+    function portfolioRatings(profile, engine) {
+        return Object.entries(RiskEngine.HARM_CATEGORIES).map(([category, name]) => ({
+            category: category,
+            name: name,
+            severity: profile.harmCategories[category].hasRisk ? profile.harmCategories[category].severity : null,
+            tools: profile.tools.map(entry => ({
+                name: engine.getToolDisplayName(entry.toolType),
+                severity: entry.harmCategories[category].hasRisk ? entry.harmCategories[category].severity : null
+            }))
+        }));
+    }
+
+    // The institution summary, then each tool's full report one heading level down
+    function portfolioMarkdown(profile, engine, options = {}) {
+        const generatedAt = options.generatedAt || new Date();
+        const toolNames = profile.tools.map(entry => engine.getToolDisplayName(entry.toolType));
+        const ratings = portfolioRatings(profile, engine);
+        const lines = [];
+
+        lines.push('# AI Risk Assessment Report: Tool Portfolio');
+        lines.push('');
+        lines.push(`- **Tools:** ${toolNames.join(', ')}`);
+        lines.push(`- **Institution-wide overall risk:** ${profile.overallRisk}`);
+        lines.push(`- **Composite score:** ${profile.compositeScore.score} of 25 (${profile.compositeScore.level}, ${profile.scoringModel} model)`);
+        lines.push(`- **Identified risk categories:** ${profile.activeRisks.length}`);
+        lines.push(`- **Generated:** ${generatedAt.toISOString()}`);
+        lines.push('');
+
+        lines.push('## Institution-Wide Ratings');
+        lines.push('');
+        lines.push(`| Harm Category | Institution | ${toolNames.map(markdownCell).join(' | ')} |`);
+        lines.push(`| --- | --- | ${toolNames.map(() => '---').join(' | ')} |`);
+        ratings.forEach(rating => {
+            lines.push(`| ${rating.name} | ${rating.severity || 'No risk'} | ${rating.tools.map(tool => tool.severity || 'No risk').join(' | ')} |`);
+        });
+        lines.push('');
+
+        if (profile.consensus) {
+            lines.push(...consensusMarkdown(profile.consensus));
+        }
+
+        if (profile.compoundWarnings && profile.compoundWarnings.length > 0) {
+            lines.push('## Cross-Tool Risk Warnings');
+            lines.push('');
+            profile.compoundWarnings.forEach(warning => {
+                lines.push(`- **${warning.riskCombination}** (${warning.ruleId}): ${warning.warning}`);
+            });
+            lines.push('');
+        }
+
+        profile.tools.forEach((entry, index) => {
+            const toolLines = toMarkdown(entry, engine, options).split('\n');
+            lines.push(`## ${toolNames[index]}`);
+            toolLines.slice(1).forEach(line => {
+                lines.push(line.startsWith('#') ? `#${line}` : line);
+            });
+        });
+
+        return lines.join('\n');
+    }
+
+    // A cover and institution summary, followed by each tool's report from its own cover page
+    function portfolioPrintHTML(profile, engine, options = {}) {
+        const generatedAt = options.generatedAt || new Date();
+        const toolNames = profile.tools.map(entry => engine.getToolDisplayName(entry.toolType));
+        const ratings = portfolioRatings(profile, engine);
+
+        return `
+            <section class="report-cover">
+                <p class="report-kicker">AIED Risk Assessment Tool</p>
+                <h1>AI Risk Assessment Report</h1>
+                <p class="report-tool">Tool Portfolio: ${RiskHTML.escape(toolNames.join(' + '))}</p>
+                <div class="report-overall ${RiskHTML.escape(profile.overallRisk.toLowerCase())}">
+                    Institution-Wide Risk Level: <strong>${RiskHTML.escape(profile.overallRisk)}</strong>
+                </div>
+                <p>Composite score ${profile.compositeScore.score} of 25 (${profile.compositeScore.level})</p>
+                <p>${profile.activeRisks.length} identified risk categories</p>
+                <p class="report-date">Generated ${generatedAt.toLocaleString()}</p>
+            </section>
+
+            <section class="report-section report-overview">
+                <h2>Institution-Wide Risk Overview</h2>
+                <h3>Severity by Harm Category and Interaction Layer</h3>
+                ${RiskCharts.heatmap(profile)}
+                <h3>Severity by Harm Category and Tool</h3>
+                <table class="report-table">
+                    <thead><tr><th>Harm Category</th><th>Institution</th>${toolNames.map(name => `<th>${RiskHTML.escape(name)}</th>`).join('')}</tr></thead>
+                    <tbody>
+                        ${ratings.map(rating => `
+                            <tr><td>${rating.name}</td><td><strong>${RiskHTML.escape(rating.severity || 'No risk')}</strong></td>${rating.tools.map(tool => `<td>${RiskHTML.escape(tool.severity || 'No risk')}</td>`).join('')}</tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </section>
+
+            ${profile.consensus ? consensusPrintHTML(profile.consensus) : ''}
+
+            ${profile.compoundWarnings && profile.compoundWarnings.length > 0 ? `
+                <section class="report-section">
+                    <h2>Cross-Tool Risk Warnings</h2>
+                    ${profile.compoundWarnings.map(warning => `
+                        <div class="report-warning">
+                            <strong>${RiskHTML.escape(warning.riskCombination)}</strong> (${RiskHTML.escape(warning.ruleId)})
+                            ${RiskHTML.format(warning.warning)}
+                        </div>
+                    `).join('')}
+                </section>
+            ` : ''}
+
+            ${profile.tools.map(entry => toPrintHTML(entry, engine, options)).join('')}
+        `;
+    }
+
+    // Filename stem shared by the downloads, e.g. aied-risk-assessment-llm_tutors-2025-03-14
+    function fileStem(profile, generatedAt = new Date()) {
+        return `${EXPORT_FORMAT}-${profile.portfolio ? 'portfolio' : profile.toolType}-${generatedAt.toISOString().slice(0, 10)}`;
+    }
+
+    return { describeAnswers, describeMitigations, buildExport, toJSON, toMarkdown, toPrintHTML, fileStem, EXPORT_FORMAT, EXPORT_VERSION };
+});
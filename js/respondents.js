@@ -0,0 +1,284 @@
+// Multiple Respondents
+// Several people answer the same assessment. Their answers are compared question by question
+// and combined into one set of answers under an aggregation rule:
+//
+//   median    the middle answer, taking options in their listed order and numbers by value;
+//             an even number of options has two middle answers, and the more cautious of them
+//             is used, while two middle numbers are averaged; a multi-select keeps the options
+//             at least half the respondents chose
+//   cautious  the answer that rates highest when scored with the other combined answers
+//   majority  the most common answer; a tie goes to the more cautious of the tied answers
+//
+// "Not sure yet" answers are only used when nobody gave an answer. Agreement on a question is
+// the share of its respondents who gave the most common answer; numbers in the same band count
+// as the same answer.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./engine'), require('./questions'));
+    } else {
+        root.RiskRespondents = factory(root.RiskEngine, root.RiskQuestions);
+    }
+})(typeof self !== 'undefined' ? self : this, function (RiskEngine, RiskQuestions) {
+    'use strict';
+
+    const AGGREGATIONS = {
+        median: { name: 'Median', description: 'The middle answer, so one outlier on either side does not move the result; between two middle answers the more cautious is used' },
+        cautious: { name: 'Most cautious', description: 'Whichever answer rates the risk highest, so no one\'s concern is outvoted' },
+        majority: { name: 'Majority', description: 'The most common answer; ties go to the more cautious answer' }
+    };
+
+    const RESPONSES_FORMAT = 'aied-risk-responses';
+    const RESPONSES_VERSION = 1;
+
+    // Answers that select the same options are the same answer for agreement and majority
+    function answerKey(question, answer) {
+        return RiskQuestions.isUnknown(answer)
+            ? RiskQuestions.UNKNOWN_ANSWER
+            : RiskQuestions.selectedLetters(question, answer).join('+');
+    }
+
+    // Groups answers by answerKey, most common first
+    function groupAnswers(question, answers) {
+        const groups = [];
+        answers.forEach(answer => {
+            const key = answerKey(question, answer);
+            const group = groups.find(entry => entry.key === key);
+            if (group) {
+                group.answers.push(answer);
+            } else {
+                groups.push({ key, answers: [answer] });
+            }
+        });
+        return groups.sort((a, b) => b.answers.length - a.answers.length);
+    }
+
+    // The options of multi-select answers chosen often enough, or the most chosen ones
+    function commonOptions(question, answers, enough) {
+        const counts = RiskQuestions.answerOptions(question).map(({ value }) => ({
+            letter: value,
+            count: answers.filter(answer => answer.includes(value)).length
+        }));
+        const kept = counts.filter(entry => entry.count > 0 && enough(entry.count));
+        if (kept.length > 0) {
+            return kept.map(entry => entry.letter);
+        }
+        const most = Math.max(...counts.map(entry => entry.count));
+        return counts.filter(entry => entry.count === most).map(entry => entry.letter);
+    }
+
+    // The middle answers: one, or the two either side of the middle of an even number of options
+    function median(question, answers) {
+        const type = RiskQuestions.questionType(question);
+        if (type === 'multi') {
+            return [commonOptions(question, answers, count => count * 2 >= answers.length)];
+        }
+        if (type === 'number') {
+            const values = [...answers].sort((a, b) => a - b);
+            const middle = Math.floor(values.length / 2);
+            return [values.length % 2 === 1 ? values[middle] : (values[middle - 1] + values[middle]) / 2];
+        }
+        const order = RiskQuestions.answerOptions(question).map(option => option.value);
+        const sorted = [...answers].sort((a, b) => order.indexOf(a) - order.indexOf(b));
+        const lower = sorted[Math.floor((sorted.length - 1) / 2)];
+        const upper = sorted[Math.floor(sorted.length / 2)];
+        return lower === upper ? [lower] : [lower, upper];
+    }
+
+    // The answers a rule could settle on; when there are several the most cautious is used
+    function candidates(question, answers, method) {
+        const type = RiskQuestions.questionType(question);
+        if (method === 'median') {
+            return median(question, answers);
+        }
+        if (method === 'majority') {
+            if (type === 'multi') {
+                return [commonOptions(question, answers, count => count * 2 > answers.length)];
+            }
+            const groups = groupAnswers(question, answers);
+            return groups
+                .filter(group => group.answers.length === groups[0].answers.length)
+                .map(group => (type === 'number' ? median(question, group.answers)[0] : group.answers[0]));
+        }
+        const distinct = groupAnswers(question, answers).map(group => group.answers[0]);
+        if (type === 'multi' && distinct.length > 1) {
+            // Everything anyone selected is the most cautious reading of a multi-select
+            distinct.push(commonOptions(question, answers, count => count > 0));
+        }
+        return distinct;
+    }
+
+    // Each respondent's answers as the engine reads them: valid, and only for questions
+    // their own earlier answers show
+    function normalizedAnswers(engine, assessment, respondent) {
+        const answers = {};
+        (assessment.tools || [assessment.tool]).forEach(tool => {
+            const questionnaire = engine.getQuestionnaire({ tool, toolAnswers: respondent.toolAnswers, contextAnswers: respondent.contextAnswers });
+            Object.assign(answers, questionnaire.toolAnswers, questionnaire.contextAnswers);
+        });
+        return answers;
+    }
+
+    function scoreAssessment(engine, assessment) {
+        return assessment.tools ? engine.assessPortfolio(assessment) : engine.scoreAnswers(assessment);
+    }
+
+    // assessment: { tool } or { tools }; respondents: [{ name, toolAnswers, contextAnswers }]
+    // Returns the combined toolAnswers and contextAnswers with a question-by-question comparison.
+    function aggregate(engine, assessment, respondents, method = 'median') {
+        if (!(method in AGGREGATIONS)) {
+            throw new Error(`Unknown aggregation "${method}". Expected one of: ${Object.keys(AGGREGATIONS).join(', ')}`);
+        }
+
+        const identity = assessment.tools ? { tools: [...assessment.tools] } : { tool: assessment.tool };
+        const questions = [
+            ...(assessment.tools || [assessment.tool]).flatMap(tool => engine.getToolQuestions(tool)),
+            ...engine.data.contextQuestions
+        ];
+        const sectionOf = question => (engine.data.contextQuestions.includes(question) ? 'contextAnswers' : 'toolAnswers');
+        const given = respondents.map(respondent => normalizedAnswers(engine, assessment, respondent));
+        const combined = { ...identity, toolAnswers: {}, contextAnswers: {} };
+
+        // Settle every question on its rule's first choice, then resolve the remaining choices in
+        // questionnaire order by scoring each against the answers combined so far
+        const entries = questions
+            .map(question => {
+                const answers = respondents
+                    .map((respondent, index) => ({ respondent: respondent.name, answer: given[index][question.Question_ID] }))
+                    .filter(entry => entry.answer !== undefined);
+                const known = answers.map(entry => entry.answer).filter(answer => !RiskQuestions.isUnknown(answer));
+                const choices = known.length > 0 ? candidates(question, known, method) : [RiskQuestions.UNKNOWN_ANSWER];
+                return { question, answers, choices };
+            })
+            .filter(entry => entry.answers.length > 0);
+
+        entries.forEach(({ question, choices }) => {
+            combined[sectionOf(question)][question.Question_ID] = choices[0];
+        });
+        entries.filter(entry => entry.choices.length > 1).forEach(({ question, choices }) => {
+            const section = sectionOf(question);
+            const ranked = choices
+                .map(answer => {
+                    const trial = { ...combined, [section]: { ...combined[section], [question.Question_ID]: answer } };
+                    return { answer, profile: scoreAssessment(engine, trial) };
+                })
+                .sort((a, b) => RiskEngine.compareRisk(a.profile, b.profile));
+            combined[section][question.Question_ID] = ranked[ranked.length - 1].answer;
+        });
+
+        const comparison = entries.map(({ question, answers }) => {
+            const groups = groupAnswers(question, answers.map(entry => entry.answer));
+            const answer = combined[sectionOf(question)][question.Question_ID];
+            return {
+                questionId: question.Question_ID,
+                questionText: question.Question_Text,
+                section: sectionOf(question) === 'contextAnswers' ? 'context' : 'tool',
+                answers: answers.map(entry => ({
+                    respondent: entry.respondent,
+                    answer: entry.answer,
+                    short: RiskQuestions.formatAnswer(question, entry.answer),
+                    display: RiskQuestions.describeAnswer(question, entry.answer)
+                })),
+                combined: answer,
+                combinedShort: RiskQuestions.formatAnswer(question, answer),
+                combinedDisplay: RiskQuestions.describeAnswer(question, answer),
+                agreement: groups[0].answers.length / answers.length,
+                agreed: groups.length === 1
+            };
+        });
+
+        // Only questions two or more people answered say anything about agreement
+        const compared = comparison.filter(entry => entry.answers.length > 1);
+        const agreement = compared.length === 0
+            ? 1
+            : compared.reduce((total, entry) => total + entry.agreement, 0) / compared.length;
+
+        const consensus = {
+            method: method,
+            methodName: AGGREGATIONS[method].name,
+            respondents: respondents.map(respondent => respondent.name),
+            agreement: Math.round(agreement * 100) / 100,
+            agreedQuestions: compared.filter(entry => entry.agreed).length,
+            comparedQuestions: compared.length,
+            questions: comparison
+        };
+        consensus.summary = summarize(consensus);
+
+        return { ...combined, consensus };
+    }
+
+    // One sentence for results and reports
+    function summarize(consensus) {
+        return `Answers of ${consensus.respondents.length} respondents (${consensus.respondents.join(', ')}) combined by ` +
+            `${consensus.methodName.toLowerCase()}. They gave the same answer to ${consensus.agreedQuestions} of ` +
+            `${consensus.comparedQuestions} questions, and on average ${Math.round(consensus.agreement * 100)}% of them gave the most common answer.`;
+    }
+
+    function sameTools(a, b) {
+        const tools = assessment => (assessment.tools || [assessment.tool]).join('+');
+        return tools(a) === tools(b);
+    }
+
+    // A file of everyone's answers, which fromFile reads back
+    function toFile(assessment, respondents) {
+        return {
+            format: RESPONSES_FORMAT,
+            version: RESPONSES_VERSION,
+            ...(assessment.tools ? { tools: [...assessment.tools] } : { tool: assessment.tool }),
+            respondents: respondents.map(respondent => ({
+                name: respondent.name,
+                toolAnswers: { ...respondent.toolAnswers },
+                contextAnswers: { ...respondent.contextAnswers }
+            }))
+        };
+    }
+
+    // Reads a responses file, an answers file as bin/assess.js takes (with an optional
+    // "respondent" name) or a JSON report export. Returns { tool } or { tools } and respondents.
+    function fromFile(contents, fallbackName) {
+        if (!contents || typeof contents !== 'object') {
+            throw new Error('The file does not contain assessment answers');
+        }
+
+        if (contents.format === RESPONSES_FORMAT) {
+            if (!Array.isArray(contents.respondents) || !(contents.tool || contents.tools)) {
+                throw new Error('The responses file has no tool or no respondents');
+            }
+            return {
+                ...(contents.tools ? { tools: contents.tools } : { tool: contents.tool }),
+                respondents: contents.respondents.map((respondent, index) => ({
+                    name: respondent.name || `${fallbackName} ${index + 1}`,
+                    toolAnswers: respondent.toolAnswers || {},
+                    contextAnswers: respondent.contextAnswers || {}
+                }))
+            };
+        }
+
+        // Report exports keep the answers in their profile; a portfolio profile lists tool profiles
+        const source = contents.profile && contents.profile.toolAnswers ? contents.profile : contents;
+        const tools = Array.isArray(source.tools)
+            ? source.tools.map(tool => (typeof tool === 'string' ? tool : tool.toolType))
+            : null;
+        const tool = source.tool || source.toolType;
+        if ((!tools && !tool) || !source.toolAnswers) {
+            throw new Error('The file does not contain assessment answers');
+        }
+        return {
+            ...(tools ? { tools } : { tool }),
+            respondents: [{
+                name: contents.respondent || fallbackName,
+                toolAnswers: source.toolAnswers,
+                contextAnswers: source.contextAnswers || {}
+            }]
+        };
+    }
+
+    return {
+        AGGREGATIONS,
+        RESPONSES_FORMAT,
+        aggregate,
+        sameTools,
+        toFile,
+        fromFile
+    };
+});
@@ -0,0 +1,145 @@
+// Scenario Library
+// Worked case studies from scenarios.csv: predefined answers for one tool, or several used
+// together, and the severity each harm category is expected to reach. Loading a scenario
+// fills in the wizard; checking them all shows whether a dataset change shifted any results.
+//
+//   Tool_Type            a CSV_Key from tool_types.csv, or several joined by "+" for a portfolio
+//   Tool_Answers,
+//   Context_Answers      "PD_1=D; PD_5=A+C+E; CTX_1=75", answers written as in share links
+//   Expected_Severities  "Bias=HIGH; Privacy=NONE", where NONE means no risk; categories
+//                        left out are not checked
+//   Expected_Basis       where each expected severity comes from, in the same form:
+//                        "Bias=only source matching, no AI-generated content detection; ...".
+//                        A value accepted from the engine without being reviewed against the
+//                        description says so, as the check view's download does
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./engine'));
+    } else {
+        root.RiskScenarios = factory(root.RiskEngine);
+    }
+})(typeof self !== 'undefined' ? self : this, function (RiskEngine) {
+    'use strict';
+
+    const NO_RISK = 'NONE';
+
+    // The basis the check view's download gives the expectations it changes
+    const ENGINE_BASIS = 'recorded from the engine, not yet reviewed against the description';
+
+    // "A=1; B=2" as [{ name: 'A', value: '1' }, ...]; an entry without "=" has a null value
+    function parseList(text) {
+        return String(text || '').split(';')
+            .map(entry => entry.trim())
+            .filter(Boolean)
+            .map(entry => {
+                const separator = entry.indexOf('=');
+                return separator === -1
+                    ? { name: entry, value: null }
+                    : { name: entry.slice(0, separator).trim(), value: entry.slice(separator + 1).trim() };
+            });
+    }
+
+    function formatList(values) {
+        return Object.entries(values).map(([name, value]) => `${name}=${value}`).join('; ');
+    }
+
+    function parseAnswers(text) {
+        const answers = {};
+        parseList(text).filter(entry => entry.value !== null).forEach(entry => {
+            answers[entry.name] = entry.value;
+        });
+        return answers;
+    }
+
+    // The tool ids a scenario's Tool_Type names; unknown CSV_Keys come back as null
+    function scenarioTools(scenario, toolTypes) {
+        return String(scenario.Tool_Type || '').split('+')
+            .map(key => key.trim())
+            .filter(Boolean)
+            .map(key => {
+                const toolType = toolTypes.find(type => type.CSV_Key === key);
+                return toolType ? toolType.Tool_ID : null;
+            });
+    }
+
+    // The scenario as an assessment the engine and the wizard accept
+    function toAssessment(scenario, toolTypes) {
+        const tools = scenarioTools(scenario, toolTypes);
+        if (tools.length === 0 || tools.includes(null)) {
+            throw new Error(`Scenario ${scenario.Scenario_ID}: Tool_Type "${scenario.Tool_Type || ''}" does not name the tools in tool_types.csv`);
+        }
+
+        return {
+            ...(tools.length > 1 ? { tools } : { tool: tools[0] }),
+            toolAnswers: parseAnswers(scenario.Tool_Answers),
+            contextAnswers: parseAnswers(scenario.Context_Answers)
+        };
+    }
+
+    function expectedSeverities(scenario) {
+        const expected = {};
+        parseList(scenario.Expected_Severities).forEach(entry => {
+            expected[entry.name] = (entry.value || '').toUpperCase();
+        });
+        return expected;
+    }
+
+    // Each category's rating in a profile, NONE when it has no risk
+    function actualSeverities(profile) {
+        const actual = {};
+        Object.keys(RiskEngine.HARM_CATEGORIES).forEach(category => {
+            const data = profile.harmCategories[category];
+            actual[category] = data && data.hasRisk ? data.severity : NO_RISK;
+        });
+        return actual;
+    }
+
+    // The expected categories the profile rates differently, as { category, expected, actual }
+    function compare(scenario, profile) {
+        const actual = actualSeverities(profile);
+        return Object.entries(expectedSeverities(scenario))
+            .filter(([category, expected]) => actual[category] !== expected)
+            .map(([category, expected]) => ({ category, expected, actual: actual[category] || null }));
+    }
+
+    // Why each expected severity was chosen, as { Bias: 'only source matching...' }
+    function expectedBasis(scenario) {
+        const basis = {};
+        parseList(scenario.Expected_Basis).forEach(entry => {
+            basis[entry.name] = entry.value || '';
+        });
+        return basis;
+    }
+
+    // A copy of the scenario expecting what the profile shows, for accepting intended changes.
+    // The values that change are marked in Expected_Basis as taken from the engine, so an
+    // accepted result is not mistaken later for one someone reviewed.
+    function withExpected(scenario, profile) {
+        const expected = expectedSeverities(scenario);
+        const actual = actualSeverities(profile);
+        const previous = expectedBasis(scenario);
+        const basis = {};
+        Object.keys(actual).forEach(category => {
+            const text = expected[category] === actual[category] ? previous[category] : ENGINE_BASIS;
+            if (text) {
+                basis[category] = text;
+            }
+        });
+        return { ...scenario, Expected_Severities: formatList(actual), Expected_Basis: formatList(basis) };
+    }
+
+    return {
+        NO_RISK,
+        ENGINE_BASIS,
+        parseList,
+        parseAnswers,
+        scenarioTools,
+        toAssessment,
+        expectedSeverities,
+        expectedBasis,
+        actualSeverities,
+        compare,
+        withExpected
+    };
+});
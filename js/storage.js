@@ -0,0 +1,158 @@
+// Saved Assessments and Share Links
+// Keeps an autosaved draft and named assessments in localStorage, and encodes an
+// assessment into a compact URL fragment so it can be shared without a server.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.RiskStorage = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const STORAGE_PREFIX = 'aied-risk-assessment:';
+    const SHARE_PARAM = 'assessment';
+    const SHARE_VERSION = '1';
+
+    class RiskStorage {
+        constructor(storage) {
+            this.storage = storage || null;
+        }
+
+        read(key, fallback) {
+            if (!this.storage) return fallback;
+            try {
+                const value = this.storage.getItem(STORAGE_PREFIX + key);
+                return value === null ? fallback : JSON.parse(value);
+            } catch (error) {
+                console.warn(`Could not read saved ${key}:`, error);
+                return fallback;
+            }
+        }
+
+        write(key, value) {
+            if (!this.storage) return false;
+            try {
+                this.storage.setItem(STORAGE_PREFIX + key, JSON.stringify(value));
+                return true;
+            } catch (error) {
+                console.warn(`Could not save ${key}:`, error);
+                return false;
+            }
+        }
+
+        remove(key) {
+            if (!this.storage) return;
+            try {
+                this.storage.removeItem(STORAGE_PREFIX + key);
+            } catch (error) {
+                console.warn(`Could not remove saved ${key}:`, error);
+            }
+        }
+
+        // The in-progress assessment, overwritten as answers change
+        getDraft() {
+            return this.read('draft', null);
+        }
+
+        saveDraft(assessment) {
+            return this.write('draft', { ...RiskStorage.snapshot(assessment), savedAt: new Date().toISOString() });
+        }
+
+        clearDraft() {
+            this.remove('draft');
+        }
+
+        listSaved() {
+            return this.read('saved', []);
+        }
+
+        getSaved(id) {
+            return this.listSaved().find(entry => entry.id === id) || null;
+        }
+
+        save(name, assessment) {
+            const entry = {
+                id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+                name: name,
+                savedAt: new Date().toISOString(),
+                assessment: RiskStorage.snapshot(assessment)
+            };
+            const saved = [entry, ...this.listSaved()];
+            return this.write('saved', saved) ? entry : null;
+        }
+
+        deleteSaved(id) {
+            this.write('saved', this.listSaved().filter(entry => entry.id !== id));
+        }
+
+        // Only the answers are persisted; profiles are recalculated from them. A portfolio
+        // assessment has a tools array instead of a tool, and one answered by several people
+        // keeps each respondent's answers. Share links carry only the current answers.
+        static snapshot(assessment) {
+            return {
+                ...(assessment.tools ? { tools: [...assessment.tools] } : { tool: assessment.tool }),
+                toolAnswers: { ...assessment.toolAnswers },
+                contextAnswers: { ...assessment.contextAnswers },
+                ...(assessment.respondents && assessment.respondents.length > 0 ? {
+                    respondents: assessment.respondents.map(respondent => ({
+                        name: respondent.name,
+                        toolAnswers: { ...respondent.toolAnswers },
+                        contextAnswers: { ...respondent.contextAnswers }
+                    }))
+                } : {})
+            };
+        }
+
+        // Encodes as "1~<tool>~<QID>.<answer>,...~<QID>.<answer>,...", where a multi-select
+        // answer is written "A+C", a number as itself and "Not sure yet" as "?"; the engine
+        // normalizes them on load. A portfolio writes its tools as "<tool>+<tool>".
+        static encode(assessment) {
+            const pairs = answers => Object.entries(answers || {})
+                .map(([questionId, answer]) => `${questionId}.${Array.isArray(answer) ? answer.join('+') : answer}`)
+                .join(',');
+            const tools = assessment.tools ? assessment.tools.join('+') : assessment.tool;
+
+            return [SHARE_VERSION, tools, pairs(assessment.toolAnswers), pairs(assessment.contextAnswers)].join('~');
+        }
+
+        static decode(text) {
+            const parts = String(text).split('~');
+            if (parts.length !== 4 || parts[0] !== SHARE_VERSION || !parts[1]) {
+                throw new Error('This share link is not a valid assessment link');
+            }
+
+            const answers = section => {
+                const result = {};
+                section.split(',').filter(Boolean).forEach(pair => {
+                    const separator = pair.indexOf('.');
+                    if (separator <= 0) {
+                        throw new Error(`Invalid answer "${pair}" in share link`);
+                    }
+                    result[pair.slice(0, separator)] = pair.slice(separator + 1);
+                });
+                return result;
+            };
+
+            return {
+                ...(parts[1].includes('+') ? { tools: parts[1].split('+') } : { tool: parts[1] }),
+                toolAnswers: answers(parts[2]),
+                contextAnswers: answers(parts[3])
+            };
+        }
+
+        static toShareHash(assessment) {
+            // Commas, plus signs and question marks are valid in a fragment; leaving them unescaped keeps links readable
+            return `#${SHARE_PARAM}=${encodeURIComponent(RiskStorage.encode(assessment)).replace(/%2C/g, ',').replace(/%2B/g, '+').replace(/%3F/g, '?')}`;
+        }
+
+        // Returns the assessment in a location hash, or null when there is none
+        static fromShareHash(hash) {
+            const match = new RegExp(`^#?${SHARE_PARAM}=(.+)$`).exec(hash || '');
+            return match ? RiskStorage.decode(decodeURIComponent(match[1])) : null;
+        }
+    }
+
+    return RiskStorage;
+});
@@ -0,0 +1,903 @@
+// Dataset Integrity Checks
+// Verifies that the CSV datasets are well formed and agree with each other, so a bad
+// edit is reported instead of quietly producing lower risk levels.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./conditions'), require('./effects'), require('./engine'), require('./questions'), require('./html'), require('./scenarios'));
+    } else {
+        root.RiskDataValidator = factory(root.RiskConditions, root.RiskEffects, root.RiskEngine, root.RiskQuestions, root.RiskHTML, root.RiskScenarios);
+    }
+})(typeof self !== 'undefined' ? self : this, function (RiskConditions, RiskEffects, RiskEngine, RiskQuestions, RiskHTML, RiskScenarios) {
+    'use strict';
+
+    const FILES = {};
+    RiskEngine.DATA_FILES.forEach(({ file, key }) => {
+        FILES[key] = file;
+    });
+
+    const REQUIRED_COLUMNS = {
+        toolTypes: ['Tool_ID', 'CSV_Key', 'Display_Name'],
+        toolQuestions: ['Question_ID', 'Tool_Type', 'Question_Text'],
+        contextQuestions: ['Question_ID', 'Question_Text'],
+        riskExplanations: ['Risk_Category', 'Severity_Level', 'Tool_Type', 'Explanation_Text'],
+        compoundRiskRules: ['Rule_ID', 'Tool_Type', 'Risk_Combination', 'Trigger_Conditions', 'Escalation_Effect'],
+        assessmentFacts: ['Fact_Name', 'Question_ID', 'Answer', 'Value'],
+        mitigations: ['Mitigation_ID', 'Risk_Category', 'Min_Severity', 'Tool_Type', 'Action', 'Effort', 'Severity_Reduction'],
+        scoringSettings: ['Setting', 'Value'],
+        categoryWeights: ['Risk_Category', 'Weight'],
+        layerDescriptions: ['Risk_Category', 'Interaction_Layer', 'Tool_Type', 'Severity_Level', 'Description'],
+        scenarios: ['Scenario_ID', 'Name', 'Tool_Type', 'Tool_Answers', 'Context_Answers', 'Expected_Severities'],
+        regulatoryCrosswalk: ['Mapping_ID', 'Framework', 'Reference', 'Tool_Type', 'Risk_Category', 'Min_Severity', 'Trigger_Conditions', 'Obligation', 'Documentation']
+    };
+
+    const BOOLEAN_VALUES = ['TRUE', 'FALSE'];
+
+    class DataReport {
+        constructor() {
+            this.errors = [];
+            this.warnings = [];
+        }
+
+        // row is the 0-based data row; reported as the line number in the file
+        error(key, row, message) {
+            this.errors.push({ file: FILES[key] || key, line: row === null ? null : row + 2, message });
+        }
+
+        warning(key, row, message) {
+            this.warnings.push({ file: FILES[key] || key, line: row === null ? null : row + 2, message });
+        }
+
+        get ok() {
+            return this.errors.length === 0;
+        }
+    }
+
+    function checkParseErrors(report, parseErrors) {
+        Object.entries(parseErrors || {}).forEach(([file, errors]) => {
+            const key = Object.keys(FILES).find(k => FILES[k] === file || `data/${FILES[k]}` === file) || file;
+            errors.forEach(error => {
+                report.error(key, typeof error.row === 'number' ? error.row : null, error.message);
+            });
+        });
+    }
+
+    function checkColumns(report, data) {
+        Object.entries(REQUIRED_COLUMNS).forEach(([key, columns]) => {
+            const rows = data[key] || [];
+            if (rows.length === 0) {
+                report.error(key, null, 'Dataset is empty or missing');
+                return;
+            }
+            const present = Object.keys(rows[0]);
+            columns.filter(column => !present.includes(column)).forEach(column => {
+                report.error(key, null, `Missing required column "${column}"`);
+            });
+        });
+    }
+
+    function checkUniqueIds(report, key, rows, column) {
+        const seen = {};
+        rows.forEach((row, index) => {
+            const id = row[column];
+            if (!id) {
+                report.error(key, index, `Missing ${column}`);
+            } else if (id in seen) {
+                report.error(key, index, `Duplicate ${column} "${id}" (first defined on line ${seen[id] + 2})`);
+            } else {
+                seen[id] = index;
+            }
+        });
+    }
+
+    // The Tool_Type values the other datasets may use, from tool_types.csv
+    function csvToolTypes(data) {
+        return data.toolTypes.map(type => type.CSV_Key).filter(Boolean);
+    }
+
+    function checkToolTypes(report, data) {
+        const seen = {};
+        checkUniqueIds(report, 'toolTypes', data.toolTypes, 'Tool_ID');
+
+        data.toolTypes.forEach((type, index) => {
+            const id = type.Tool_ID;
+
+            // Tool ids appear in share links and saved assessments
+            if (id && !/^[a-z][a-z0-9_]*$/.test(id)) {
+                report.error('toolTypes', index, `Tool_ID "${id}" must be lower-case letters, digits and underscores`);
+            }
+
+            if (!type.CSV_Key) {
+                report.error('toolTypes', index, `${id}: CSV_Key is empty`);
+            } else if (type.CSV_Key === RiskEngine.ALL_TOOLS) {
+                report.error('toolTypes', index, `${id}: CSV_Key "${RiskEngine.ALL_TOOLS}" is reserved for rows that apply to every tool`);
+            } else if (type.CSV_Key in seen) {
+                report.error('toolTypes', index, `${id}: CSV_Key "${type.CSV_Key}" is already used on line ${seen[type.CSV_Key] + 2}`);
+            } else {
+                seen[type.CSV_Key] = index;
+                if (!data.toolQuestions.some(question => question.Tool_Type === type.CSV_Key)) {
+                    report.warning('toolTypes', index, `${id}: tool_questions.csv has no questions for ${type.CSV_Key}`);
+                }
+            }
+
+            if (!type.Display_Name) {
+                report.error('toolTypes', index, `${id}: Display_Name is empty`);
+            }
+        });
+    }
+
+    function hasExplanation(data, category, severity, toolType) {
+        return data.riskExplanations.some(exp =>
+            exp.Risk_Category === category &&
+            exp.Severity_Level === severity &&
+            exp.Tool_Type === toolType
+        );
+    }
+
+    // earlier: { Question_ID: question } for the questions a Show_If may depend on, i.e. those asked before it
+    function checkShowIf(report, key, question, index, earlier) {
+        const id = question.Question_ID;
+        if (!question.Show_If) {
+            return;
+        }
+
+        let ast;
+        try {
+            ast = RiskConditions.parse(question.Show_If);
+        } catch (error) {
+            if (!(error instanceof RiskConditions.ConditionError)) {
+                throw error;
+            }
+            report.error(key, index, `${id}: invalid Show_If: ${error.message}`);
+            return;
+        }
+
+        RiskConditions.variables(ast).forEach(name => {
+            const [questionId, letter] = name.split('.');
+            const target = earlier[questionId];
+            if (!target) {
+                report.error(key, index, `${id}: Show_If references "${name}", which is not a question asked before ${id}`);
+            } else if (letter !== undefined && !target[`Answer_${letter}`]) {
+                report.error(key, index, `${id}: Show_If references "${name}", but ${questionId} has no option ${letter}`);
+            } else if (letter === undefined && RiskQuestions.questionType(target) === 'multi') {
+                report.error(key, index, `${id}: Show_If must test multi-select ${questionId} one option at a time, e.g. ${questionId}.A`);
+            }
+        });
+
+        RiskConditions.comparisons(ast).forEach(node => {
+            const [questionId, letter] = node.variable.split('.');
+            const target = earlier[questionId];
+            if (!target) {
+                return;
+            }
+            if (letter !== undefined) {
+                if (!['=', '!='].includes(node.operator) || node.value.kind !== 'word' ||
+                    !BOOLEAN_VALUES.includes(node.value.value.toUpperCase())) {
+                    report.error(key, index, `${id}: Show_If can only compare ${node.variable} with =TRUE or =FALSE`);
+                }
+            } else if (RiskQuestions.questionType(target) === 'number') {
+                if (node.value.kind !== 'number') {
+                    report.error(key, index, `${id}: Show_If compares number question ${questionId} with "${node.value.value}", which is not a number`);
+                }
+            } else if (!['=', '!='].includes(node.operator)) {
+                report.error(key, index, `${id}: Show_If can only compare ${node.variable} with = or !=`);
+            } else if (node.value.kind !== 'word' || !target[`Answer_${node.value.value}`]) {
+                report.error(key, index, `${id}: Show_If compares ${node.variable} with "${node.value.value}", which is not one of its answers`);
+            }
+        });
+    }
+
+    // Question_Type, the number of options and, for number questions, the Bands
+    function checkQuestionType(report, key, question, index) {
+        const id = question.Question_ID;
+        const type = RiskQuestions.questionType(question);
+        const options = RiskQuestions.answerOptions(question);
+
+        if (!RiskQuestions.QUESTION_TYPES.includes(type)) {
+            report.error(key, index, `${id}: Question_Type "${question.Question_Type}" is not one of ${RiskQuestions.QUESTION_TYPES.join(', ')}`);
+            return;
+        }
+
+        if (options.length < 2) {
+            report.error(key, index, `${id}: needs at least two answers`);
+        }
+
+        const gaps = RiskQuestions.ANSWER_LETTERS.slice(0, options.length).filter(letter => !question[`Answer_${letter}`]);
+        if (gaps.length > 0) {
+            report.warning(key, index, `${id}: answers should use consecutive letters from A; Answer_${gaps[0]} is empty`);
+        }
+
+        if (type !== 'number') {
+            if (question.Bands) {
+                report.warning(key, index, `${id}: Bands is only used by number questions and will be ignored`);
+            }
+            return;
+        }
+
+        const texts = (question.Bands || '').split('|').filter(Boolean);
+        if (texts.length !== options.length) {
+            report.error(key, index, `${id}: number questions need one band per answer in Bands, e.g. "0-10|10-30|30-60|60-100"`);
+            return;
+        }
+
+        const bands = texts.map(text => RiskQuestions.parseBand(text));
+        texts.forEach((text, bandIndex) => {
+            const band = bands[bandIndex];
+            if (!band) {
+                report.error(key, index, `${id}: band "${text}" must be a range like 10-30 or open-ended like 60+`);
+            } else if (band.min >= band.max) {
+                report.error(key, index, `${id}: band "${text}" is empty`);
+            } else if (band.max === Infinity && bandIndex !== texts.length - 1) {
+                report.error(key, index, `${id}: only the last band can be open-ended, found "${text}"`);
+            } else if (bandIndex > 0 && bands[bandIndex - 1] && bands[bandIndex - 1].max !== band.min) {
+                report.error(key, index, `${id}: band "${text}" should start where "${texts[bandIndex - 1]}" ends`);
+            }
+        });
+    }
+
+    function checkToolQuestions(report, data) {
+        const toolTypes = csvToolTypes(data);
+        checkUniqueIds(report, 'toolQuestions', data.toolQuestions, 'Question_ID');
+
+        data.toolQuestions.forEach((question, index) => {
+            const id = question.Question_ID;
+
+            if (!toolTypes.includes(question.Tool_Type)) {
+                report.error('toolQuestions', index,
+                    `${id}: Tool_Type "${question.Tool_Type}" is not one of ${toolTypes.join(', ')}`);
+            }
+
+            const earlier = {};
+            data.toolQuestions.slice(0, index)
+                .filter(q => q.Tool_Type === question.Tool_Type)
+                .forEach(q => { earlier[q.Question_ID] = q; });
+            checkShowIf(report, 'toolQuestions', question, index, earlier);
+            checkQuestionType(report, 'toolQuestions', question, index);
+
+            RiskQuestions.ANSWER_LETTERS.forEach(letter => {
+                const severity = question[`${letter}_Severity`];
+
+                if (!question[`Answer_${letter}`]) {
+                    if (severity) {
+                        report.warning('toolQuestions', index, `${id}: ${letter}_Severity is set but Answer_${letter} is empty`);
+                    }
+                    return;
+                }
+
+                if (!RiskEngine.SEVERITY_LEVELS.includes(severity)) {
+                    report.error('toolQuestions', index,
+                        `${id}: ${letter}_Severity "${severity || ''}" is not one of ${RiskEngine.SEVERITY_LEVELS.join(', ')}`);
+                    return;
+                }
+
+                Object.keys(RiskEngine.HARM_CATEGORIES).forEach(category => {
+                    const flag = (question[`${letter}_${category}`] || '').toUpperCase();
+
+                    if (!BOOLEAN_VALUES.includes(flag)) {
+                        report.error('toolQuestions', index,
+                            `${id}: ${letter}_${category} must be TRUE or FALSE, found "${question[`${letter}_${category}`] || ''}"`);
+                    } else if (flag === 'TRUE' && toolTypes.includes(question.Tool_Type) &&
+                        !hasExplanation(data, category, severity, question.Tool_Type)) {
+                        report.error('toolQuestions', index,
+                            `${id}: answer ${letter} raises ${category} to ${severity} but risk_explanations.csv has no ${category}/${severity}/${question.Tool_Type} row`);
+                    }
+                });
+
+                const layers = question[`${letter}_Layers`];
+                if (layers) {
+                    layers.split('|').map(layer => layer.trim()).filter(layer => !(layer in RiskEngine.INTERACTION_LAYERS)).forEach(layer => {
+                        report.error('toolQuestions', index,
+                            `${id}: ${letter}_Layers "${layer}" is not one of ${Object.keys(RiskEngine.INTERACTION_LAYERS).join(', ')}`);
+                    });
+                    if (!Object.keys(RiskEngine.HARM_CATEGORIES).some(category => (question[`${letter}_${category}`] || '').toUpperCase() === 'TRUE')) {
+                        report.warning('toolQuestions', index, `${id}: ${letter}_Layers is set but answer ${letter} raises no risk`);
+                    }
+                }
+            });
+        });
+    }
+
+    function checkContextQuestions(report, data) {
+        checkUniqueIds(report, 'contextQuestions', data.contextQuestions, 'Question_ID');
+
+        data.contextQuestions.forEach((question, index) => {
+            const id = question.Question_ID;
+
+            // Context questions are asked after the tool questions
+            const earlier = {};
+            [...data.toolQuestions, ...data.contextQuestions.slice(0, index)].forEach(q => { earlier[q.Question_ID] = q; });
+            checkShowIf(report, 'contextQuestions', question, index, earlier);
+            checkQuestionType(report, 'contextQuestions', question, index);
+
+            RiskQuestions.answerOptions(question).forEach(({ value: letter }) => {
+                Object.keys(RiskEngine.HARM_CATEGORIES).forEach(category => {
+                    const column = `${letter}_${category}_Modifier`;
+                    const value = question[column];
+
+                    if (value === undefined || value === '') {
+                        report.warning('contextQuestions', index, `${id}: ${column} is empty and will be treated as 0`);
+                    } else if (!/^[+-]?\d+$/.test(value)) {
+                        report.error('contextQuestions', index, `${id}: ${column} must be an integer, found "${value}"`);
+                    } else if (Math.abs(parseInt(value, 10)) >= RiskEngine.SEVERITY_LEVELS.length) {
+                        report.warning('contextQuestions', index,
+                            `${id}: ${column} of ${value} spans the whole severity scale`);
+                    }
+                });
+            });
+        });
+    }
+
+    // Prose shown in the results is escaped, so markup and non-http(s) links never take effect
+    function checkFormattedText(report, key, index, column, text) {
+        if (RiskHTML.hasMarkup(text)) {
+            report.warning(key, index, `${column} contains HTML markup, which is shown as typed; use **bold**, *emphasis* or [text](https://...) instead`);
+        }
+        RiskHTML.linkTargets(text)
+            .filter(url => !RiskHTML.safeURL(url))
+            .forEach(url => {
+                report.warning(key, index, `${column} links to "${url}", which is not an http(s) address and is shown as plain text`);
+            });
+    }
+
+    function checkExplanations(report, data) {
+        const toolTypes = csvToolTypes(data);
+        const seen = {};
+
+        data.riskExplanations.forEach((exp, index) => {
+            if (!RiskEngine.HARM_CATEGORIES[exp.Risk_Category]) {
+                report.error('riskExplanations', index, `Risk_Category "${exp.Risk_Category}" is not a harm category`);
+            }
+            if (!RiskEngine.SEVERITY_LEVELS.includes(exp.Severity_Level)) {
+                report.error('riskExplanations', index, `Severity_Level "${exp.Severity_Level}" is not a severity level`);
+            }
+            if (!toolTypes.includes(exp.Tool_Type)) {
+                report.error('riskExplanations', index, `Tool_Type "${exp.Tool_Type}" is not one of ${toolTypes.join(', ')}`);
+            }
+            if (!exp.Explanation_Text) {
+                report.error('riskExplanations', index, 'Explanation_Text is empty');
+            }
+            if (exp.Citation_URL && !RiskHTML.safeURL(exp.Citation_URL)) {
+                report.warning('riskExplanations', index, `Citation_URL "${exp.Citation_URL}" is not an http(s) link and is not shown`);
+            }
+            checkFormattedText(report, 'riskExplanations', index, 'Explanation_Text', exp.Explanation_Text);
+
+            const key = `${exp.Risk_Category}/${exp.Severity_Level}/${exp.Tool_Type}`;
+            if (key in seen) {
+                report.warning('riskExplanations', index, `Duplicate explanation for ${key}; only line ${seen[key] + 2} is used`);
+            } else {
+                seen[key] = index;
+            }
+        });
+
+        // Context modifiers and compound rules can move a category to any level
+        toolTypes.forEach(toolType => {
+            Object.keys(RiskEngine.HARM_CATEGORIES).forEach(category => {
+                RiskEngine.SEVERITY_LEVELS.forEach(severity => {
+                    if (!hasExplanation(data, category, severity, toolType)) {
+                        report.warning('riskExplanations', null,
+                            `No explanation for ${category}/${severity}/${toolType}; that finding would be hidden from the results`);
+                    }
+                });
+            });
+        });
+    }
+
+    function checkEscalationEffect(report, data, rule, index) {
+        const effect = rule.Escalation_Effect;
+        const id = rule.Rule_ID;
+        let effects;
+        try {
+            effects = RiskEffects.parse(effect, Object.keys(RiskEngine.HARM_CATEGORIES));
+        } catch (error) {
+            if (!(error instanceof RiskEffects.EffectError)) {
+                throw error;
+            }
+            report.error('compoundRiskRules', index, `${id}: invalid Escalation_Effect: ${error.message}`);
+            return;
+        }
+
+        const legacy = RiskEffects.legacyEquivalent(effect);
+        if (legacy !== null) {
+            report.warning('compoundRiskRules', index,
+                `${id}: Escalation_Effect "${effect}" is an old name and is read as "${legacy}"; write that instead`);
+        }
+        if (effects.every(entry => entry.action === 'warn') && !rule.Special_Warning) {
+            report.warning('compoundRiskRules', index, `${id}: WARN without a Special_Warning has no effect`);
+        }
+        // The rating is held within the rule's bounds, but the score and composite score are not
+        const model = (data.scoringSettings.find(row => row.Setting === 'Scoring_Model') || {}).Value || '';
+        const lowering = effects.filter(entry => entry.action === 'cap' || entry.action === 'set');
+        if (model.toLowerCase() === 'quantitative' && lowering.length > 0) {
+            report.warning('compoundRiskRules', index,
+                `${id}: ${lowering.map(RiskEffects.format).join('; ')} holds the rating in the quantitative model, but not the likelihood x impact score, so the score may suggest a different level`);
+        }
+        effects
+            .filter(entry => entry.action === 'requireMitigation' && Array.isArray(entry.targets))
+            .forEach(entry => {
+                entry.targets
+                    .filter(category => !data.mitigations.some(mitigation => mitigation.Risk_Category === category))
+                    .forEach(category => {
+                        report.warning('compoundRiskRules', index,
+                            `${id}: REQUIRE_MITIGATION ${category} has no mitigations in mitigations.csv to choose from`);
+                    });
+            });
+    }
+
+    // The kinds of value each fact takes ('number', 'boolean' or 'text') and, for text facts,
+    // the values themselves; null values when a fact takes the answer itself as text
+    function factValueKinds(data) {
+        const questions = [...data.toolQuestions, ...data.contextQuestions];
+        const kinds = {};
+        data.assessmentFacts.forEach(fact => {
+            const entry = kinds[fact.Fact_Name] || (kinds[fact.Fact_Name] = { kinds: [], values: [] });
+            let kind;
+            if (fact.Value === '*') {
+                const question = questions.find(q => q.Question_ID === fact.Question_ID);
+                kind = question && RiskQuestions.questionType(question) === 'number' ? 'number' : 'text';
+                if (kind === 'text') {
+                    entry.values = null;
+                }
+            } else {
+                const value = RiskEngine.parseFactValue(fact.Value || '');
+                kind = typeof value === 'boolean' ? 'boolean' : typeof value === 'string' ? 'text' : 'number';
+                if (kind === 'text' && entry.values) {
+                    entry.values.push(value.toUpperCase());
+                }
+            }
+            if (!entry.kinds.includes(kind)) {
+                entry.kinds.push(kind);
+            }
+        });
+        return kinds;
+    }
+
+    // Each comparison must suit its variable: harm categories take a severity, risk counts and
+    // number facts a number, TRUE/FALSE facts TRUE or FALSE, and text facts = or != with a value
+    // the fact can take. Otherwise the comparison fails, or never holds, only for some answers.
+    function checkComparisons(report, key, index, id, ast, factKinds) {
+        RiskConditions.comparisons(ast).forEach(node => {
+            const variable = node.variable.slice(node.variable.indexOf('.') + 1);
+            const literal = node.value;
+            const written = `${node.variable}${node.operator}${literal.value}${literal.percent ? '%' : ''}`;
+            const fact = factKinds[variable];
+            const problem = message => report.error(key, index, `${id}: "${written}" ${message}`);
+
+            if (RiskEngine.HARM_CATEGORIES[variable]) {
+                const levels = [RiskConditions.NO_SEVERITY, ...RiskEngine.SEVERITY_LEVELS];
+                if (literal.kind !== 'word' || !levels.includes(literal.value.toUpperCase())) {
+                    problem(`compares a harm category with "${literal.value}", which is not one of ${levels.join(', ')}`);
+                }
+            } else if (variable === 'Count_Risks' || RiskEngine.SEVERITY_LEVELS.some(level => variable === `Count_${level}_Risks`)) {
+                if (literal.kind !== 'number') {
+                    problem(`compares a risk count with "${literal.value}", which is not a number`);
+                }
+            } else if (!fact || fact.kinds.length !== 1) {
+                return;
+            } else if (fact.kinds[0] === 'number') {
+                if (literal.kind !== 'number') {
+                    problem(`compares number fact ${variable} with "${literal.value}", which is not a number`);
+                }
+            } else if (fact.kinds[0] === 'boolean') {
+                if (!['=', '!='].includes(node.operator) || literal.kind !== 'word' || !BOOLEAN_VALUES.includes(literal.value.toUpperCase())) {
+                    problem(`can only compare TRUE/FALSE fact ${variable} with =TRUE or =FALSE`);
+                }
+            } else if (!['=', '!='].includes(node.operator)) {
+                problem(`uses "${node.operator}" on text fact ${variable}, which can only be compared with = or !=`);
+            } else if (fact.values && !fact.values.includes(String(literal.value).toUpperCase())) {
+                problem(`compares ${variable} with "${literal.value}", which is not a value in assessment_facts.csv`);
+            }
+        });
+    }
+
+    function checkCompoundRules(report, data) {
+        const csvTools = csvToolTypes(data);
+        const toolTypes = [...csvTools, RiskEngine.ALL_TOOLS, RiskEngine.PORTFOLIO];
+        const factNames = data.assessmentFacts.map(fact => fact.Fact_Name);
+        const factKinds = factValueKinds(data);
+        const toolQuestionIds = data.toolQuestions.map(question => question.Question_ID);
+        const contextFactNames = data.assessmentFacts
+            .filter(fact => !toolQuestionIds.includes(fact.Question_ID))
+            .map(fact => fact.Fact_Name);
+        checkUniqueIds(report, 'compoundRiskRules', data.compoundRiskRules, 'Rule_ID');
+
+        data.compoundRiskRules.forEach((rule, index) => {
+            const id = rule.Rule_ID;
+            const portfolio = rule.Tool_Type === RiskEngine.PORTFOLIO;
+
+            if (!toolTypes.includes(rule.Tool_Type)) {
+                report.error('compoundRiskRules', index, `${id}: Tool_Type "${rule.Tool_Type}" is not one of ${toolTypes.join(', ')}`);
+            }
+
+            try {
+                const ast = RiskConditions.parse(rule.Trigger_Conditions);
+                checkComparisons(report, 'compoundRiskRules', index, id, ast, factKinds);
+                RiskConditions.variables(ast).forEach(name => {
+                    // Portfolio rules can qualify a name with a tool, e.g. LLM_Tutors.Interaction
+                    const separator = name.indexOf('.');
+                    const qualifier = separator === -1 ? null : name.slice(0, separator);
+                    const variable = separator === -1 ? name : name.slice(separator + 1);
+
+                    if (qualifier !== null && !portfolio) {
+                        report.error('compoundRiskRules', index,
+                            `${id}: "${name}" is qualified with a tool, which only ${RiskEngine.PORTFOLIO} rules can do`);
+                        return;
+                    }
+                    if (qualifier !== null && !csvTools.includes(qualifier)) {
+                        report.error('compoundRiskRules', index,
+                            `${id}: "${name}" is qualified with "${qualifier}", which is not one of ${csvTools.join(', ')}`);
+                        return;
+                    }
+
+                    const known = RiskEngine.HARM_CATEGORIES[variable] ||
+                        variable === 'Count_Risks' ||
+                        RiskEngine.SEVERITY_LEVELS.some(level => variable === `Count_${level}_Risks`) ||
+                        factNames.includes(variable);
+                    if (!known) {
+                        report.error('compoundRiskRules', index,
+                            `${id}: Trigger_Conditions references "${name}", which is not a harm category, risk count or fact in assessment_facts.csv`);
+                    } else if (portfolio && qualifier === null && factNames.includes(variable) && !contextFactNames.includes(variable)) {
+                        report.error('compoundRiskRules', index,
+                            `${id}: "${name}" comes from tool questions, so a ${RiskEngine.PORTFOLIO} rule must qualify it with a tool, e.g. ${csvTools[0]}.${name}`);
+                    }
+                });
+            } catch (error) {
+                if (!(error instanceof RiskConditions.ConditionError)) {
+                    throw error;
+                }
+                report.error('compoundRiskRules', index, `${id}: invalid Trigger_Conditions: ${error.message}`);
+            }
+
+            checkEscalationEffect(report, data, rule, index);
+            checkFormattedText(report, 'compoundRiskRules', index, 'Special_Warning', rule.Special_Warning);
+        });
+    }
+
+    function checkFacts(report, data) {
+        const questions = [...data.toolQuestions, ...data.contextQuestions];
+        const seen = {};
+
+        data.assessmentFacts.forEach((fact, index) => {
+            if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(fact.Fact_Name || '')) {
+                report.error('assessmentFacts', index, `Fact_Name "${fact.Fact_Name || ''}" must be letters, digits and underscores`);
+            }
+
+            // Answer "*" binds any answer; Value "*" uses the answer itself as the value
+            const question = questions.find(q => q.Question_ID === fact.Question_ID);
+            if (!question) {
+                report.error('assessmentFacts', index, `${fact.Fact_Name}: Question_ID "${fact.Question_ID}" does not exist`);
+            } else if (fact.Answer !== '*' && !question[`Answer_${fact.Answer}`]) {
+                report.error('assessmentFacts', index, `${fact.Fact_Name}: ${fact.Question_ID} has no answer "${fact.Answer}"`);
+            }
+
+            if (fact.Value === undefined || fact.Value === '') {
+                report.error('assessmentFacts', index, `${fact.Fact_Name}: Value is empty`);
+            } else if (fact.Value === '*' && fact.Answer !== '*') {
+                report.error('assessmentFacts', index, `${fact.Fact_Name}: Value "*" can only be used with Answer "*"`);
+            }
+
+            const key = `${fact.Fact_Name}/${fact.Question_ID}/${fact.Answer}`;
+            if (key in seen) {
+                report.error('assessmentFacts', index, `${fact.Fact_Name} is bound to ${fact.Question_ID}=${fact.Answer} twice`);
+            } else {
+                seen[key] = index;
+            }
+        });
+    }
+
+    function checkMitigations(report, data) {
+        const toolTypes = [...csvToolTypes(data), RiskEngine.ALL_TOOLS];
+        checkUniqueIds(report, 'mitigations', data.mitigations, 'Mitigation_ID');
+
+        data.mitigations.forEach((mitigation, index) => {
+            const id = mitigation.Mitigation_ID;
+
+            if (!RiskEngine.HARM_CATEGORIES[mitigation.Risk_Category]) {
+                report.error('mitigations', index, `${id}: Risk_Category "${mitigation.Risk_Category}" is not a harm category`);
+            }
+            if (!RiskEngine.SEVERITY_LEVELS.includes(mitigation.Min_Severity)) {
+                report.error('mitigations', index, `${id}: Min_Severity "${mitigation.Min_Severity}" is not a severity level`);
+            }
+            if (!toolTypes.includes(mitigation.Tool_Type)) {
+                report.error('mitigations', index, `${id}: Tool_Type "${mitigation.Tool_Type}" is not one of ${toolTypes.join(', ')}`);
+            }
+            if (!mitigation.Action) {
+                report.error('mitigations', index, `${id}: Action is empty`);
+            }
+            if (!RiskEngine.EFFORT_LEVELS.includes(mitigation.Effort)) {
+                report.warning('mitigations', index,
+                    `${id}: Effort "${mitigation.Effort || ''}" is not one of ${RiskEngine.EFFORT_LEVELS.join(', ')}; it will be listed last`);
+            }
+
+            const reduction = mitigation.Severity_Reduction;
+            if (!/^\d+$/.test(reduction || '')) {
+                report.error('mitigations', index, `${id}: Severity_Reduction must be a whole number of levels, found "${reduction || ''}"`);
+            } else if (parseInt(reduction, 10) === 0) {
+                report.warning('mitigations', index, `${id}: Severity_Reduction is 0, so adopting it never changes the projection`);
+            }
+        });
+    }
+
+    function checkScoringSettings(report, data) {
+        const defaults = RiskEngine.DEFAULT_SCORING_SETTINGS;
+        const values = { ...defaults };
+        const choices = {
+            Scoring_Model: RiskEngine.SCORING_MODELS,
+            Context_Aggregation: RiskEngine.CONTEXT_AGGREGATIONS,
+            Context_Baseline: ['none', ...RiskEngine.SEVERITY_LEVELS.map(level => level.toLowerCase())],
+            Context_Order: RiskEngine.CONTEXT_ORDERS
+        };
+        checkUniqueIds(report, 'scoringSettings', data.scoringSettings, 'Setting');
+
+        data.scoringSettings.forEach((row, index) => {
+            const name = row.Setting;
+            if (!name) return;
+
+            if (!(name in defaults)) {
+                report.warning('scoringSettings', index, `Unknown setting "${name}" is ignored`);
+            } else if (name in choices) {
+                if (!choices[name].includes((row.Value || '').toLowerCase())) {
+                    report.error('scoringSettings', index, `${name} "${row.Value || ''}" is not one of ${choices[name].join(', ')}`);
+                }
+            } else if (row.Value === '' || row.Value === undefined || isNaN(row.Value)) {
+                report.error('scoringSettings', index, `${name} must be a number, found "${row.Value || ''}"`);
+            } else {
+                values[name] = parseFloat(row.Value);
+            }
+        });
+
+        const scaleMax = RiskEngine.SCORE_SCALE_MAX;
+        const rowOf = name => {
+            const index = data.scoringSettings.findIndex(row => row.Setting === name);
+            return index === -1 ? null : index;
+        };
+        if (values.Base_Likelihood < 1 || values.Base_Likelihood > scaleMax) {
+            report.error('scoringSettings', rowOf('Base_Likelihood'), `Base_Likelihood must be between 1 and ${scaleMax}`);
+        }
+        ['Modifier_Likelihood', 'Breadth_Impact', 'Context_Cap', 'Context_Baseline_Min'].filter(name => values[name] < 0).forEach(name => {
+            report.error('scoringSettings', rowOf(name), `${name} must not be negative`);
+        });
+        if (values.Context_Diminishing_Factor < 0 || values.Context_Diminishing_Factor > 1) {
+            report.error('scoringSettings', rowOf('Context_Diminishing_Factor'), 'Context_Diminishing_Factor must be between 0 and 1');
+        }
+
+        // Each threshold must be above the one for the level below it, within the 1-25 score range
+        let previous = 0;
+        RiskEngine.SEVERITY_LEVELS.slice(1).forEach(level => {
+            const name = `Threshold_${level}`;
+            if (values[name] <= previous || values[name] > scaleMax * scaleMax) {
+                report.error('scoringSettings', rowOf(name),
+                    `${name} (${values[name]}) must be above ${previous} and at most ${scaleMax * scaleMax}`);
+            }
+            previous = values[name];
+        });
+    }
+
+    function checkCategoryWeights(report, data) {
+        const seen = {};
+
+        data.categoryWeights.forEach((row, index) => {
+            const category = row.Risk_Category;
+            if (!RiskEngine.HARM_CATEGORIES[category]) {
+                report.error('categoryWeights', index, `Risk_Category "${category || ''}" is not a harm category`);
+                return;
+            }
+            if (category in seen) {
+                report.error('categoryWeights', index, `${category} is weighted twice (first on line ${seen[category] + 2})`);
+            }
+            seen[category] = index;
+
+            if (row.Weight === '' || row.Weight === undefined || isNaN(row.Weight) || parseFloat(row.Weight) < 0) {
+                report.error('categoryWeights', index, `${category}: Weight must be a number of 0 or more, found "${row.Weight || ''}"`);
+            }
+        });
+
+        Object.keys(RiskEngine.HARM_CATEGORIES).filter(category => !(category in seen)).forEach(category => {
+            report.warning('categoryWeights', null, `${category} has no weight and counts as 1 in the composite score`);
+        });
+
+        if (data.categoryWeights.length > 0 && data.categoryWeights.every(row => parseFloat(row.Weight) === 0)) {
+            report.error('categoryWeights', null, 'All weights are 0, so the composite score is always 0');
+        }
+    }
+
+    function checkLayerDescriptions(report, data) {
+        const toolTypes = csvToolTypes(data);
+        const layers = Object.keys(RiskEngine.INTERACTION_LAYERS);
+        const seen = {};
+
+        data.layerDescriptions.forEach((row, index) => {
+            const label = `${row.Risk_Category}/${row.Interaction_Layer}/${row.Tool_Type}/${row.Severity_Level}`;
+
+            if (!RiskEngine.HARM_CATEGORIES[row.Risk_Category]) {
+                report.error('layerDescriptions', index, `Risk_Category "${row.Risk_Category || ''}" is not a harm category`);
+            }
+            if (!layers.includes(row.Interaction_Layer)) {
+                report.error('layerDescriptions', index, `Interaction_Layer "${row.Interaction_Layer || ''}" is not one of ${layers.join(', ')}`);
+            }
+            if (![...toolTypes, RiskEngine.ALL_TOOLS].includes(row.Tool_Type)) {
+                report.error('layerDescriptions', index, `Tool_Type "${row.Tool_Type || ''}" is not one of ${[...toolTypes, RiskEngine.ALL_TOOLS].join(', ')}`);
+            }
+            if (row.Severity_Level !== '*' && !RiskEngine.SEVERITY_LEVELS.includes(row.Severity_Level)) {
+                report.error('layerDescriptions', index, `Severity_Level "${row.Severity_Level || ''}" must be a severity level or *`);
+            }
+            if (!row.Description) {
+                report.error('layerDescriptions', index, `${label}: Description is empty`);
+            }
+
+            if (label in seen) {
+                report.error('layerDescriptions', index, `${label} is described twice (first on line ${seen[label] + 2})`);
+            } else {
+                seen[label] = index;
+            }
+        });
+
+        // Every rated layer needs some text, from a specific or a fallback row
+        toolTypes.forEach(toolType => {
+            Object.keys(RiskEngine.HARM_CATEGORIES).forEach(category => {
+                layers.forEach(layer => {
+                    const missing = RiskEngine.SEVERITY_LEVELS.filter(severity =>
+                        ![toolType, RiskEngine.ALL_TOOLS].some(tool =>
+                            [severity, '*'].some(level => `${category}/${layer}/${tool}/${level}` in seen)
+                        )
+                    );
+                    if (missing.length > 0) {
+                        report.warning('layerDescriptions', null,
+                            `No ${category}/${layer} description for ${toolType} at ${missing.join(', ')}; the layer is shown without one`);
+                    }
+                });
+            });
+        });
+    }
+
+    // Answers must name a question of the scenario's questionnaires and be valid for it
+    function checkScenarioAnswers(report, index, id, column, text, questions) {
+        RiskScenarios.parseList(text).forEach(({ name, value }) => {
+            const question = questions.find(candidate => candidate.Question_ID === name);
+            if (value === null) {
+                report.error('scenarios', index, `${id}: ${column} entry "${name}" must be written QUESTION=ANSWER`);
+            } else if (!question) {
+                report.error('scenarios', index, `${id}: ${column} answers "${name}", which is not one of the scenario's questions`);
+            } else if (RiskQuestions.normalizeAnswer(question, value) === undefined) {
+                report.error('scenarios', index, `${id}: "${value}" is not a valid answer to ${name}`);
+            }
+        });
+    }
+
+    function checkScenarios(report, data) {
+        const severities = [RiskScenarios.NO_RISK, ...RiskEngine.SEVERITY_LEVELS];
+        checkUniqueIds(report, 'scenarios', data.scenarios, 'Scenario_ID');
+
+        data.scenarios.forEach((scenario, index) => {
+            const id = scenario.Scenario_ID;
+            const tools = RiskScenarios.scenarioTools(scenario, data.toolTypes);
+
+            if (!scenario.Name) {
+                report.error('scenarios', index, `${id}: Name is empty`);
+            }
+            if (tools.length === 0 || tools.includes(null)) {
+                report.error('scenarios', index,
+                    `${id}: Tool_Type "${scenario.Tool_Type || ''}" must be one of ${csvToolTypes(data).join(', ')}, or several joined by "+"`);
+            } else {
+                const toolTypes = tools.map(tool => data.toolTypes.find(type => type.Tool_ID === tool).CSV_Key);
+                checkScenarioAnswers(report, index, id, 'Tool_Answers', scenario.Tool_Answers,
+                    data.toolQuestions.filter(question => toolTypes.includes(question.Tool_Type)));
+            }
+            checkScenarioAnswers(report, index, id, 'Context_Answers', scenario.Context_Answers, data.contextQuestions);
+
+            const expected = RiskScenarios.parseList(scenario.Expected_Severities);
+            if (expected.length === 0) {
+                report.warning('scenarios', index, `${id}: Expected_Severities is empty, so checking the scenario compares nothing`);
+            }
+            expected.forEach(({ name, value }) => {
+                if (!RiskEngine.HARM_CATEGORIES[name]) {
+                    report.error('scenarios', index, `${id}: Expected_Severities names "${name}", which is not a harm category`);
+                } else if (!severities.includes((value || '').toUpperCase())) {
+                    report.error('scenarios', index, `${id}: expected ${name} "${value || ''}" is not one of ${severities.join(', ')}`);
+                }
+            });
+
+            // Without a basis nobody can tell a reviewed expectation from a copy of the engine's result
+            const basis = RiskScenarios.expectedBasis(scenario);
+            expected.filter(({ name }) => RiskEngine.HARM_CATEGORIES[name] && !basis[name]).forEach(({ name }) => {
+                report.warning('scenarios', index, `${id}: Expected_Basis does not say where the expected ${name} comes from`);
+            });
+            Object.entries(basis).filter(([, text]) => text === RiskScenarios.ENGINE_BASIS).forEach(([name]) => {
+                report.warning('scenarios', index, `${id}: the expected ${name} was recorded from the engine and has not been reviewed against the description`);
+            });
+            Object.keys(basis).filter(name => !RiskEngine.HARM_CATEGORIES[name]).forEach(name => {
+                report.error('scenarios', index, `${id}: Expected_Basis names "${name}", which is not a harm category`);
+            });
+        });
+    }
+
+    function checkRegulatoryCrosswalk(report, data) {
+        const toolTypes = [...csvToolTypes(data), RiskEngine.ALL_TOOLS];
+        const factNames = data.assessmentFacts.map(fact => fact.Fact_Name);
+        const factKinds = factValueKinds(data);
+        checkUniqueIds(report, 'regulatoryCrosswalk', data.regulatoryCrosswalk, 'Mapping_ID');
+
+        data.regulatoryCrosswalk.forEach((mapping, index) => {
+            const id = mapping.Mapping_ID;
+
+            if (!mapping.Framework || !mapping.Reference) {
+                report.error('regulatoryCrosswalk', index, `${id}: Framework and Reference must both be given`);
+            }
+            if (!toolTypes.includes(mapping.Tool_Type)) {
+                report.error('regulatoryCrosswalk', index, `${id}: Tool_Type "${mapping.Tool_Type}" is not one of ${toolTypes.join(', ')}`);
+            }
+            if (mapping.Risk_Category && !RiskEngine.HARM_CATEGORIES[mapping.Risk_Category]) {
+                report.error('regulatoryCrosswalk', index, `${id}: Risk_Category "${mapping.Risk_Category}" is not a harm category`);
+            }
+            if (mapping.Min_Severity && !RiskEngine.SEVERITY_LEVELS.includes(mapping.Min_Severity)) {
+                report.error('regulatoryCrosswalk', index, `${id}: Min_Severity "${mapping.Min_Severity}" is not a severity level`);
+            } else if (mapping.Min_Severity && !mapping.Risk_Category) {
+                report.warning('regulatoryCrosswalk', index, `${id}: Min_Severity is ignored without a Risk_Category`);
+            }
+            if (!mapping.Obligation) {
+                report.error('regulatoryCrosswalk', index, `${id}: Obligation is empty`);
+            }
+            if (!mapping.Documentation) {
+                report.warning('regulatoryCrosswalk', index, `${id}: Documentation is empty, so the view cannot say what evidence the obligation needs`);
+            }
+            if (mapping.Source_URL && !RiskHTML.safeURL(mapping.Source_URL)) {
+                report.warning('regulatoryCrosswalk', index, `${id}: Source_URL "${mapping.Source_URL}" is not an http(s) link and is not shown`);
+            }
+
+            if (!mapping.Trigger_Conditions) {
+                return;
+            }
+            try {
+                const ast = RiskConditions.parse(mapping.Trigger_Conditions);
+                checkComparisons(report, 'regulatoryCrosswalk', index, id, ast, factKinds);
+                RiskConditions.variables(ast).forEach(name => {
+                    const known = RiskEngine.HARM_CATEGORIES[name] ||
+                        name === 'Count_Risks' ||
+                        RiskEngine.SEVERITY_LEVELS.some(level => name === `Count_${level}_Risks`) ||
+                        factNames.includes(name);
+                    if (!known) {
+                        report.error('regulatoryCrosswalk', index,
+                            `${id}: Trigger_Conditions references "${name}", which is not a harm category, risk count or fact in assessment_facts.csv`);
+                    }
+                });
+            } catch (error) {
+                if (!(error instanceof RiskConditions.ConditionError)) {
+                    throw error;
+                }
+                report.error('regulatoryCrosswalk', index, `${id}: invalid Trigger_Conditions: ${error.message}`);
+            }
+        });
+    }
+
+    // data: the dataset tables keyed as in RiskEngine.DATA_FILES
+    // parseErrors: optional { file: [parser errors] } from loading the CSVs
+    function validate(data, parseErrors) {
+        const report = new DataReport();
+        const tables = {};
+        Object.keys(REQUIRED_COLUMNS).forEach(key => {
+            tables[key] = data[key] || [];
+        });
+
+        checkParseErrors(report, parseErrors);
+        checkColumns(report, tables);
+        checkToolTypes(report, tables);
+        checkToolQuestions(report, tables);
+        checkContextQuestions(report, tables);
+        checkExplanations(report, tables);
+        checkCompoundRules(report, tables);
+        checkFacts(report, tables);
+        checkMitigations(report, tables);
+        checkScoringSettings(report, tables);
+        checkCategoryWeights(report, tables);
+        checkLayerDescriptions(report, tables);
+        checkScenarios(report, tables);
+        checkRegulatoryCrosswalk(report, tables);
+
+        return report;
+    }
+
+    function formatIssue(issue) {
+        return `${issue.file}${issue.line ? `:${issue.line}` : ''}: ${issue.message}`;
+    }
+
+    return { validate, formatIssue, DataReport };
+});
@@ -0,0 +1,73 @@
+// Offline Support
+// Caches the app shell and the assessment datasets so the tool keeps working without a
+// network, e.g. in workshop rooms with no internet. Requests go to the network first, so
+// updated code and edited CSV files show up as soon as they are published, and fall back to
+// the cached copy when the network is unavailable.
+
+importScripts('js/conditions.js', 'js/effects.js', 'js/questions.js', 'js/engine.js');
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'style.css',
+    'app.js',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'js/csv.js',
+    'js/html.js',
+    'js/conditions.js',
+    'js/effects.js',
+    'js/questions.js',
+    'js/engine.js',
+    'js/scenarios.js',
+    'js/respondents.js',
+    'js/regulatory.js',
+    'js/validator.js',
+    'js/charts.js',
+    'js/report.js',
+    'js/storage.js',
+    'js/authoring.js',
+    ...RiskEngine.DATA_FILES.map(({ file }) => `data/${file}`)
+];
+
+// Named after the list, so adding or removing a file gives a new cache and old caches are
+// cleared on activation without anyone having to remember to bump a version
+const CACHE_NAME = `aied-risk-assessment-${APP_SHELL.join('|').split('').reduce(
+    (hash, char) => ((hash * 31) + char.charCodeAt(0)) >>> 0, 7
+).toString(36)}`;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) {
+        return;
+    }
+
+    event.respondWith(
+        fetch(request)
+            .then(response => {
+                if (response.ok) {
+                    const copy = response.clone();
+                    event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.put(request, copy)));
+                }
+                return response;
+            })
+            .catch(() => caches.match(request, { ignoreSearch: true })
+                .then(cached => cached || Response.error()))
+    );
+});